@@ -22,6 +22,7 @@ const auth = async (req, res, next) => {
       id: user._id,
       ...user.toObject(),
     };
+    req.sessionId = decoded.sessionId || null;
 
     console.log("Auth middleware - User ID:", user._id);
     console.log("Auth middleware - User object:", req.user);
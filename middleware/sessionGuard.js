@@ -0,0 +1,43 @@
+const jwt = require("jsonwebtoken");
+const Session = require("../models/Session");
+
+// Reject requests made with a token whose device session has been revoked.
+// Invalid tokens are left for the route's own auth middleware to report, and
+// tokens issued before sessions existed (no sessionId) are let through.
+const sessionGuard = async (req, res, next) => {
+  const token = req.header("Authorization")?.replace("Bearer ", "");
+  if (!token) {
+    return next();
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return next();
+  }
+
+  if (!decoded.sessionId) {
+    return next();
+  }
+
+  try {
+    const session = await Session.findById(decoded.sessionId).select(
+      "revokedAt"
+    );
+
+    if (!session || session.revokedAt) {
+      return res.status(401).json({
+        success: false,
+        message: "Session has been signed out. Please log in again.",
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error("Session guard error:", error);
+    next(error);
+  }
+};
+
+module.exports = sessionGuard;
@@ -38,6 +38,12 @@ const chatRoomSchema = new mongoose.Schema(
         ref: "User",
       },
     ],
+    // Disappearing-messages timer (see Message.DISAPPEARING_TIMERS)
+    disappearingTimer: {
+      type: String,
+      enum: ["off", "24h", "7d", "90d"],
+      default: "off",
+    },
   },
   {
     timestamps: true,
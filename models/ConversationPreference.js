@@ -0,0 +1,241 @@
+const mongoose = require("mongoose");
+
+// One user's settings for one private chat or group
+const conversationPreferenceSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    chatRoom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ChatRoom",
+      required: function () {
+        return !this.group;
+      },
+    },
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Group",
+      required: function () {
+        return !this.chatRoom;
+      },
+    },
+    archived: {
+      type: Boolean,
+      default: false,
+    },
+    // Push notifications are skipped until this time (mentions still notify)
+    mutedUntil: {
+      type: Date,
+      default: null,
+    },
+    pinned: {
+      type: Boolean,
+      default: false,
+    },
+    pinnedAt: {
+      type: Date,
+      default: null,
+    },
+    // Set by the user, cleared once they read the conversation
+    markedUnread: {
+      type: Boolean,
+      default: false,
+    },
+    // Notification sound tag played by the client apps
+    notificationSound: {
+      type: String,
+      trim: true,
+      maxlength: 50,
+      default: "default",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+conversationPreferenceSchema.index(
+  { user: 1, chatRoom: 1 },
+  { unique: true, partialFilterExpression: { chatRoom: { $exists: true } } }
+);
+conversationPreferenceSchema.index(
+  { user: 1, group: 1 },
+  { unique: true, partialFilterExpression: { group: { $exists: true } } }
+);
+conversationPreferenceSchema.index({ chatRoom: 1, mutedUntil: 1 });
+conversationPreferenceSchema.index({ group: 1, mutedUntil: 1 });
+
+// Maximum number of conversations a user can pin to the top of their list
+conversationPreferenceSchema.statics.MAX_PINNED_CONVERSATIONS = 3;
+
+// Mute durations offered by the apps; "always" mutes until unmuted
+const MUTE_DURATIONS = {
+  "8h": 8 * 60 * 60 * 1000,
+  "1w": 7 * 24 * 60 * 60 * 1000,
+};
+const MUTED_FOREVER = new Date("9999-12-31T23:59:59.999Z");
+
+// Static method to turn a requested mute into a mutedUntil date.
+// Accepts "8h", "1w", "always", a future date, or null / "off" to unmute.
+// Returns { mutedUntil } or { error }
+conversationPreferenceSchema.statics.parseMute = function (value) {
+  if (value === null || value === false || value === "off") {
+    return { mutedUntil: null };
+  }
+  if (value === "always") {
+    return { mutedUntil: MUTED_FOREVER };
+  }
+  if (MUTE_DURATIONS[value]) {
+    return { mutedUntil: new Date(Date.now() + MUTE_DURATIONS[value]) };
+  }
+
+  const mutedUntil = new Date(value);
+  if (isNaN(mutedUntil.getTime()) || mutedUntil <= new Date()) {
+    return {
+      error: 'Mute must be "8h", "1w", "always", a future date or "off"',
+    };
+  }
+  return { mutedUntil };
+};
+
+// Method to check if notifications are currently muted
+conversationPreferenceSchema.methods.isMuted = function () {
+  return !!this.mutedUntil && this.mutedUntil > new Date();
+};
+
+// Static method to get a user's preferences for a set of conversations,
+// as a Map from chat room or group id to preference
+conversationPreferenceSchema.statics.getForUser = async function (
+  userId,
+  { chatRoomIds = [], groupIds = [] }
+) {
+  const preferences = await this.find({
+    user: userId,
+    $or: [{ chatRoom: { $in: chatRoomIds } }, { group: { $in: groupIds } }],
+  });
+  return new Map(
+    preferences.map((preference) => [
+      (preference.chatRoom || preference.group).toString(),
+      preference,
+    ])
+  );
+};
+
+// Static method to get the preferences of recipients of a conversation
+// ({ chatRoom } or { group }), as a Map from user id to preference
+conversationPreferenceSchema.statics.getForRecipients = async function (
+  conversation,
+  userIds
+) {
+  const preferences = await this.find({
+    ...conversation,
+    user: { $in: userIds },
+  });
+  return new Map(
+    preferences.map((preference) => [preference.user.toString(), preference])
+  );
+};
+
+// Static method to apply a preferences update from the user.
+// Returns { preference } or { error }
+conversationPreferenceSchema.statics.applyUpdate = async function (
+  userId,
+  conversation,
+  updates
+) {
+  const { archived, muted, pinned, markedUnread, notificationSound } =
+    updates || {};
+  const preference =
+    (await this.findOne({ user: userId, ...conversation })) ||
+    new this({ user: userId, ...conversation });
+
+  if (muted !== undefined) {
+    const mute = this.parseMute(muted);
+    if (mute.error) {
+      return { error: mute.error };
+    }
+    preference.mutedUntil = mute.mutedUntil;
+  }
+
+  if (pinned !== undefined && !!pinned !== preference.pinned) {
+    if (pinned) {
+      const pinnedCount = await this.countDocuments({
+        user: userId,
+        pinned: true,
+      });
+      if (pinnedCount >= this.MAX_PINNED_CONVERSATIONS) {
+        return {
+          error: `You can pin at most ${this.MAX_PINNED_CONVERSATIONS} chats`,
+        };
+      }
+    }
+    preference.pinned = !!pinned;
+    preference.pinnedAt = pinned ? new Date() : null;
+  }
+
+  if (archived !== undefined) {
+    preference.archived = !!archived;
+  }
+  if (markedUnread !== undefined) {
+    preference.markedUnread = !!markedUnread;
+  }
+  if (notificationSound !== undefined) {
+    if (
+      typeof notificationSound !== "string" ||
+      !/^[\w-]{1,50}$/.test(notificationSound)
+    ) {
+      return { error: "Invalid notification sound" };
+    }
+    preference.notificationSound = notificationSound;
+  }
+
+  await preference.save();
+  return { preference };
+};
+
+// Static method to clear the "marked unread" flag once the user has read
+// the conversation ({ chatRoom } or { group })
+conversationPreferenceSchema.statics.clearMarkedUnread = function (
+  userId,
+  conversation
+) {
+  return this.updateOne(
+    { user: userId, ...conversation, markedUnread: true },
+    { markedUnread: false }
+  );
+};
+
+// Settings as sent to the client; defaults when the user has none saved
+conversationPreferenceSchema.statics.toSettings = function (preference) {
+  return {
+    archived: preference?.archived || false,
+    mutedUntil: preference?.isMuted() ? preference.mutedUntil : null,
+    pinned: preference?.pinned || false,
+    pinnedAt: preference?.pinnedAt || null,
+    markedUnread: preference?.markedUnread || false,
+    notificationSound: preference?.notificationSound || "default",
+  };
+};
+
+// Static method to move pinned conversations (formatted with their
+// preferences) to the top, most recently pinned first, keeping the order
+// of the others
+conversationPreferenceSchema.statics.sortPinnedFirst = function (
+  conversations
+) {
+  const pinned = conversations
+    .filter((conversation) => conversation.preferences.pinned)
+    .sort((a, b) => b.preferences.pinnedAt - a.preferences.pinnedAt);
+  return [
+    ...pinned,
+    ...conversations.filter((conversation) => !conversation.preferences.pinned),
+  ];
+};
+
+module.exports = mongoose.model(
+  "ConversationPreference",
+  conversationPreferenceSchema
+);
@@ -0,0 +1,131 @@
+const mongoose = require("mongoose");
+
+// Background export of a private chat or group history to a file
+const exportJobSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Other participant of an exported private chat
+    chatUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: function () {
+        return !this.group;
+      },
+    },
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Group",
+      required: function () {
+        return !this.chatUser;
+      },
+    },
+    format: {
+      type: String,
+      enum: ["json", "html", "txt"],
+      default: "json",
+    },
+    // Bundle the transcript and uploaded attachments into a zip
+    includeAttachments: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "processing", "completed", "failed"],
+      default: "pending",
+    },
+    // Set when a worker claims the job, so a crashed export is retried
+    lockedAt: {
+      type: Date,
+      default: null,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // Failed jobs wait until then before being retried
+    nextAttemptAt: {
+      type: Date,
+      default: null,
+    },
+    // Name of the export file in the exports directory, and the name it's
+    // downloaded as
+    storedName: {
+      type: String,
+      default: null,
+    },
+    fileName: {
+      type: String,
+      default: null,
+    },
+    size: {
+      type: Number,
+      default: null,
+    },
+    messageCount: {
+      type: Number,
+      default: 0,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    // The file is deleted (and the job forgotten) after this time
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for the export worker and for listing a user's exports
+exportJobSchema.index({ status: 1, createdAt: 1 });
+exportJobSchema.index({ user: 1, createdAt: -1 });
+// Not a TTL index: the export file has to be removed along with the job
+exportJobSchema.index(
+  { expiresAt: 1 },
+  { partialFilterExpression: { expiresAt: { $type: "date" } } }
+);
+
+// Formats a chat can be exported to
+exportJobSchema.statics.FORMATS = ["json", "html", "txt"];
+
+// How long a finished export can be downloaded
+exportJobSchema.statics.RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// Exports a user can have queued or running at the same time
+exportJobSchema.statics.MAX_ACTIVE_JOBS = 3;
+
+// Job status as sent to the client
+exportJobSchema.methods.toStatus = function () {
+  return {
+    id: this._id,
+    chatUserId: this.chatUser || null,
+    groupId: this.group || null,
+    format: this.format,
+    includeAttachments: this.includeAttachments,
+    status: this.status,
+    messageCount: this.messageCount,
+    fileName: this.fileName,
+    size: this.size,
+    error: this.error,
+    createdAt: this.createdAt,
+    completedAt: this.completedAt,
+    expiresAt: this.expiresAt,
+    downloadUrl:
+      this.status === "completed" ? `/api/exports/${this._id}/download` : null,
+  };
+};
+
+module.exports = mongoose.model("ExportJob", exportJobSchema);
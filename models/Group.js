@@ -1,5 +1,26 @@
 const mongoose = require("mongoose");
 
+// Group roles, from least to most privileged. The owner is `createdBy`; the
+// other roles come from the admins, moderators and readOnlyMembers lists,
+// and everyone else in `members` is a member.
+const ROLES = ["read-only", "member", "moderator", "admin", "owner"];
+
+// Permission matrix defaults: the lowest role allowed to do each action
+const DEFAULT_PERMISSIONS = {
+  editInfo: "admin",
+  addMembers: "admin",
+  removeMembers: "admin",
+  pinMessages: "member",
+  sendMessages: "member",
+  sendMedia: "member",
+  deleteOthersMessages: "moderator",
+};
+
+const rankOf = (role) => ROLES.indexOf(role);
+const idOf = (value) => (value._id || value).toString();
+const includesUser = (list, id) =>
+  (list || []).some((entry) => idOf(entry) === id);
+
 const groupSchema = new mongoose.Schema(
   {
     name: {
@@ -29,6 +50,19 @@ const groupSchema = new mongoose.Schema(
         ref: "User",
       },
     ],
+    moderators: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    // Members who can read but not post
+    readOnlyMembers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
     members: [
       {
         type: mongoose.Schema.Types.ObjectId,
@@ -58,6 +92,28 @@ const groupSchema = new mongoose.Schema(
         type: Boolean,
         default: false,
       },
+      onlyAdminsCanPin: {
+        type: Boolean,
+        default: false,
+      },
+      // People joining through an invite link wait for an admin to accept
+      requireJoinApproval: {
+        type: Boolean,
+        default: false,
+      },
+      // Lowest role allowed to do each action (see DEFAULT_PERMISSIONS)
+      permissions: Object.fromEntries(
+        Object.entries(DEFAULT_PERMISSIONS).map(([permission, role]) => [
+          permission,
+          { type: String, enum: ROLES.slice(1), default: role },
+        ])
+      ),
+      // Disappearing-messages timer (see Message.DISAPPEARING_TIMERS)
+      disappearingTimer: {
+        type: String,
+        enum: ["off", "24h", "7d", "90d"],
+        default: "off",
+      },
     },
   },
   {
@@ -79,6 +135,166 @@ groupSchema.pre("save", function (next) {
   next();
 });
 
+groupSchema.statics.ROLES = ROLES;
+groupSchema.statics.PERMISSIONS = Object.keys(DEFAULT_PERMISSIONS);
+// Roles that can be given with setRole (ownership is transferred instead)
+groupSchema.statics.ASSIGNABLE_ROLES = [
+  "admin",
+  "moderator",
+  "member",
+  "read-only",
+];
+
+// Method to get the user's role in the group, or null for non-members
+groupSchema.methods.getRole = function (userId) {
+  const id = userId.toString();
+  if (idOf(this.createdBy) === id) {
+    return "owner";
+  }
+  if (includesUser(this.admins, id)) {
+    return "admin";
+  }
+  if (includesUser(this.moderators, id)) {
+    return "moderator";
+  }
+  if (includesUser(this.readOnlyMembers, id)) {
+    return "read-only";
+  }
+  return includesUser(this.members, id) ? "member" : null;
+};
+
+// Method to check if the user is the creator or an admin of the group
+groupSchema.methods.isAdmin = function (userId) {
+  return rankOf(this.getRole(userId)) >= rankOf("admin");
+};
+
+// Method to check if the actor's role is above the target's, as needed to
+// remove someone or change their role
+groupSchema.methods.outranks = function (actorId, targetId) {
+  return rankOf(this.getRole(actorId)) > rankOf(this.getRole(targetId));
+};
+
+// Method to get the lowest role allowed to do an action
+groupSchema.methods.getRequiredRole = function (permission) {
+  const role =
+    this.settings?.permissions?.[permission] || DEFAULT_PERMISSIONS[permission];
+
+  // Older switches that limit sending and pinning to admins
+  const adminsOnly =
+    (permission === "sendMessages" &&
+      this.settings?.onlyAdminsCanSendMessages) ||
+    (permission === "pinMessages" && this.settings?.onlyAdminsCanPin);
+
+  return adminsOnly && rankOf(role) < rankOf("admin") ? "admin" : role;
+};
+
+// Method to check if the user may do an action (see PERMISSIONS)
+groupSchema.methods.can = function (userId, permission) {
+  return (
+    rankOf(this.getRole(userId)) >= rankOf(this.getRequiredRole(permission))
+  );
+};
+
+// Method to list what the user may do, as { permission: true/false }
+groupSchema.methods.getPermissionsFor = function (userId) {
+  return Object.fromEntries(
+    Object.keys(DEFAULT_PERMISSIONS).map((permission) => [
+      permission,
+      this.can(userId, permission),
+    ])
+  );
+};
+
+// Method to check if the user may post in the group, with or without media
+// (photos, videos, files, voice notes).
+// Returns an error message, or null when allowed
+groupSchema.methods.getSendError = function (userId, { hasMedia } = {}) {
+  if (!this.can(userId, "sendMessages")) {
+    return "You don't have permission to send messages in this group";
+  }
+  if (hasMedia && !this.can(userId, "sendMedia")) {
+    return "You don't have permission to send media in this group";
+  }
+  return null;
+};
+
+// Method to list the members allowed to do an action
+groupSchema.methods.getMembersWith = function (permission) {
+  return this.members.filter((member) => this.can(idOf(member), permission));
+};
+
+// Method to check if the actor may give the target a role: admins can change
+// the role of members below them, up to their own role
+groupSchema.methods.canAssignRole = function (actorId, targetId, role) {
+  return (
+    this.isAdmin(actorId) &&
+    this.outranks(actorId, targetId) &&
+    rankOf(role) <= rankOf(this.getRole(actorId))
+  );
+};
+
+// Method to check if the user can create invite links for the group
+groupSchema.methods.canInvite = function (userId) {
+  return (
+    this.can(userId, "addMembers") ||
+    (this.settings.allowMemberInvite &&
+      rankOf(this.getRole(userId)) >= rankOf("member"))
+  );
+};
+
+// Method to give a member one of ASSIGNABLE_ROLES
+groupSchema.methods.setRole = function (userId, role) {
+  const id = userId.toString();
+  for (const list of ["admins", "moderators", "readOnlyMembers"]) {
+    this[list] = this[list].filter((entry) => idOf(entry) !== id);
+  }
+
+  const list = {
+    admin: "admins",
+    moderator: "moderators",
+    "read-only": "readOnlyMembers",
+  }[role];
+  if (list) {
+    this[list].push(userId);
+  }
+};
+
+// Method to remove a member along with their role
+groupSchema.methods.removeMember = function (userId) {
+  const id = userId.toString();
+  this.setRole(id, "member");
+  this.members = this.members.filter((member) => idOf(member) !== id);
+};
+
+// Method to hand the group over to another member. Owners are also listed
+// as admins, so the previous owner stays an admin.
+groupSchema.methods.transferOwnership = function (newOwnerId) {
+  const previousOwnerId = idOf(this.createdBy);
+  this.setRole(newOwnerId, "admin");
+  this.createdBy = newOwnerId;
+  this.setRole(previousOwnerId, "admin");
+};
+
+// Static method to validate a permission matrix update
+// ({ permission: lowest role }). Returns { permissions } or { error }
+groupSchema.statics.parsePermissions = function (input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: "Permissions must map actions to roles" };
+  }
+
+  for (const [permission, role] of Object.entries(input)) {
+    if (!(permission in DEFAULT_PERMISSIONS)) {
+      return { error: `Unknown permission "${permission}"` };
+    }
+    if (!ROLES.slice(1).includes(role)) {
+      return {
+        error: `${permission} must be one of: ${ROLES.slice(1).join(", ")}`,
+      };
+    }
+  }
+  return { permissions: input };
+};
+
 // Index for efficient querying
 groupSchema.index({ members: 1, lastActivity: -1 });
 groupSchema.index({ createdBy: 1 });
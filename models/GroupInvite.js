@@ -0,0 +1,151 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+// Shareable link that lets anyone holding the token join a group
+const groupInviteSchema = new mongoose.Schema(
+  {
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Group",
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // No expiry / no usage limit when null
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    maxUses: {
+      type: Number,
+      default: null,
+    },
+    // Joins and join requests made with the link
+    uses: {
+      type: Number,
+      default: 0,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+groupInviteSchema.index({ group: 1, revokedAt: 1 });
+
+// Highest usage limit that can be set on a link
+groupInviteSchema.statics.MAX_USES_LIMIT = 1000;
+
+// Static method to validate the options of a new link.
+// Returns { expiresAt, maxUses } or { error }
+groupInviteSchema.statics.parseOptions = function ({ expiresAt, maxUses }) {
+  let expiry = null;
+  if (expiresAt) {
+    expiry = new Date(expiresAt);
+    if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+      return { error: "Expiry must be a future date" };
+    }
+  }
+
+  let limit = null;
+  if (maxUses !== undefined && maxUses !== null) {
+    limit = Number(maxUses);
+    if (!Number.isInteger(limit) || limit < 1 || limit > this.MAX_USES_LIMIT) {
+      return {
+        error: `Max uses must be between 1 and ${this.MAX_USES_LIMIT}`,
+      };
+    }
+  }
+
+  return { expiresAt: expiry, maxUses: limit };
+};
+
+// Static method to create a link with a fresh random token
+groupInviteSchema.statics.createForGroup = function (
+  groupId,
+  userId,
+  { expiresAt, maxUses }
+) {
+  return this.create({
+    group: groupId,
+    createdBy: userId,
+    token: crypto.randomBytes(16).toString("base64url"),
+    expiresAt,
+    maxUses,
+  });
+};
+
+// Method to check if the link can still be used
+groupInviteSchema.methods.isUsable = function () {
+  return (
+    !this.revokedAt &&
+    (!this.expiresAt || this.expiresAt > new Date()) &&
+    (this.maxUses === null || this.uses < this.maxUses)
+  );
+};
+
+// Static method to count one use of a link. The atomic update keeps
+// concurrent joins from going over the usage limit.
+// Resolves to the updated invite, or null if the link can't be used
+groupInviteSchema.statics.claimUse = function (inviteId) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      _id: inviteId,
+      revokedAt: null,
+      $and: [
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+        {
+          $or: [{ maxUses: null }, { $expr: { $lt: ["$uses", "$maxUses"] } }],
+        },
+      ],
+    },
+    { $inc: { uses: 1 } },
+    { new: true }
+  );
+};
+
+// Static method to give back a use claimed for a join that didn't happen
+groupInviteSchema.statics.releaseUse = function (inviteId) {
+  return this.updateOne(
+    { _id: inviteId, uses: { $gt: 0 } },
+    { $inc: { uses: -1 } }
+  );
+};
+
+// Link as sent to the client
+groupInviteSchema.methods.toLink = function () {
+  const baseUrl = process.env.FRONTEND_URL || "http://localhost:3000";
+  return {
+    id: this._id,
+    groupId: this.group._id || this.group,
+    token: this.token,
+    url: `${baseUrl}/join/${this.token}`,
+    createdBy: this.createdBy,
+    expiresAt: this.expiresAt,
+    maxUses: this.maxUses,
+    uses: this.uses,
+    isRevoked: !!this.revokedAt,
+    isUsable: this.isUsable(),
+    createdAt: this.createdAt,
+  };
+};
+
+module.exports = mongoose.model("GroupInvite", groupInviteSchema);
@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+// Request to join a group through an invite link, waiting for an admin
+// when the group requires join approval
+const groupJoinRequestSchema = new mongoose.Schema(
+  {
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Group",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    invite: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "GroupInvite",
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One pending request per user and group
+groupJoinRequestSchema.index(
+  { group: 1, user: 1 },
+  { unique: true, partialFilterExpression: { status: "pending" } }
+);
+groupJoinRequestSchema.index({ group: 1, status: 1, createdAt: 1 });
+
+module.exports = mongoose.model("GroupJoinRequest", groupJoinRequestSchema);
@@ -1,5 +1,169 @@
 const mongoose = require("mongoose");
 
+// Answer of a poll, voted for by the users in `voters`
+const pollOptionSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100,
+  },
+  voters: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  ],
+});
+
+// Poll attached to a "poll" message
+const pollSchema = new mongoose.Schema(
+  {
+    question: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 300,
+    },
+    options: [pollOptionSchema],
+    allowMultiple: {
+      type: Boolean,
+      default: false,
+    },
+    // Voters are hidden from everyone, only the tallies are shared
+    isAnonymous: {
+      type: Boolean,
+      default: false,
+    },
+    closesAt: {
+      type: Date,
+      default: null,
+    },
+    closedAt: {
+      type: Date,
+      default: null,
+    },
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+// Send vote counts instead of voter lists for anonymous polls
+pollSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    ret.options = (ret.options || []).map((option) => ({
+      ...option,
+      voteCount: option.voters.length,
+      voters: ret.isAnonymous ? [] : option.voters,
+    }));
+    return ret;
+  },
+});
+
+// Shared location of a "location" message. Live locations keep moving
+// until liveUntil or until the sender stops sharing.
+const locationSchema = new mongoose.Schema(
+  {
+    latitude: {
+      type: Number,
+      required: true,
+      min: -90,
+      max: 90,
+    },
+    longitude: {
+      type: Number,
+      required: true,
+      min: -180,
+      max: 180,
+    },
+    // Accuracy radius in meters, as reported by the device
+    accuracy: {
+      type: Number,
+      default: null,
+    },
+    label: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+      default: "",
+    },
+    isLive: {
+      type: Boolean,
+      default: false,
+    },
+    liveUntil: {
+      type: Date,
+      default: null,
+    },
+    endedAt: {
+      type: Date,
+      default: null,
+    },
+    // Time of the last position update
+    updatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Shared contact of a "contact" message, with the name and avatar it had
+// when it was shared
+const contactSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      default: "",
+    },
+    avatar: {
+      type: String,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+// Unfurled metadata of the first link in a text message
+const linkPreviewSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: true,
+    },
+    title: {
+      type: String,
+      default: "",
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    image: {
+      type: String,
+      default: null,
+    },
+    siteName: {
+      type: String,
+      default: "",
+    },
+    fetchedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
 const messageSchema = new mongoose.Schema(
   {
     sender: {
@@ -48,11 +212,69 @@ const messageSchema = new mongoose.Schema(
         },
       },
     ],
+    // Voice notes: recipients who have played the recording
+    playedBy: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        playedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Delivery receipts: recipients whose device has received the message
+    deliveredTo: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        deliveredAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Number of recipients when the message was sent (group members minus sender)
+    recipientCount: {
+      type: Number,
+      default: 1,
+    },
     messageType: {
       type: String,
-      enum: ["text", "image", "video", "file", "system", "deleted"],
+      enum: [
+        "text",
+        "image",
+        "video",
+        "file",
+        "voice",
+        "system",
+        "deleted",
+        "poll",
+        "location",
+        "contact",
+      ],
       default: "text",
     },
+    poll: {
+      type: pollSchema,
+      default: null,
+    },
+    location: {
+      type: locationSchema,
+      default: null,
+    },
+    contact: {
+      type: contactSchema,
+      default: null,
+    },
+    linkPreview: {
+      type: linkPreviewSchema,
+      default: null,
+    },
     // File attachment fields
     attachment: {
       url: {
@@ -79,6 +301,59 @@ const messageSchema = new mongoose.Schema(
         type: String,
         default: null,
       },
+      // Voice notes: length in seconds and a normalized waveform (0-100)
+      duration: {
+        type: Number,
+        default: null,
+      },
+      waveform: {
+        type: [Number],
+        default: undefined,
+      },
+    },
+    // Message this one replies to (quote)
+    replyTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+    // First message of the reply chain this message belongs to
+    threadRoot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+    // Snapshot of the replied message so the quote still renders if it is deleted
+    replyPreview: {
+      sender: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+      senderName: {
+        type: String,
+        default: null,
+      },
+      content: {
+        type: String,
+        default: null,
+      },
+      messageType: {
+        type: String,
+        default: null,
+      },
+      attachmentName: {
+        type: String,
+        default: null,
+      },
+      thumbnail: {
+        type: String,
+        default: null,
+      },
+      timestamp: {
+        type: Date,
+        default: null,
+      },
     },
     // For private chats
     chatRoom: {
@@ -119,6 +394,97 @@ const messageSchema = new mongoose.Schema(
       ref: "User",
       default: null,
     },
+    // Edit status
+    isEdited: {
+      type: Boolean,
+      default: false,
+    },
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+    // Previous versions of the content, oldest first (version 1 is the original)
+    editHistory: [
+      {
+        version: {
+          type: Number,
+          required: true,
+        },
+        content: {
+          type: String,
+          default: "",
+        },
+        editedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Group members mentioned with @[Name](userId), and whether an admin
+    // mentioned everyone with @all
+    mentions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    mentionsAll: {
+      type: Boolean,
+      default: false,
+    },
+    // Forwarding: the message this copy was forwarded from, and how many
+    // forwarding hops separate it from the original
+    isForwarded: {
+      type: Boolean,
+      default: false,
+    },
+    forwardedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+    forwardCount: {
+      type: Number,
+      default: 0,
+    },
+    // Messages brought in from another app's chat export
+    importedFrom: {
+      type: String,
+      enum: [null, "whatsapp", "telegram"],
+      default: null,
+    },
+    // Pinned to the top of its chat or group
+    pinnedAt: {
+      type: Date,
+      default: null,
+    },
+    pinnedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Users who starred the message for their personal starred list
+    // (private to each user, so left out of queries unless selected)
+    starredBy: {
+      type: [
+        {
+          user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+          },
+          starredAt: {
+            type: Date,
+            default: Date.now,
+          },
+        },
+      ],
+      select: false,
+    },
+    // Set when sent under a disappearing-messages timer; purged once passed
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -126,9 +492,833 @@ const messageSchema = new mongoose.Schema(
 );
 
 // Index for efficient querying
-messageSchema.index({ sender: 1, receiver: 1, timestamp: -1 });
+// _id breaks timestamp ties so cursor pagination stays index-backed. These
+// replace { sender, receiver, timestamp } and { group, timestamp }, see
+// dropLegacyIndexes
+messageSchema.index({ sender: 1, receiver: 1, timestamp: -1, _id: -1 });
 messageSchema.index({ receiver: 1, isRead: 1 });
-messageSchema.index({ group: 1, timestamp: -1 });
+messageSchema.index({ group: 1, timestamp: -1, _id: -1 });
 messageSchema.index({ sender: 1, group: 1, timestamp: -1 });
+messageSchema.index({ threadRoot: 1, timestamp: 1 });
+messageSchema.index({ group: 1, mentions: 1, timestamp: 1 });
+messageSchema.index({ "deliveredTo.user": 1 });
+messageSchema.index({ "starredBy.user": 1, timestamp: -1, _id: -1 });
+// Full-text search over message text and attachment names. Language "none"
+// matches words as typed (no stemming or stop words), as chats mix languages
+messageSchema.index(
+  { content: "text", "attachment.originalName": "text" },
+  {
+    name: "message_text_search",
+    weights: { content: 3, "attachment.originalName": 1 },
+    default_language: "none",
+  }
+);
+// Not a TTL index: attachment files have to be removed along with the message
+messageSchema.index(
+  { expiresAt: 1 },
+  { partialFilterExpression: { expiresAt: { $type: "date" } } }
+);
+// Live locations that still have to be ended once they run out
+messageSchema.index(
+  { "location.liveUntil": 1 },
+  { partialFilterExpression: { "location.isLive": true } }
+);
+
+// Disappearing-messages timers available for chats and groups
+messageSchema.statics.DISAPPEARING_TIMERS = {
+  off: 0,
+  "24h": 24 * 60 * 60 * 1000,
+  "7d": 7 * 24 * 60 * 60 * 1000,
+  "90d": 90 * 24 * 60 * 60 * 1000,
+};
+
+// Static method to build the system message text for a timer change
+messageSchema.statics.describeDisappearingTimer = function (actorName, timer) {
+  const labels = { "24h": "24 hours", "7d": "7 days", "90d": "90 days" };
+  if (!this.DISAPPEARING_TIMERS[timer]) {
+    return `${actorName} turned off disappearing messages.`;
+  }
+  return `${actorName} turned on disappearing messages. New messages will disappear ${labels[timer]} after they're sent.`;
+};
+
+// Static method to get the expiry of a message sent now under a timer
+messageSchema.statics.getExpiryFor = function (timer) {
+  const duration = this.DISAPPEARING_TIMERS[timer];
+  return duration ? new Date(Date.now() + duration) : null;
+};
+
+// How long after sending a message its sender may still edit it
+messageSchema.statics.EDIT_WINDOW_MS =
+  (parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES) || 15) * 60 * 1000;
+
+// Method to check if the message can still be edited
+messageSchema.methods.isWithinEditWindow = function () {
+  const sentAt = this.timestamp || this.createdAt;
+  return (
+    Date.now() - new Date(sentAt).getTime() <= this.constructor.EDIT_WINDOW_MS
+  );
+};
+
+// Method to replace the content, keeping the previous version in the history
+messageSchema.methods.applyEdit = function (newContent) {
+  this.editHistory.push({
+    version: this.editHistory.length + 1,
+    content: this.content,
+    editedAt: this.editedAt || this.timestamp, // When this version was written
+  });
+  this.content = newContent;
+  this.isEdited = true;
+  this.editedAt = new Date();
+  // The preview is rebuilt from the new content
+  this.linkPreview = null;
+  return this;
+};
+
+// Method to check if the message has user-written content that can be edited
+messageSchema.methods.isEditableType = function () {
+  return !["system", "poll", "location", "contact"].includes(this.messageType);
+};
+
+// Maximum number of pinned messages per chat or group
+messageSchema.statics.MAX_PINNED_MESSAGES = 3;
+
+// Method to get the filter matching every message of this message's
+// conversation (its group, or both directions of its private chat)
+messageSchema.methods.conversationFilter = function () {
+  if (this.group) {
+    return { group: this.group._id || this.group };
+  }
+  const senderId = this.sender._id || this.sender;
+  const receiverId = this.receiver._id || this.receiver;
+  return {
+    $or: [
+      { sender: senderId, receiver: receiverId },
+      { sender: receiverId, receiver: senderId },
+    ],
+  };
+};
+
+// Mention markup written by the clients: @[Display Name](userId)
+const MENTION_PATTERN = /@\[[^\]]*\]\(([0-9a-fA-F]{24})\)/g;
+const MENTION_ALL_PATTERN = /(^|\s)@all\b/i;
+
+// Static method to find the mentions in a group message. Only group members
+// other than the sender can be mentioned; @all only counts for admins.
+messageSchema.statics.parseMentions = function (
+  content,
+  { memberIds, senderId, canMentionAll = false }
+) {
+  const members = new Set(memberIds.map((id) => id.toString()));
+  const mentionedIds = Array.from(
+    (content || "").matchAll(MENTION_PATTERN),
+    (match) => match[1]
+  );
+
+  return {
+    mentions: [...new Set(mentionedIds)].filter(
+      (userId) => members.has(userId) && userId !== senderId.toString()
+    ),
+    mentionsAll: canMentionAll && MENTION_ALL_PATTERN.test(content || ""),
+  };
+};
+
+// Static method to turn mention markup into readable "@Name" text
+messageSchema.statics.stripMentionMarkup = function (content) {
+  return (content || "").replace(MENTION_PATTERN, (match) =>
+    match.slice(0, match.indexOf("](")).replace("@[", "@")
+  );
+};
+
+// Static method to cut a search result snippet around the first word of
+// `query` found in the content. `highlights` holds the [start, end) ranges
+// of the query words within the snippet
+messageSchema.statics.buildSearchSnippet = function (
+  content,
+  query,
+  radius = 60
+) {
+  const text = this.stripMentionMarkup(content).replace(/\s+/g, " ").trim();
+  // Quoted phrases are matched word by word; "-word" excludes, so skip it
+  const terms = [
+    ...new Set(
+      String(query || "")
+        .replace(/"/g, " ")
+        .split(/\s+/)
+        .filter((term) => term && !term.startsWith("-"))
+        .map((term) => term.toLowerCase())
+    ),
+  ];
+  if (terms.length === 0) {
+    return { snippet: text.slice(0, radius * 2), highlights: [] };
+  }
+
+  const pattern = new RegExp(
+    terms.map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|"),
+    "gi"
+  );
+  const first = Math.max(text.search(pattern), 0);
+  const start = Math.max(first - radius, 0);
+  const end = Math.min(first + radius * 2, text.length);
+
+  const prefix = start > 0 ? "…" : "";
+  const snippet = `${prefix}${text.slice(start, end)}${
+    end < text.length ? "…" : ""
+  }`;
+
+  return {
+    snippet,
+    highlights: Array.from(snippet.matchAll(pattern), (match) => [
+      match.index,
+      match.index + match[0].length,
+    ]),
+  };
+};
+
+// Static method to validate the poll of a new poll message
+// Returns { poll } or { error }
+messageSchema.statics.buildPoll = function (input) {
+  const { question, options, allowMultiple, isAnonymous, closesAt } =
+    input || {};
+
+  if (typeof question !== "string" || !question.trim()) {
+    return { error: "Poll question is required" };
+  }
+
+  const texts = Array.isArray(options)
+    ? options.map((option) => String(option || "").trim()).filter(Boolean)
+    : [];
+  if (texts.length < 2 || texts.length > 12) {
+    return { error: "Polls need between 2 and 12 options" };
+  }
+  if (new Set(texts.map((text) => text.toLowerCase())).size !== texts.length) {
+    return { error: "Poll options must be unique" };
+  }
+
+  let closeTime = null;
+  if (closesAt) {
+    closeTime = new Date(closesAt);
+    if (isNaN(closeTime.getTime()) || closeTime <= new Date()) {
+      return { error: "Poll close time must be in the future" };
+    }
+  }
+
+  return {
+    poll: {
+      question: question.trim(),
+      options: texts.map((text) => ({ text, voters: [] })),
+      allowMultiple: !!allowMultiple,
+      isAnonymous: !!isAnonymous,
+      closesAt: closeTime,
+    },
+  };
+};
+
+// Method to check if the poll no longer accepts votes
+messageSchema.methods.isPollClosed = function () {
+  return (
+    !!this.poll.closedAt ||
+    (!!this.poll.closesAt && this.poll.closesAt <= new Date())
+  );
+};
+
+// Static method to replace a user's vote on a poll. An empty optionIds
+// retracts the vote. Returns { message } or { error }.
+messageSchema.statics.castPollVote = async function (
+  messageId,
+  userId,
+  optionIds
+) {
+  const message = await this.findOne({
+    _id: messageId,
+    messageType: "poll",
+    isDeleted: false,
+  });
+  if (!message) {
+    return { error: "Poll not found" };
+  }
+  if (message.isPollClosed()) {
+    return { error: "This poll is closed" };
+  }
+
+  const chosen = [...new Set((optionIds || []).map(String))];
+  const validIds = message.poll.options.map((option) => option._id.toString());
+  if (chosen.some((optionId) => !validIds.includes(optionId))) {
+    return { error: "Invalid poll option" };
+  }
+  if (!message.poll.allowMultiple && chosen.length > 1) {
+    return { error: "This poll allows only one choice" };
+  }
+
+  // Atomic updates, so votes cast at the same time don't overwrite each other
+  const voterId = new mongoose.Types.ObjectId(userId.toString());
+  await this.updateOne(
+    { _id: message._id },
+    { $pull: { "poll.options.$[].voters": voterId } }
+  );
+  if (chosen.length > 0) {
+    await this.updateOne(
+      { _id: message._id },
+      { $addToSet: { "poll.options.$[option].voters": voterId } },
+      {
+        arrayFilters: [
+          {
+            "option._id": {
+              $in: chosen.map((id) => new mongoose.Types.ObjectId(id)),
+            },
+          },
+        ],
+      }
+    );
+  }
+
+  return { message: await this.findById(message._id) };
+};
+
+// Number of bars stored for a voice note waveform
+const WAVEFORM_BARS = 64;
+
+// Static method to validate voice note metadata sent by the client and
+// reduce the waveform samples to WAVEFORM_BARS values between 0 and 100.
+// Returns { duration, waveform } or { error }
+messageSchema.statics.buildVoiceMetadata = function (duration, samples) {
+  const seconds = Number(duration);
+  if (!Number.isFinite(seconds) || seconds <= 0 || seconds > 15 * 60) {
+    return { error: "Voice note duration must be between 0 and 15 minutes" };
+  }
+
+  const values = (Array.isArray(samples) ? samples : [])
+    .map(Number)
+    .filter((value) => Number.isFinite(value) && value >= 0);
+  if (values.length === 0) {
+    return { duration: Math.round(seconds * 10) / 10, waveform: [] };
+  }
+
+  // Average the samples falling into each bar, then scale to the loudest bar
+  const bars = [];
+  const barCount = Math.min(WAVEFORM_BARS, values.length);
+  for (let i = 0; i < barCount; i++) {
+    const start = Math.floor((i * values.length) / barCount);
+    const end = Math.floor(((i + 1) * values.length) / barCount);
+    const bucket = values.slice(start, end);
+    bars.push(bucket.reduce((sum, value) => sum + value, 0) / bucket.length);
+  }
+  const peak = Math.max(...bars) || 1;
+
+  return {
+    duration: Math.round(seconds * 10) / 10,
+    waveform: bars.map((bar) => Math.round((bar / peak) * 100)),
+  };
+};
+
+// How long a live location can be shared for
+messageSchema.statics.LIVE_LOCATION_DURATIONS = {
+  "15m": 15 * 60 * 1000,
+  "1h": 60 * 60 * 1000,
+  "8h": 8 * 60 * 60 * 1000,
+};
+
+// Static method to validate a position sent by the client
+// Returns { latitude, longitude, accuracy } or { error }
+messageSchema.statics.parseCoordinates = function (input) {
+  const { latitude, longitude, accuracy } = input || {};
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+
+  if (
+    latitude === undefined ||
+    longitude === undefined ||
+    !Number.isFinite(lat) ||
+    !Number.isFinite(lng) ||
+    Math.abs(lat) > 90 ||
+    Math.abs(lng) > 180
+  ) {
+    return { error: "Valid latitude and longitude are required" };
+  }
+
+  const radius = Number(accuracy);
+  return {
+    latitude: lat,
+    longitude: lng,
+    accuracy:
+      accuracy !== undefined && accuracy !== null && radius >= 0
+        ? Math.round(radius)
+        : null,
+  };
+};
+
+// Static method to validate the location of a new location message. A
+// duration (one of LIVE_LOCATION_DURATIONS) makes it a live location.
+// Returns { location } or { error }
+messageSchema.statics.buildLocation = function (input) {
+  const coordinates = this.parseCoordinates(input);
+  if (coordinates.error) {
+    return coordinates;
+  }
+
+  const { label, duration } = input;
+  let liveUntil = null;
+  if (duration) {
+    const durationMs = this.LIVE_LOCATION_DURATIONS[duration];
+    if (!durationMs) {
+      return { error: "Invalid live location duration" };
+    }
+    liveUntil = new Date(Date.now() + durationMs);
+  }
+
+  return {
+    location: {
+      ...coordinates,
+      label: typeof label === "string" ? label.trim().slice(0, 200) : "",
+      isLive: !!liveUntil,
+      liveUntil,
+      endedAt: null,
+      updatedAt: new Date(),
+    },
+  };
+};
+
+// Method to check if a live location is still being shared
+messageSchema.methods.isLiveLocationActive = function () {
+  return (
+    !!this.location?.isLive &&
+    !this.location.endedAt &&
+    this.location.liveUntil > new Date()
+  );
+};
+
+// Static method to build the contact card of a user shared by senderId.
+// Only the sender's own contact or one of their friends can be shared.
+// Returns { contact } or { error }
+messageSchema.statics.buildContactCard = async function (senderId, contactId) {
+  if (!contactId || !mongoose.Types.ObjectId.isValid(contactId)) {
+    return { error: "A valid contact is required" };
+  }
+
+  const User = mongoose.model("User");
+  const sender = await User.findById(senderId).select("friends");
+  const isShareable =
+    contactId.toString() === senderId.toString() ||
+    sender?.friends?.some((friendId) => friendId.equals(contactId));
+  const contactUser =
+    isShareable && (await User.findById(contactId).select("name avatar"));
+  if (!contactUser) {
+    return { error: "You can only share your own or your friends' contacts" };
+  }
+
+  return {
+    contact: {
+      user: contactUser._id,
+      name: contactUser.name,
+      avatar: contactUser.avatar || null,
+    },
+  };
+};
+
+// Maximum number of chats and groups a message can be forwarded to at once
+messageSchema.statics.MAX_FORWARD_TARGETS = 5;
+
+// Method to build the forwarding fields of a copy of this message
+messageSchema.methods.buildForwardFields = function () {
+  return {
+    isForwarded: true,
+    forwardedFrom: this._id,
+    forwardCount: (this.forwardCount || 0) + 1,
+  };
+};
+
+// Build the reply fields for a new message. Returns null if the replied
+// message does not exist, is deleted or belongs to another conversation.
+messageSchema.statics.buildReplyFields = async function (
+  replyToId,
+  { senderId, receiverId, groupId }
+) {
+  const original = await this.findOne({
+    _id: replyToId,
+    isDeleted: false,
+  });
+
+  if (!original) {
+    return null;
+  }
+  // The sender's account may have been deleted since
+  const sender = await mongoose
+    .model("User")
+    .findById(original.sender)
+    .select("name");
+
+  if (groupId) {
+    if (!original.group || original.group.toString() !== groupId.toString()) {
+      return null;
+    }
+  } else {
+    if (original.group || !original.receiver) {
+      return null;
+    }
+    const conversation = [
+      original.sender.toString(),
+      original.receiver.toString(),
+    ].sort();
+    const expected = [senderId.toString(), receiverId.toString()].sort();
+    if (conversation[0] !== expected[0] || conversation[1] !== expected[1]) {
+      return null;
+    }
+  }
+
+  const content = original.content || "";
+
+  return {
+    replyTo: original._id,
+    threadRoot: original.threadRoot || original._id,
+    replyPreview: {
+      sender: original.sender,
+      senderName: sender?.name || "Unknown",
+      content:
+        content.length > 200 ? content.substring(0, 200) + "..." : content,
+      messageType: original.messageType,
+      attachmentName: original.attachment?.originalName || null,
+      thumbnail: original.attachment?.thumbnail || null,
+      timestamp: original.timestamp,
+    },
+  };
+};
+
+// Encode a message position (timestamp + _id) as an opaque pagination cursor
+messageSchema.statics.encodeCursor = function (message) {
+  return Buffer.from(
+    `${new Date(message.timestamp).getTime()}_${message._id}`
+  ).toString("base64url");
+};
+
+// Decode a pagination cursor. Returns null if the cursor is malformed.
+messageSchema.statics.decodeCursor = function (cursor) {
+  const [time, id] = Buffer.from(String(cursor), "base64url")
+    .toString()
+    .split("_");
+  const timestamp = new Date(Number(time));
+
+  if (isNaN(timestamp.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+  return { timestamp, id: new mongoose.Types.ObjectId(id) };
+};
+
+// Condition matching messages strictly older ("$lt") or newer ("$gt") than a
+// cursor, using _id to break ties between equal timestamps
+const cursorCondition = (cursor, op) => ({
+  $or: [
+    { timestamp: { [op]: cursor.timestamp } },
+    { timestamp: cursor.timestamp, _id: { [op]: cursor.id } },
+  ],
+});
+
+// Indexes superseded by their _id-suffixed versions above
+const LEGACY_INDEXES = [
+  "sender_1_receiver_1_timestamp_-1",
+  "group_1_timestamp_-1",
+];
+
+// Static method to drop indexes that were replaced, as Mongoose only ever
+// creates indexes. Safe to run on every start
+messageSchema.statics.dropLegacyIndexes = async function () {
+  const existing = await this.collection.indexes().catch(() => []);
+  for (const { name } of existing) {
+    if (LEGACY_INDEXES.includes(name)) {
+      try {
+        await this.collection.dropIndex(name);
+        console.log(`🗂️ Dropped legacy message index ${name}`);
+      } catch (error) {
+        console.error(`Error dropping message index ${name}:`, error);
+      }
+    }
+  }
+};
+
+// Static method to get the page size for a requested limit (1-100, 50 by
+// default)
+messageSchema.statics.clampPageSize = function (limit) {
+  return Math.min(Math.max(parseInt(limit) || 50, 1), 100);
+};
+
+// Fetch one page of a conversation in stable (timestamp, _id) order.
+// Pass `before` or `after` (decoded cursors) to page from a position, or
+// `around` (a message id) to load the messages surrounding that message.
+// Resolves to null if the `around` message is not in the conversation.
+messageSchema.statics.findPage = async function (
+  filter,
+  { before, after, around, limit = 50, populate = [] } = {}
+) {
+  const pageSize = this.clampPageSize(limit);
+
+  const fetch = (condition, direction, count) =>
+    this.find(condition ? { $and: [filter, condition] } : filter)
+      .populate(populate)
+      .sort({ timestamp: direction, _id: direction })
+      .limit(count + 1);
+
+  let older = [];
+  let newer = [];
+  let hasOlder = false;
+  let hasNewer = false;
+
+  if (around) {
+    if (!mongoose.Types.ObjectId.isValid(around)) {
+      return null;
+    }
+    const anchor = await this.findOne({ $and: [filter, { _id: around }] });
+    if (!anchor) {
+      return null;
+    }
+    const anchorCursor = { timestamp: anchor.timestamp, id: anchor._id };
+    const olderCount = Math.ceil(pageSize / 2);
+
+    older = await fetch(
+      {
+        $or: [
+          cursorCondition(anchorCursor, "$lt"),
+          { _id: anchor._id }, // Include the anchor itself
+        ],
+      },
+      -1,
+      olderCount
+    );
+    newer = await fetch(
+      cursorCondition(anchorCursor, "$gt"),
+      1,
+      pageSize - olderCount
+    );
+    hasOlder = older.length > olderCount;
+    hasNewer = newer.length > pageSize - olderCount;
+    older = older.slice(0, olderCount);
+    newer = newer.slice(0, pageSize - olderCount);
+  } else if (after) {
+    newer = await fetch(cursorCondition(after, "$gt"), 1, pageSize);
+    hasNewer = newer.length > pageSize;
+    hasOlder = true; // The cursor itself came from an older message
+    newer = newer.slice(0, pageSize);
+  } else {
+    older = await fetch(
+      before ? cursorCondition(before, "$lt") : null,
+      -1,
+      pageSize
+    );
+    hasOlder = older.length > pageSize;
+    hasNewer = !!before;
+    older = older.slice(0, pageSize);
+  }
+
+  // Oldest first, like the chat views render them
+  const messages = [...older.reverse(), ...newer];
+
+  return {
+    messages,
+    pagination: {
+      limit: pageSize,
+      hasOlder,
+      hasNewer,
+      olderCursor: messages.length > 0 ? this.encodeCursor(messages[0]) : null,
+      newerCursor:
+        messages.length > 0
+          ? this.encodeCursor(messages[messages.length - 1])
+          : null,
+    },
+  };
+};
+
+// Full-text search for `query` among the messages matching every condition
+// in `scope`, newest first. Pass `before` (a decoded cursor) for the next
+// page.
+messageSchema.statics.searchPage = async function (
+  query,
+  scope,
+  { before, limit = 20, populate = [] } = {}
+) {
+  const pageSize = this.clampPageSize(limit);
+  const conditions = before
+    ? [...scope, cursorCondition(before, "$lt")]
+    : scope;
+
+  const messages = await this.find({
+    $text: { $search: query },
+    $and: conditions,
+  })
+    .sort({ timestamp: -1, _id: -1 })
+    .limit(pageSize + 1)
+    .populate(populate);
+
+  const hasMore = messages.length > pageSize;
+  const page = messages.slice(0, pageSize);
+
+  return {
+    messages: page,
+    pagination: {
+      limit: pageSize,
+      hasMore,
+      nextCursor: hasMore ? this.encodeCursor(page[page.length - 1]) : null,
+    },
+  };
+};
+
+// The user's starred messages among those matching every condition in
+// `scope`, most recently starred first. Pass `before` (a decoded cursor over
+// the star time) for the next page.
+// Resolves to { entries: [{ message, starredAt }], pagination }
+messageSchema.statics.starredPage = async function (
+  userId,
+  scope,
+  { before, limit = 50, populate = [] } = {}
+) {
+  const pageSize = this.clampPageSize(limit);
+  const user = new mongoose.Types.ObjectId(userId.toString());
+
+  // Aggregation conditions aren't cast, so ids in `scope` must be ObjectIds
+  const starred = await this.aggregate([
+    { $match: { $and: [{ "starredBy.user": user }, ...scope] } },
+    {
+      $project: {
+        starredAt: {
+          $let: {
+            vars: {
+              star: {
+                $arrayElemAt: [
+                  {
+                    $filter: {
+                      input: "$starredBy",
+                      cond: { $eq: ["$$this.user", user] },
+                    },
+                  },
+                  0,
+                ],
+              },
+            },
+            in: "$$star.starredAt",
+          },
+        },
+      },
+    },
+    ...(before
+      ? [
+          {
+            $match: {
+              $or: [
+                { starredAt: { $lt: before.timestamp } },
+                { starredAt: before.timestamp, _id: { $lt: before.id } },
+              ],
+            },
+          },
+        ]
+      : []),
+    { $sort: { starredAt: -1, _id: -1 } },
+    { $limit: pageSize + 1 },
+  ]);
+
+  const hasMore = starred.length > pageSize;
+  const page = starred.slice(0, pageSize);
+  const messages = await this.find({
+    _id: { $in: page.map((entry) => entry._id) },
+  }).populate(populate);
+  const byId = new Map(
+    messages.map((message) => [message._id.toString(), message])
+  );
+  const last = page[page.length - 1];
+
+  return {
+    entries: page
+      .filter((entry) => byId.has(entry._id.toString()))
+      .map((entry) => ({
+        message: byId.get(entry._id.toString()),
+        starredAt: entry.starredAt,
+      })),
+    pagination: {
+      limit: pageSize,
+      hasMore,
+      nextCursor: hasMore
+        ? this.encodeCursor({ timestamp: last.starredAt, _id: last._id })
+        : null,
+    },
+  };
+};
+
+// Method to summarise delivery and read receipts for the sender's ticks
+messageSchema.methods.getReceiptSummary = function () {
+  const deliveredCount = this.deliveredTo.length;
+  // Private messages marked read before receipts existed only have isRead
+  const readCount = Math.max(
+    this.readBy.length,
+    !this.group && this.isRead ? 1 : 0
+  );
+
+  const playedCount = this.playedBy?.length || 0;
+
+  let status = "sent";
+  if (this.messageType === "voice" && playedCount >= this.recipientCount) {
+    status = "played";
+  } else if (readCount >= this.recipientCount) {
+    status = "read";
+  } else if (Math.max(deliveredCount, readCount) >= this.recipientCount) {
+    status = "delivered";
+  }
+
+  return {
+    messageId: this._id,
+    senderId: this.sender._id || this.sender,
+    groupId: this.group?._id || this.group || null,
+    recipientCount: this.recipientCount,
+    deliveredCount: Math.max(deliveredCount, readCount),
+    readCount,
+    playedCount,
+    status,
+  };
+};
+
+// Record "delivered", "read" or (voice notes) "played" receipts from a
+// recipient on every message matching the filter that they have not
+// acknowledged yet. Resolves to the receipt summaries of the messages that
+// changed.
+messageSchema.statics.recordReceipts = async function (
+  filter,
+  userId,
+  status = "delivered"
+) {
+  const field = { read: "readBy", played: "playedBy" }[status] || "deliveredTo";
+
+  const pending = await this.find({
+    $and: [
+      filter,
+      { sender: { $ne: userId } },
+      { [`${field}.user`]: { $ne: userId } },
+    ],
+  }).select("_id");
+
+  if (pending.length === 0) {
+    return [];
+  }
+
+  const ids = pending.map((msg) => msg._id);
+  const now = new Date();
+
+  // Reading a message implies it has reached the device
+  await this.updateMany(
+    { _id: { $in: ids }, "deliveredTo.user": { $ne: userId } },
+    { $push: { deliveredTo: { user: userId, deliveredAt: now } } }
+  );
+  // ...and playing a voice note implies it has been read
+  if (status === "read" || status === "played") {
+    await this.updateMany(
+      { _id: { $in: ids }, "readBy.user": { $ne: userId } },
+      { $push: { readBy: { user: userId, readAt: now } } }
+    );
+  }
+  if (status === "played") {
+    await this.updateMany(
+      { _id: { $in: ids }, "playedBy.user": { $ne: userId } },
+      { $push: { playedBy: { user: userId, playedAt: now } } }
+    );
+  }
+
+  const updated = await this.find({ _id: { $in: ids } }).select(
+    "sender group messageType isRead recipientCount deliveredTo readBy playedBy"
+  );
+  return updated.map((msg) => msg.getReceiptSummary());
+};
 
 module.exports = mongoose.model("Message", messageSchema);
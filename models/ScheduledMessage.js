@@ -0,0 +1,116 @@
+const mongoose = require("mongoose");
+
+const scheduledMessageSchema = new mongoose.Schema(
+  {
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    receiver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: function () {
+        return !this.group;
+      },
+    },
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Group",
+      required: function () {
+        return !this.receiver;
+      },
+    },
+    content: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    messageType: {
+      type: String,
+      enum: ["text", "image", "video", "file", "voice"],
+      default: "text",
+    },
+    // Same shape as Message.attachment, copied over when sending
+    attachment: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    replyTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+    scheduledFor: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "sending", "sent", "failed", "cancelled"],
+      default: "pending",
+    },
+    // Set when a dispatcher claims the message, so a crashed send is retried
+    lockedAt: {
+      type: Date,
+      default: null,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // Failed sends wait until then before being retried
+    nextAttemptAt: {
+      type: Date,
+      default: null,
+    },
+    // Id of the message it is sent as, picked when first claimed so a retry
+    // can tell whether an earlier attempt already sent it
+    sentMessage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+    sentAt: {
+      type: Date,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for the dispatcher and for listing a user's scheduled messages
+scheduledMessageSchema.index({ status: 1, scheduledFor: 1 });
+scheduledMessageSchema.index({ sender: 1, status: 1, scheduledFor: 1 });
+
+// Latest time a message can be scheduled for
+const MAX_SCHEDULE_AHEAD_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Static method to validate a requested send time
+// Returns { scheduledFor } or { error }
+scheduledMessageSchema.statics.parseScheduledFor = function (value) {
+  const scheduledFor = value ? new Date(value) : null;
+  if (!scheduledFor || isNaN(scheduledFor.getTime())) {
+    return { error: "A valid scheduledFor date is required" };
+  }
+  if (scheduledFor <= new Date()) {
+    return { error: "Scheduled time must be in the future" };
+  }
+  if (scheduledFor.getTime() - Date.now() > MAX_SCHEDULE_AHEAD_MS) {
+    return { error: "Messages can be scheduled at most one year ahead" };
+  }
+  return { scheduledFor };
+};
+
+// Method to check whether the message can still be changed or cancelled
+scheduledMessageSchema.methods.isPending = function () {
+  return this.status === "pending";
+};
+
+module.exports = mongoose.model("ScheduledMessage", scheduledMessageSchema);
@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    deviceName: {
+      type: String,
+      default: "Unknown device",
+      trim: true,
+    },
+    platform: {
+      type: String,
+      enum: ["web", "android", "ios", "desktop", "unknown"],
+      default: "unknown",
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    ipAddress: {
+      type: String,
+      default: "",
+    },
+    lastActiveAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Set when the user signs the device out remotely or logs out
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // Same lifetime as the JWT
+      index: { expireAfterSeconds: 0 }, // Auto-delete after expiration
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for efficient querying
+sessionSchema.index({ user: 1, revokedAt: 1, lastActiveAt: -1 });
+
+// Virtual for session status
+sessionSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Method to revoke the session
+sessionSchema.methods.revoke = function () {
+  this.revokedAt = new Date();
+  return this.save();
+};
+
+module.exports = mongoose.model("Session", sessionSchema);
@@ -80,6 +80,29 @@ const userSchema = new mongoose.Schema(
         },
       },
     ],
+    // When the user's last device went offline
+    lastSeen: {
+      type: Date,
+      default: null,
+    },
+    // Who can see the user's last seen time and online status
+    privacy: {
+      lastSeen: {
+        type: String,
+        enum: ["everyone", "friends", "nobody"],
+        default: "everyone",
+      },
+      onlineStatus: {
+        type: String,
+        enum: ["everyone", "friends", "nobody"],
+        default: "everyone",
+      },
+    },
+    // Last sequence number written to this user's sync event log
+    eventSeq: {
+      type: Number,
+      default: 0,
+    },
     fcmTokens: [
       {
         token: {
@@ -108,4 +131,42 @@ userSchema.index({ email: 1 });
 userSchema.index({ phone: 1 });
 userSchema.index({ "otp.expiresAt": 1 }, { expireAfterSeconds: 0 });
 
+// Static method to normalize a phone number for lookups: digits only, and
+// 10 to 15 of them. Returns null when the number isn't valid
+userSchema.statics.normalizePhone = function (phone) {
+  const digits = String(phone ?? "").replace(/\D/g, "");
+  return digits.length >= 10 && digits.length <= 15 ? digits : null;
+};
+
+// Fields needed to check presence privacy with canShowPresence
+userSchema.statics.PRESENCE_FIELDS =
+  "name avatar friends blockedUsers privacy lastSeen";
+
+// Method to check if viewerId may see this user's "lastSeen" or
+// "onlineStatus", according to the user's privacy settings
+userSchema.methods.canShowPresence = function (viewerId, field) {
+  const viewer = viewerId.toString();
+  if (viewer === this._id.toString()) {
+    return true;
+  }
+  if ((this.blockedUsers || []).some((id) => id.toString() === viewer)) {
+    return false;
+  }
+
+  const setting = this.privacy?.[field] || "everyone";
+  if (setting === "friends") {
+    return (this.friends || []).some((id) => id.toString() === viewer);
+  }
+  return setting === "everyone";
+};
+
+// Method to get the public fields sent with presence updates
+userSchema.methods.toPresenceProfile = function () {
+  return {
+    _id: this._id,
+    name: this.name,
+    avatar: this.avatar,
+  };
+};
+
 module.exports = mongoose.model("User", userSchema);
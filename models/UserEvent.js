@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+const userEventSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Per-user sequence number, increases by one for every event
+    seq: {
+      type: Number,
+      required: true,
+    },
+    // Socket event name (new-message, message-deleted, reaction-added, ...)
+    event: {
+      type: String,
+      required: true,
+    },
+    // Message the event is about, replayed in its current state on sync
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+    // Extra event fields (groupId, chatRoomId, receipts, ...)
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days from now
+      index: { expireAfterSeconds: 0 }, // Auto-delete after expiration
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One entry per sequence number per user
+userEventSchema.index({ user: 1, seq: 1 }, { unique: true });
+
+module.exports = mongoose.model("UserEvent", userEventSchema);
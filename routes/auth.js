@@ -1,16 +1,36 @@
 const express = require("express");
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const Session = require("../models/Session");
+const auth = require("../middleware/auth");
 const { generateOTP, sendOTPEmail } = require("../services/emailService");
+const {
+  disconnectSession,
+  getOnlineSessionIds,
+} = require("../socket/socketServer");
 
 const router = express.Router();
 
 // Middleware for rate limiting (you can add this later)
 // const rateLimit = require('express-rate-limit');
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: "7d" });
+// Create a device session and generate a JWT token bound to it
+const generateToken = async (userId, req) => {
+  const { deviceName, platform } = req.body;
+  const validPlatforms = Session.schema.path("platform").enumValues;
+
+  const session = await Session.create({
+    user: userId,
+    deviceName:
+      deviceName || req.header("User-Agent")?.substring(0, 100) || undefined,
+    platform: validPlatforms.includes(platform) ? platform : "unknown",
+    userAgent: req.header("User-Agent") || "",
+    ipAddress: req.ip,
+  });
+
+  return jwt.sign({ userId, sessionId: session._id }, process.env.JWT_SECRET, {
+    expiresIn: "7d",
+  });
 };
 
 // Send OTP for login
@@ -100,7 +120,7 @@ router.post("/verify-otp-login", async (req, res) => {
     });
 
     // Generate token
-    const token = generateToken(user._id);
+    const token = await generateToken(user._id, req);
 
     res.json({
       success: true,
@@ -276,7 +296,7 @@ router.post("/verify-otp-signup", async (req, res) => {
     const updatedUser = await User.findById(user._id);
 
     // Generate token
-    const token = generateToken(updatedUser._id);
+    const token = await generateToken(updatedUser._id, req);
 
     res.json({
       success: true,
@@ -395,8 +415,8 @@ router.post("/find-users-by-phones", async (req, res) => {
 
     // Clean and validate phone numbers
     const cleanedPhones = phoneNumbers
-      .map((phone) => phone.replace(/\D/g, "")) // Remove non-digits
-      .filter((phone) => phone.length >= 10 && phone.length <= 15); // Valid length
+      .map((phone) => User.normalizePhone(phone))
+      .filter(Boolean);
 
     if (cleanedPhones.length === 0) {
       return res.json({
@@ -442,11 +462,101 @@ router.post("/find-users-by-phones", async (req, res) => {
   }
 });
 
-// Logout (optional - for token blacklisting)
+// List the devices the current user is logged in on
+router.get("/sessions", auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastActiveAt: -1 });
+
+    const io = req.app.get("io");
+    const onlineSessionIds = io
+      ? await getOnlineSessionIds(io, req.user._id)
+      : [];
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map((session) => ({
+          id: session._id,
+          deviceName: session.deviceName,
+          platform: session.platform,
+          ipAddress: session.ipAddress,
+          createdAt: session.createdAt,
+          lastActiveAt: session.lastActiveAt,
+          isCurrent: session._id.toString() === req.sessionId,
+          isOnline: onlineSessionIds.includes(session._id.toString()),
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Get sessions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// Sign out a single device
+router.delete("/sessions/:sessionId", auth, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const session = await Session.findOne({
+      _id: sessionId,
+      user: req.user._id,
+      revokedAt: null,
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      });
+    }
+
+    await session.revoke();
+
+    // Drop the device's live socket connections
+    const io = req.app.get("io");
+    if (io) {
+      await disconnectSession(io, req.user._id, session._id);
+    }
+
+    res.json({
+      success: true,
+      message: "Device signed out successfully",
+      data: { sessionId: session._id },
+    });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// Logout - signs out the device the token belongs to
 router.post("/logout", async (req, res) => {
   try {
-    // In a real app, you might want to blacklist the token
-    // For now, we'll just return success
+    const token = req.header("Authorization")?.replace("Bearer ", "");
+    if (token) {
+      try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        if (decoded.sessionId) {
+          await Session.findByIdAndUpdate(decoded.sessionId, {
+            revokedAt: new Date(),
+          });
+        }
+      } catch (error) {
+        // Invalid or expired tokens have nothing left to sign out
+      }
+    }
+
     res.json({
       success: true,
       message: "Logged out successfully",
@@ -0,0 +1,339 @@
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const ChatRoom = require("../models/ChatRoom");
+const Group = require("../models/Group");
+const Message = require("../models/Message");
+const User = require("../models/User");
+const ConversationPreference = require("../models/ConversationPreference");
+const { getTypingUsers } = require("../socket/socketServer");
+
+const router = express.Router();
+
+// Middleware to verify JWT token
+const verifyToken = (req, res, next) => {
+  const token = req.header("Authorization")?.replace("Bearer ", "");
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: "Access denied. No token provided.",
+    });
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    req.userId = decoded.userId;
+    next();
+  } catch (error) {
+    res.status(401).json({
+      success: false,
+      message: "Invalid token.",
+    });
+  }
+};
+
+// Aggregation returning one page of the user's private chats (with friends)
+// and groups, newest activity first, with unread counts, mention flags and
+// last message previews computed in the same query
+const buildInboxPipeline = (
+  userId,
+  { friendIds, archivedIds, showArchived, cursor, limit }
+) => {
+  const pipeline = [
+    {
+      $match: {
+        participants: userId,
+        isActive: true,
+        roomType: "private",
+        deletedFor: { $ne: userId },
+      },
+    },
+    {
+      $project: {
+        type: { $literal: "chat" },
+        lastActivity: 1,
+        lastMessage: 1,
+        disappearingTimer: 1,
+        otherUser: {
+          $first: {
+            $filter: {
+              input: "$participants",
+              cond: { $ne: ["$$this", userId] },
+            },
+          },
+        },
+      },
+    },
+    // Only chats with friends are listed, like /api/messages/chatrooms
+    { $match: { otherUser: { $in: friendIds } } },
+    {
+      $unionWith: {
+        coll: Group.collection.name,
+        pipeline: [
+          { $match: { members: userId, isActive: true } },
+          {
+            $project: {
+              type: { $literal: "group" },
+              lastActivity: 1,
+              lastMessage: 1,
+              name: 1,
+              avatar: 1,
+              memberCount: { $size: "$members" },
+              disappearingTimer: "$settings.disappearingTimer",
+            },
+          },
+        ],
+      },
+    },
+    // Archived conversations are listed separately (?archived=true)
+    {
+      $match: {
+        _id: showArchived ? { $in: archivedIds } : { $nin: archivedIds },
+      },
+    },
+  ];
+
+  if (cursor) {
+    pipeline.push({
+      $match: {
+        $or: [
+          { lastActivity: { $lt: cursor.timestamp } },
+          { lastActivity: cursor.timestamp, _id: { $lt: cursor.id } },
+        ],
+      },
+    });
+  }
+
+  pipeline.push(
+    { $sort: { lastActivity: -1, _id: -1 } },
+    { $limit: limit + 1 },
+    {
+      $lookup: {
+        from: Message.collection.name,
+        localField: "lastMessage",
+        foreignField: "_id",
+        as: "lastMessage",
+        pipeline: [
+          {
+            $lookup: {
+              from: User.collection.name,
+              localField: "sender",
+              foreignField: "_id",
+              as: "sender",
+              pipeline: [{ $project: { name: 1, avatar: 1 } }],
+            },
+          },
+          {
+            $project: {
+              content: 1,
+              messageType: 1,
+              timestamp: 1,
+              isRead: 1,
+              isDeleted: 1,
+              sender: { $first: "$sender" },
+            },
+          },
+        ],
+      },
+    },
+    {
+      $lookup: {
+        from: User.collection.name,
+        localField: "otherUser",
+        foreignField: "_id",
+        as: "otherUser",
+        pipeline: [{ $project: { name: 1, email: 1, avatar: 1 } }],
+      },
+    },
+    // Unread messages from the other user of a private chat
+    {
+      $lookup: {
+        from: Message.collection.name,
+        localField: "otherUser._id",
+        foreignField: "sender",
+        as: "chatUnread",
+        pipeline: [
+          { $match: { receiver: userId, isRead: false } },
+          { $count: "count" },
+        ],
+      },
+    },
+    // Unread messages of a group, and whether any of them mentions the user
+    {
+      $lookup: {
+        from: Message.collection.name,
+        localField: "_id",
+        foreignField: "group",
+        as: "groupUnread",
+        pipeline: [
+          {
+            $match: {
+              sender: { $ne: userId },
+              "readBy.user": { $ne: userId },
+            },
+          },
+          {
+            $group: {
+              _id: null,
+              count: { $sum: 1 },
+              mentioned: {
+                $max: {
+                  $or: [
+                    { $in: [userId, { $ifNull: ["$mentions", []] }] },
+                    { $eq: ["$mentionsAll", true] },
+                  ],
+                },
+              },
+            },
+          },
+        ],
+      },
+    },
+    {
+      $set: {
+        lastMessage: { $first: "$lastMessage" },
+        otherUser: { $first: "$otherUser" },
+        unreadCount: {
+          $ifNull: [
+            { $first: "$chatUnread.count" },
+            { $ifNull: [{ $first: "$groupUnread.count" }, 0] },
+          ],
+        },
+        hasUnreadMention: {
+          $ifNull: [{ $first: "$groupUnread.mentioned" }, false],
+        },
+      },
+    },
+    { $unset: ["chatUnread", "groupUnread"] }
+  );
+
+  return pipeline;
+};
+
+// Get private chats and groups in one list, newest activity first
+router.get("/", verifyToken, async (req, res) => {
+  try {
+    const userId = new mongoose.Types.ObjectId(req.userId);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = Message.decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid cursor",
+        });
+      }
+    }
+
+    const currentUser = await User.findById(userId).select("friends");
+    const preferences = await ConversationPreference.find({ user: userId });
+    const preferencesById = new Map(
+      preferences.map((preference) => [
+        (preference.chatRoom || preference.group).toString(),
+        preference,
+      ])
+    );
+    const archivedIds = preferences
+      .filter((preference) => preference.archived)
+      .map((preference) => preference.chatRoom || preference.group);
+
+    const results = await ChatRoom.aggregate(
+      buildInboxPipeline(userId, {
+        friendIds: currentUser?.friends || [],
+        archivedIds,
+        showArchived: req.query.archived === "true",
+        cursor,
+        limit,
+      })
+    );
+
+    const hasMore = results.length > limit;
+    const page = results.slice(0, limit);
+
+    const conversations = await Promise.all(
+      page.map(async (entry) => {
+        const isGroup = entry.type === "group";
+        const typing = isGroup
+          ? (await getTypingUsers(`group:${entry._id}`)).filter(
+              (typingUserId) => typingUserId !== req.userId
+            )
+          : (await getTypingUsers(`chat:${req.userId}`)).filter(
+              (typingUserId) => typingUserId === entry.otherUser?._id.toString()
+            );
+
+        return {
+          type: entry.type,
+          id: entry._id,
+          ...(isGroup
+            ? {
+                group: {
+                  id: entry._id,
+                  name: entry.name,
+                  avatar: entry.avatar,
+                  memberCount: entry.memberCount,
+                },
+              }
+            : {
+                otherUser: entry.otherUser && {
+                  id: entry.otherUser._id,
+                  name: entry.otherUser.name,
+                  email: entry.otherUser.email,
+                  avatar: entry.otherUser.avatar,
+                },
+              }),
+          lastMessage: entry.lastMessage
+            ? {
+                id: entry.lastMessage._id,
+                content: entry.lastMessage.isDeleted
+                  ? ""
+                  : Message.stripMentionMarkup(entry.lastMessage.content),
+                messageType: entry.lastMessage.messageType,
+                timestamp: entry.lastMessage.timestamp,
+                sender: entry.lastMessage.sender,
+                isRead: entry.lastMessage.isRead,
+                isDeleted: entry.lastMessage.isDeleted,
+              }
+            : null,
+          lastActivity: entry.lastActivity,
+          unreadCount: entry.unreadCount,
+          hasUnreadMention: entry.hasUnreadMention,
+          typing,
+          disappearingTimer: entry.disappearingTimer || "off",
+          preferences: ConversationPreference.toSettings(
+            preferencesById.get(entry._id.toString())
+          ),
+        };
+      })
+    );
+
+    const last = page[page.length - 1];
+
+    res.json({
+      success: true,
+      data: {
+        conversations,
+        pagination: {
+          hasMore,
+          nextCursor:
+            hasMore && last
+              ? Message.encodeCursor({
+                  timestamp: last.lastActivity,
+                  _id: last._id,
+                })
+              : null,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get conversations error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,294 @@
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const fs = require("fs");
+const mongoose = require("mongoose");
+const ExportJob = require("../models/ExportJob");
+const chatExportService = require("../services/chatExportService");
+
+const router = express.Router();
+
+// Middleware to verify JWT token
+const verifyToken = (req, res, next) => {
+  const token = req.header("Authorization")?.replace("Bearer ", "");
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: "Access denied. No token provided.",
+    });
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    req.userId = decoded.userId;
+    next();
+  } catch (error) {
+    res.status(401).json({
+      success: false,
+      message: "Invalid token.",
+    });
+  }
+};
+
+// Content-Disposition header for a download, with a UTF-8 file name
+const attachmentHeader = (fileName) =>
+  `attachment; filename="${fileName.replace(
+    /[^\x20-\x7e]|"/g,
+    "_"
+  )}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+
+// Stream an export of a private chat ({ chatUserId }) or group ({ groupId })
+const streamExport = async (req, res, target) => {
+  const format = req.query.format || "json";
+  const includeAttachments = req.query.attachments === "true";
+
+  if (!ExportJob.FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: `Format must be one of: ${ExportJob.FORMATS.join(", ")}`,
+    });
+  }
+
+  try {
+    const result = await chatExportService.resolveConversation(
+      req.userId,
+      target
+    );
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error,
+      });
+    }
+
+    const messageCount = await chatExportService.countMessages(
+      result.conversation
+    );
+    if (messageCount > chatExportService.maxDirectMessages) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "This conversation is too big to export directly, start an export job instead",
+        data: {
+          messageCount,
+          limit: chatExportService.maxDirectMessages,
+        },
+      });
+    }
+
+    res.setHeader(
+      "Content-Type",
+      chatExportService.getContentType(format, includeAttachments)
+    );
+    res.setHeader(
+      "Content-Disposition",
+      attachmentHeader(
+        chatExportService.getFileName(
+          result.conversation,
+          format,
+          includeAttachments
+        )
+      )
+    );
+
+    await chatExportService.writeExport(
+      res,
+      result.conversation,
+      format,
+      includeAttachments
+    );
+    console.log(`📦 Exported ${result.conversation.type} for ${req.userId}`);
+  } catch (error) {
+    console.error("Export chat error:", error);
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+};
+
+// Download the history of a private chat
+router.get("/chat/:userId", verifyToken, (req, res) =>
+  streamExport(req, res, { chatUserId: req.params.userId })
+);
+
+// Download the history of a group
+router.get("/group/:groupId", verifyToken, (req, res) =>
+  streamExport(req, res, { groupId: req.params.groupId })
+);
+
+// Start a background export of a private chat (userId) or group (groupId)
+router.post("/", verifyToken, async (req, res) => {
+  try {
+    const {
+      userId: chatUserId,
+      groupId,
+      format = "json",
+      includeAttachments = false,
+    } = req.body;
+
+    if (!chatUserId === !groupId) {
+      return res.status(400).json({
+        success: false,
+        message: "Either userId or groupId is required",
+      });
+    }
+    if (!ExportJob.FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${ExportJob.FORMATS.join(", ")}`,
+      });
+    }
+
+    const result = await chatExportService.resolveConversation(req.userId, {
+      chatUserId,
+      groupId,
+    });
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error,
+      });
+    }
+
+    const activeJobs = await ExportJob.countDocuments({
+      user: req.userId,
+      status: { $in: ["pending", "processing"] },
+    });
+    if (activeJobs >= ExportJob.MAX_ACTIVE_JOBS) {
+      return res.status(429).json({
+        success: false,
+        message: `You can run at most ${ExportJob.MAX_ACTIVE_JOBS} exports at a time`,
+      });
+    }
+
+    const job = await ExportJob.create({
+      user: req.userId,
+      chatUser: groupId ? undefined : chatUserId,
+      group: groupId || undefined,
+      format,
+      includeAttachments: !!includeAttachments,
+    });
+
+    console.log(`📦 Export ${job._id} queued for ${req.userId}`);
+
+    // Start right away instead of waiting for the next poll
+    chatExportService.processPending();
+
+    res.status(202).json({
+      success: true,
+      message: "Export started",
+      data: {
+        job: job.toStatus(),
+      },
+    });
+  } catch (error) {
+    console.error("Create export error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// Get the user's recent exports
+router.get("/", verifyToken, async (req, res) => {
+  try {
+    const jobs = await ExportJob.find({ user: req.userId })
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    res.json({
+      success: true,
+      data: {
+        jobs: jobs.map((job) => job.toStatus()),
+      },
+    });
+  } catch (error) {
+    console.error("Get exports error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// Get the status of an export
+router.get("/:jobId", verifyToken, async (req, res) => {
+  try {
+    const job = mongoose.isValidObjectId(req.params.jobId)
+      ? await ExportJob.findOne({ _id: req.params.jobId, user: req.userId })
+      : null;
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Export not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        job: job.toStatus(),
+      },
+    });
+  } catch (error) {
+    console.error("Get export error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// Download a completed export
+router.get("/:jobId/download", verifyToken, async (req, res) => {
+  try {
+    const job = mongoose.isValidObjectId(req.params.jobId)
+      ? await ExportJob.findOne({ _id: req.params.jobId, user: req.userId })
+      : null;
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Export not found",
+      });
+    }
+
+    if (job.status !== "completed" || job.expiresAt <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message:
+          job.status === "completed"
+            ? "This export has expired"
+            : "Export is not ready yet",
+      });
+    }
+
+    const filePath = chatExportService.getFilePath(job);
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({
+        success: false,
+        message: "Export file not found",
+      });
+    }
+
+    res.setHeader(
+      "Content-Type",
+      chatExportService.getContentType(job.format, job.includeAttachments)
+    );
+    res.setHeader("Content-Disposition", attachmentHeader(job.fileName));
+    res.sendFile(filePath);
+  } catch (error) {
+    console.error("Download export error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+module.exports = router;
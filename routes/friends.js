@@ -1,7 +1,10 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
 const FriendRequest = require("../models/FriendRequest");
+const Message = require("../models/Message");
+const Group = require("../models/Group");
 
 const router = express.Router();
 
@@ -38,11 +41,66 @@ const authenticateUser = async (req, res, next) => {
   }
 };
 
+// Create a friend request from senderId to userId
+// Returns { friendRequest, targetUser } or { error, status }
+const createFriendRequest = async (senderId, userId, message = "") => {
+  // Check if trying to send request to themselves
+  if (userId.toString() === senderId.toString()) {
+    return {
+      error: "You cannot send friend request to yourself",
+      status: 400,
+    };
+  }
+
+  // Check if the user exists
+  const targetUser = await User.findById(userId);
+  if (!targetUser) {
+    return { error: "User not found", status: 404 };
+  }
+
+  // Check if users are already friends
+  const currentUser = await User.findById(senderId);
+  if (currentUser.friends && currentUser.friends.includes(userId)) {
+    return { error: "You are already friends with this user", status: 400 };
+  }
+
+  // Check if friend request already exists
+  const existingRequest = await FriendRequest.findOne({
+    $or: [
+      { sender: senderId, receiver: userId },
+      { sender: userId, receiver: senderId },
+    ],
+  });
+
+  if (existingRequest) {
+    if (existingRequest.status === "pending") {
+      return { error: "Friend request already exists", status: 400 };
+    } else if (existingRequest.status === "accepted") {
+      return { error: "You are already friends", status: 400 };
+    }
+  }
+
+  // Create new friend request
+  const friendRequest = new FriendRequest({
+    sender: senderId,
+    receiver: userId,
+    message: message.trim(),
+    status: "pending",
+  });
+
+  await friendRequest.save();
+
+  // Populate sender info for response
+  await friendRequest.populate("sender", "name email avatar");
+  await friendRequest.populate("receiver", "name email avatar");
+
+  return { friendRequest, targetUser };
+};
+
 // Send friend request
 router.post("/request", authenticateUser, async (req, res) => {
   try {
     const { userId, message = "" } = req.body;
-    const senderId = req.user._id;
 
     // Validation
     if (!userId) {
@@ -52,73 +110,19 @@ router.post("/request", authenticateUser, async (req, res) => {
       });
     }
 
-    // Check if trying to send request to themselves
-    if (userId === senderId.toString()) {
-      return res.status(400).json({
-        success: false,
-        message: "You cannot send friend request to yourself",
-      });
-    }
-
-    // Check if the user exists
-    const targetUser = await User.findById(userId);
-    if (!targetUser) {
-      return res.status(404).json({
-        success: false,
-        message: "User not found",
-      });
-    }
-
-    // Check if users are already friends
-    const currentUser = await User.findById(senderId);
-    if (currentUser.friends && currentUser.friends.includes(userId)) {
-      return res.status(400).json({
+    const result = await createFriendRequest(req.user._id, userId, message);
+    if (result.error) {
+      return res.status(result.status).json({
         success: false,
-        message: "You are already friends with this user",
+        message: result.error,
       });
     }
 
-    // Check if friend request already exists
-    const existingRequest = await FriendRequest.findOne({
-      $or: [
-        { sender: senderId, receiver: userId },
-        { sender: userId, receiver: senderId },
-      ],
-    });
-
-    if (existingRequest) {
-      if (existingRequest.status === "pending") {
-        return res.status(400).json({
-          success: false,
-          message: "Friend request already exists",
-        });
-      } else if (existingRequest.status === "accepted") {
-        return res.status(400).json({
-          success: false,
-          message: "You are already friends",
-        });
-      }
-    }
-
-    // Create new friend request
-    const friendRequest = new FriendRequest({
-      sender: senderId,
-      receiver: userId,
-      message: message.trim(),
-      status: "pending",
-    });
-
-    await friendRequest.save();
-
-    // Populate sender info for response
-    await friendRequest.populate("sender", "name email avatar");
-    await friendRequest.populate("receiver", "name email avatar");
-
     res.json({
       success: true,
-      message: `Friend request sent to ${targetUser.name}`,
+      message: `Friend request sent to ${result.targetUser.name}`,
       data: {
-        friendRequest,
+        friendRequest: result.friendRequest,
       },
     });
   } catch (error) {
@@ -130,6 +134,88 @@ router.post("/request", authenticateUser, async (req, res) => {
   }
 });
 
+// Send a friend request to the user of a contact card shared with you
+router.post(
+  "/request/contact-card/:messageId",
+  authenticateUser,
+  async (req, res) => {
+    try {
+      const userId = req.user._id;
+      const { messageId } = req.params;
+      const { message = "" } = req.body || {};
+
+      if (typeof message !== "string") {
+        return res.status(400).json({
+          success: false,
+          message: "Message must be text",
+        });
+      }
+
+      const card =
+        mongoose.isValidObjectId(messageId) &&
+        (await Message.findOne({
+          _id: messageId,
+          messageType: "contact",
+          isDeleted: false,
+        }));
+
+      // The card must be in one of the user's chats or groups
+      const canSee =
+        card &&
+        (card.group
+          ? await Group.exists({ _id: card.group, members: userId })
+          : [card.sender, card.receiver].some((id) => id?.equals(userId)));
+      if (!canSee) {
+        return res.status(404).json({
+          success: false,
+          message: "Contact card not found",
+        });
+      }
+
+      // No requests between users who blocked each other
+      const contact = await User.findById(card.contact.user).select(
+        "blockedUsers"
+      );
+      if (
+        contact &&
+        (req.user.blockedUsers?.some((id) => id.equals(contact._id)) ||
+          contact.blockedUsers?.some((id) => id.equals(userId)))
+      ) {
+        return res.status(403).json({
+          success: false,
+          message: "Cannot send a friend request to this user",
+        });
+      }
+
+      const result = await createFriendRequest(
+        userId,
+        card.contact.user,
+        message
+      );
+      if (result.error) {
+        return res.status(result.status).json({
+          success: false,
+          message: result.error,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Friend request sent to ${result.targetUser.name}`,
+        data: {
+          friendRequest: result.friendRequest,
+        },
+      });
+    } catch (error) {
+      console.error("Contact card friend request error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
 // Accept friend request
 router.post("/accept/:requestId", authenticateUser, async (req, res) => {
   try {
@@ -2,7 +2,22 @@ const express = require("express");
 const jwt = require("jsonwebtoken");
 const Group = require("../models/Group");
 const Message = require("../models/Message");
+const ScheduledMessage = require("../models/ScheduledMessage");
+const ConversationPreference = require("../models/ConversationPreference");
 const User = require("../models/User");
+const GroupInvite = require("../models/GroupInvite");
+const GroupJoinRequest = require("../models/GroupJoinRequest");
+const {
+  deliverEvent,
+  emitReceiptUpdates,
+  syncReadState,
+  sendSystemMessage,
+  sendChatMessage,
+  votePoll,
+  closePoll,
+  emitPreferencesUpdate,
+  clearMarkedUnread,
+} = require("../socket/socketServer");
 
 const router = express.Router();
 
@@ -103,9 +118,20 @@ router.get("/", verifyToken, async (req, res) => {
       })
       .sort({ lastActivity: -1 });
 
+    const preferences = await ConversationPreference.getForUser(req.userId, {
+      groupIds: groups.map((group) => group._id),
+    });
+
+    // Archived groups are listed separately (?archived=true)
+    const showArchived = req.query.archived === "true";
+    const listedGroups = groups.filter(
+      (group) =>
+        !!preferences.get(group._id.toString())?.archived === showArchived
+    );
+
     // Calculate unread counts for each group
     const groupsWithUnreadCounts = await Promise.all(
-      groups.map(async (group) => {
+      listedGroups.map(async (group) => {
         const unreadCount = await Message.countDocuments({
           group: group._id,
           sender: { $ne: req.userId },
@@ -115,13 +141,19 @@ router.get("/", verifyToken, async (req, res) => {
         return {
           ...group.toObject(),
           unreadCount,
+          preferences: ConversationPreference.toSettings(
+            preferences.get(group._id.toString())
+          ),
         };
       })
     );
 
     res.json({
       success: true,
-      data: { groups: groupsWithUnreadCounts },
+      data: {
+        groups: ConversationPreference.sortPinnedFirst(groupsWithUnreadCounts),
+        archivedCount: groups.length - listedGroups.length,
+      },
     });
   } catch (error) {
     console.error("Get groups error:", error);
@@ -144,6 +176,8 @@ router.get("/:groupId", verifyToken, async (req, res) => {
     })
       .populate("createdBy", "name email avatar")
       .populate("admins", "name email avatar")
+      .populate("moderators", "name email avatar")
+      .populate("readOnlyMembers", "name email avatar")
       .populate("members", "name email avatar");
 
     if (!group) {
@@ -155,7 +189,11 @@ router.get("/:groupId", verifyToken, async (req, res) => {
 
     res.json({
       success: true,
-      data: { group },
+      data: {
+        group,
+        myRole: group.getRole(req.userId),
+        myPermissions: group.getPermissionsFor(req.userId),
+      },
     });
   } catch (error) {
     console.error("Get group details error:", error);
@@ -170,7 +208,21 @@ router.get("/:groupId", verifyToken, async (req, res) => {
 router.get("/:groupId/messages", verifyToken, async (req, res) => {
   try {
     const { groupId } = req.params;
-    const { page = 1, limit = 50 } = req.query;
+    const { limit = 50, around } = req.query;
+
+    // Decode before/after cursors from a previous page
+    const cursors = {};
+    for (const key of ["before", "after"]) {
+      if (req.query[key]) {
+        cursors[key] = Message.decodeCursor(req.query[key]);
+        if (!cursors[key]) {
+          return res.status(400).json({
+            success: false,
+            message: `Invalid ${key} cursor`,
+          });
+        }
+      }
+    }
 
     // Check if user is member of the group
     const group = await Group.findOne({
@@ -187,36 +239,55 @@ router.get("/:groupId/messages", verifyToken, async (req, res) => {
     }
 
     // Get messages (including deleted messages)
-    const messages = await Message.find({ group: groupId })
-      .populate("sender", "name email avatar")
-      .populate("reactions.user", "name avatar")
-      .populate("deletedBy", "name avatar")
-      .sort({ timestamp: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+    const page = await Message.findPage(
+      { group: group._id },
+      {
+        ...cursors,
+        around,
+        limit,
+        populate: [
+          { path: "sender", select: "name email avatar" },
+          { path: "reactions.user", select: "name avatar" },
+          { path: "deletedBy", select: "name avatar" },
+        ],
+      }
+    );
+
+    if (!page) {
+      return res.status(404).json({
+        success: false,
+        message: "Message not found in this group",
+      });
+    }
+
+    const { messages, pagination } = page;
 
     // Mark messages as read for current user
     const messageIds = messages.map((msg) => msg._id);
-    await Message.updateMany(
-      {
-        _id: { $in: messageIds },
-        sender: { $ne: req.userId },
-        "readBy.user": { $ne: req.userId },
-      },
-      {
-        $push: {
-          readBy: {
-            user: req.userId,
-            readAt: new Date(),
-          },
-        },
-      }
+    const receipts = await Message.recordReceipts(
+      { _id: { $in: messageIds } },
+      req.userId,
+      "read"
     );
 
+    const io = req.app.get("io");
+    if (io) {
+      await emitReceiptUpdates(io, receipts);
+      if (receipts.length > 0) {
+        await syncReadState(io, req.userId, {
+          groupId: group._id,
+          messageIds: receipts.map((receipt) => receipt.messageId),
+          readAt: new Date(),
+        });
+      }
+    }
+    await clearMarkedUnread(io, req.userId, { groupId: group._id });
+
     res.json({
       success: true,
       data: {
-        messages: messages.reverse(), // Reverse to show oldest first
+        messages, // Oldest first
+        pagination,
         group: {
           id: group._id,
           name: group.name,
@@ -234,82 +305,90 @@ router.get("/:groupId/messages", verifyToken, async (req, res) => {
   }
 });
 
-// Add members to group
-router.post("/:groupId/members", verifyToken, async (req, res) => {
+// Get the full reply thread a group message belongs to
+router.get("/:groupId/thread/:messageId", verifyToken, async (req, res) => {
   try {
-    const { groupId } = req.params;
-    const { memberIds } = req.body;
-
-    if (!memberIds || !Array.isArray(memberIds) || memberIds.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: "Member IDs are required",
-      });
-    }
+    const { groupId, messageId } = req.params;
 
+    // Check if user is member of the group
     const group = await Group.findOne({
       _id: groupId,
-      $or: [{ createdBy: req.userId }, { admins: req.userId }],
+      members: req.userId,
       isActive: true,
     });
 
     if (!group) {
       return res.status(404).json({
         success: false,
-        message: "Group not found or you don't have permission to add members",
+        message: "Group not found or you are not a member",
       });
     }
 
-    // Validate and add new members
-    const newMembers = [];
-    for (const memberId of memberIds) {
-      if (!group.members.includes(memberId)) {
-        const user = await User.findById(memberId);
-        if (user) {
-          newMembers.push(memberId);
-        }
-      }
-    }
-
-    if (newMembers.length === 0) {
-      return res.status(400).json({
+    const message = await Message.findOne({ _id: messageId, group: groupId });
+    if (!message) {
+      return res.status(404).json({
         success: false,
-        message: "No valid new members to add",
+        message: "Message not found",
       });
     }
 
-    // Add members to group
-    group.members.push(...newMembers);
-    await group.save();
+    const rootId = message.threadRoot || message._id;
 
-    // Create system message for new members
-    const addedUsers = await User.find({ _id: { $in: newMembers } });
-    const systemMessage = new Message({
-      sender: req.userId,
+    // Root message followed by every reply in the chain, oldest first
+    const messages = await Message.find({
       group: groupId,
-      content: `Added ${addedUsers.map((u) => u.name).join(", ")} to the group`,
-      messageType: "system",
+      $or: [{ _id: rootId }, { threadRoot: rootId }],
+    })
+      .populate("sender", "name email avatar")
+      .populate("reactions.user", "name avatar")
+      .populate("deletedBy", "name avatar")
+      .sort({ timestamp: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        rootMessageId: rootId,
+        messages,
+        replyCount: messages.filter((msg) => msg.replyTo).length,
+      },
     });
-    await systemMessage.save();
+  } catch (error) {
+    console.error("Get group thread error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
 
-    // Update group's last message and activity
-    group.lastMessage = systemMessage._id;
-    group.lastActivity = new Date();
-    await group.save();
+// Create a poll in the group
+router.post("/:groupId/polls", verifyToken, async (req, res) => {
+  try {
+    const { question, options, allowMultiple, isAnonymous, closesAt } =
+      req.body;
+
+    const sender = await User.findById(req.userId).select("-password");
+    const result = await sendChatMessage(req.app.get("io"), sender, {
+      receiverId: req.params.groupId,
+      isGroupChat: true,
+      messageType: "poll",
+      poll: { question, options, allowMultiple, isAnonymous, closesAt },
+    });
 
-    await group.populate([
-      { path: "createdBy", select: "name email avatar" },
-      { path: "admins", select: "name email avatar" },
-      { path: "members", select: "name email avatar" },
-    ]);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error,
+      });
+    }
 
-    res.json({
+    res.status(201).json({
       success: true,
-      message: "Members added successfully",
-      data: { group },
+      message: "Poll created successfully",
+      data: result.message,
     });
   } catch (error) {
-    console.error("Add members error:", error);
+    console.error("Create poll error:", error);
     res.status(500).json({
       success: false,
       message: "Internal server error",
@@ -317,59 +396,59 @@ router.post("/:groupId/members", verifyToken, async (req, res) => {
   }
 });
 
-// Remove member from group
-router.delete("/:groupId/members/:memberId", verifyToken, async (req, res) => {
+// Get a poll with its current tally
+router.get("/:groupId/polls/:messageId", verifyToken, async (req, res) => {
   try {
-    const { groupId, memberId } = req.params;
+    const { groupId, messageId } = req.params;
 
+    // Check if user is member of the group
     const group = await Group.findOne({
       _id: groupId,
-      $or: [{ createdBy: req.userId }, { admins: req.userId }],
+      members: req.userId,
       isActive: true,
     });
 
     if (!group) {
       return res.status(404).json({
         success: false,
-        message:
-          "Group not found or you don't have permission to remove members",
+        message: "Group not found or you are not a member",
       });
     }
 
-    // Check if member exists in group
-    if (!group.members.includes(memberId)) {
-      return res.status(400).json({
+    const message = await Message.findOne({
+      _id: messageId,
+      group: groupId,
+      messageType: "poll",
+    }).populate("sender", "name email avatar");
+
+    if (!message) {
+      return res.status(404).json({
         success: false,
-        message: "Member not found in group",
+        message: "Poll not found",
       });
     }
 
-    // Remove member from group
-    group.members = group.members.filter((id) => id.toString() !== memberId);
-    group.admins = group.admins.filter((id) => id.toString() !== memberId);
-    await group.save();
-
-    // Create system message
-    const removedUser = await User.findById(memberId);
-    const systemMessage = new Message({
-      sender: req.userId,
-      group: groupId,
-      content: `Removed ${removedUser?.name || "Unknown"} from the group`,
-      messageType: "system",
-    });
-    await systemMessage.save();
-
-    // Update group's last message and activity
-    group.lastMessage = systemMessage._id;
-    group.lastActivity = new Date();
-    await group.save();
+    // Voter details are only shared for polls that are not anonymous
+    if (!message.poll.isAnonymous) {
+      await message.populate("poll.options.voters", "name avatar");
+    }
 
     res.json({
       success: true,
-      message: "Member removed successfully",
+      data: {
+        message,
+        isClosed: message.isPollClosed(),
+        myVotes: message.poll.options
+          .filter((option) =>
+            option.voters.some(
+              (voter) => (voter._id || voter).toString() === req.userId
+            )
+          )
+          .map((option) => option._id),
+      },
     });
   } catch (error) {
-    console.error("Remove member error:", error);
+    console.error("Get poll error:", error);
     res.status(500).json({
       success: false,
       message: "Internal server error",
@@ -377,11 +456,92 @@ router.delete("/:groupId/members/:memberId", verifyToken, async (req, res) => {
   }
 });
 
-// Leave group
-router.post("/:groupId/leave", verifyToken, async (req, res) => {
+// Vote on a poll (an empty optionIds retracts the vote)
+router.post(
+  "/:groupId/polls/:messageId/vote",
+  verifyToken,
+  async (req, res) => {
+    try {
+      const { optionIds } = req.body;
+
+      if (!Array.isArray(optionIds)) {
+        return res.status(400).json({
+          success: false,
+          message: "optionIds must be an array",
+        });
+      }
+
+      const result = await votePoll(
+        req.app.get("io"),
+        req.userId,
+        req.params.messageId,
+        optionIds,
+        { groupId: req.params.groupId }
+      );
+
+      if (result.error) {
+        return res.status(result.status).json({
+          success: false,
+          message: result.error,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Vote recorded successfully",
+        data: result.message,
+      });
+    } catch (error) {
+      console.error("Vote poll error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+// Close a poll (poll creator or group admin)
+router.post(
+  "/:groupId/polls/:messageId/close",
+  verifyToken,
+  async (req, res) => {
+    try {
+      const result = await closePoll(
+        req.app.get("io"),
+        req.userId,
+        req.params.messageId,
+        { groupId: req.params.groupId }
+      );
+
+      if (result.error) {
+        return res.status(result.status).json({
+          success: false,
+          message: result.error,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Poll closed successfully",
+        data: result.message,
+      });
+    } catch (error) {
+      console.error("Close poll error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+// Get the current user's unread mentions in the group
+router.get("/:groupId/mentions", verifyToken, async (req, res) => {
   try {
     const { groupId } = req.params;
 
+    // Check if user is member of the group
     const group = await Group.findOne({
       _id: groupId,
       members: req.userId,
@@ -395,41 +555,65 @@ router.post("/:groupId/leave", verifyToken, async (req, res) => {
       });
     }
 
-    // Check if user is the creator
-    if (group.createdBy.toString() === req.userId) {
-      return res.status(400).json({
+    const mentions = await Message.find({
+      group: groupId,
+      sender: { $ne: req.userId },
+      isDeleted: false,
+      "readBy.user": { $ne: req.userId },
+      $or: [{ mentions: req.userId }, { mentionsAll: true }],
+    })
+      .populate("sender", "name email avatar")
+      .sort({ timestamp: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        mentions, // Oldest first
+        count: mentions.length,
+      },
+    });
+  } catch (error) {
+    console.error("Get group mentions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// Get the pinned messages of the group
+router.get("/:groupId/pinned", verifyToken, async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    // Check if user is member of the group
+    const group = await Group.findOne({
+      _id: groupId,
+      members: req.userId,
+      isActive: true,
+    });
+
+    if (!group) {
+      return res.status(404).json({
         success: false,
-        message:
-          "Group creator cannot leave the group. Transfer ownership or delete the group instead.",
+        message: "Group not found or you are not a member",
       });
     }
 
-    // Remove user from group
-    group.members = group.members.filter((id) => id.toString() !== req.userId);
-    group.admins = group.admins.filter((id) => id.toString() !== req.userId);
-    await group.save();
-
-    // Create system message
-    const currentUser = await User.findById(req.userId);
-    const systemMessage = new Message({
-      sender: req.userId,
+    const messages = await Message.find({
       group: groupId,
-      content: `${currentUser?.name || "Unknown"} left the group`,
-      messageType: "system",
-    });
-    await systemMessage.save();
-
-    // Update group's last message and activity
-    group.lastMessage = systemMessage._id;
-    group.lastActivity = new Date();
-    await group.save();
+      pinnedAt: { $ne: null },
+    })
+      .populate("sender", "name email avatar")
+      .populate("pinnedBy", "name avatar")
+      .sort({ pinnedAt: -1 });
 
     res.json({
       success: true,
-      message: "Left group successfully",
+      data: messages,
     });
   } catch (error) {
-    console.error("Leave group error:", error);
+    console.error("Get group pinned messages error:", error);
     res.status(500).json({
       success: false,
       message: "Internal server error",
@@ -437,46 +621,1055 @@ router.post("/:groupId/leave", verifyToken, async (req, res) => {
   }
 });
 
-// Update group settings
-router.put("/:groupId/settings", verifyToken, async (req, res) => {
+// Schedule a message to the group
+router.post("/:groupId/scheduled", verifyToken, async (req, res) => {
   try {
     const { groupId } = req.params;
-    const { name, description, avatar, settings } = req.body;
+    const { content, messageType = "text", attachment, replyTo } = req.body;
 
+    // Check if user is member of the group
     const group = await Group.findOne({
       _id: groupId,
-      $or: [{ createdBy: req.userId }, { admins: req.userId }],
+      members: req.userId,
       isActive: true,
     });
 
     if (!group) {
       return res.status(404).json({
         success: false,
-        message:
-          "Group not found or you don't have permission to update settings",
+        message: "Group not found or you are not a member",
       });
     }
 
-    // Update group fields
-    if (name !== undefined) group.name = name.trim();
-    if (description !== undefined) group.description = description.trim();
-    if (avatar !== undefined) group.avatar = avatar;
-    if (settings) {
-      group.settings = { ...group.settings, ...settings };
+    if (!content && !attachment) {
+      return res.status(400).json({
+        success: false,
+        message: "Either content or attachment is required",
+      });
     }
 
-    await group.save();
+    if (!["text", "image", "video", "file", "voice"].includes(messageType)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid message type",
+      });
+    }
 
-    await group.populate([
-      { path: "createdBy", select: "name email avatar" },
-      { path: "admins", select: "name email avatar" },
-      { path: "members", select: "name email avatar" },
-    ]);
+    const { scheduledFor, error } = ScheduledMessage.parseScheduledFor(
+      req.body.scheduledFor
+    );
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
 
-    res.json({
-      success: true,
-      message: "Group settings updated successfully",
-      data: { group },
+    if (
+      replyTo &&
+      !(await Message.buildReplyFields(replyTo, {
+        senderId: req.userId,
+        groupId,
+      }))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Replied message not found in this conversation",
+      });
+    }
+
+    const scheduled = new ScheduledMessage({
+      sender: req.userId,
+      group: groupId,
+      content: content || "",
+      messageType,
+      attachment: attachment || null,
+      replyTo: replyTo || null,
+      scheduledFor,
+    });
+    await scheduled.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Message scheduled successfully",
+      data: scheduled,
+    });
+  } catch (error) {
+    console.error("Schedule group message error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// Get the current user's pending scheduled messages for the group
+router.get("/:groupId/scheduled", verifyToken, async (req, res) => {
+  try {
+    const scheduledMessages = await ScheduledMessage.find({
+      sender: req.userId,
+      group: req.params.groupId,
+      status: "pending",
+    }).sort({ scheduledFor: 1 });
+
+    res.json({
+      success: true,
+      data: scheduledMessages,
+    });
+  } catch (error) {
+    console.error("Get group scheduled messages error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// Add members to group
+router.post("/:groupId/members", verifyToken, async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { memberIds } = req.body;
+
+    if (!memberIds || !Array.isArray(memberIds) || memberIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Member IDs are required",
+      });
+    }
+
+    const group = await Group.findOne({
+      _id: groupId,
+      members: req.userId,
+      isActive: true,
+    });
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: "Group not found or you are not a member",
+      });
+    }
+
+    if (!group.can(req.userId, "addMembers")) {
+      return res.status(403).json({
+        success: false,
+        message: "You don't have permission to add members",
+      });
+    }
+
+    // Validate and add new members
+    const newMembers = [];
+    for (const memberId of memberIds) {
+      if (!group.members.includes(memberId)) {
+        const user = await User.findById(memberId);
+        if (user) {
+          newMembers.push(memberId);
+        }
+      }
+    }
+
+    if (newMembers.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No valid new members to add",
+      });
+    }
+
+    // Add members to group
+    group.members.push(...newMembers);
+    await group.save();
+
+    // Create system message for new members
+    const addedUsers = await User.find({ _id: { $in: newMembers } });
+    const systemMessage = new Message({
+      sender: req.userId,
+      group: groupId,
+      content: `Added ${addedUsers.map((u) => u.name).join(", ")} to the group`,
+      messageType: "system",
+    });
+    await systemMessage.save();
+
+    // Update group's last message and activity
+    group.lastMessage = systemMessage._id;
+    group.lastActivity = new Date();
+    await group.save();
+
+    await group.populate([
+      { path: "createdBy", select: "name email avatar" },
+      { path: "admins", select: "name email avatar" },
+      { path: "members", select: "name email avatar" },
+    ]);
+
+    res.json({
+      success: true,
+      message: "Members added successfully",
+      data: { group },
+    });
+  } catch (error) {
+    console.error("Add members error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// Add a user who came through an invite link and announce it to the group.
+// Resolves to the updated group, or null if the user was already a member
+// (e.g. a concurrent join got there first)
+const addMemberFromInvite = async (io, groupId, user) => {
+  const group = await Group.findOneAndUpdate(
+    { _id: groupId, members: { $ne: user._id } },
+    { $addToSet: { members: user._id } },
+    { new: true }
+  );
+  if (!group) {
+    return null;
+  }
+  await sendSystemMessage(
+    io,
+    user,
+    { group },
+    `${user.name} joined using this group's invite link`
+  );
+  return group;
+};
+
+// Create an invite link ({ expiresAt, maxUses }, both optional)
+router.post("/:groupId/invites", verifyToken, async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    const group = await Group.findOne({
+      _id: groupId,
+      members: req.userId,
+      isActive: true,
+    });
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: "Group not found or you are not a member",
+      });
+    }
+
+    if (!group.canInvite(req.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only admins can create invite links in this group",
+      });
+    }
+
+    const options = GroupInvite.parseOptions(req.body || {});
+    if (options.error) {
+      return res.status(400).json({
+        success: false,
+        message: options.error,
+      });
+    }
+
+    const invite = await GroupInvite.createForGroup(
+      group._id,
+      req.userId,
+      options
+    );
+
+    console.log(`🔗 Invite link created for group ${groupId}`);
+
+    res.status(201).json({
+      success: true,
+      message: "Invite link created",
+      data: { invite: invite.toLink() },
+    });
+  } catch (error) {
+    console.error("Create invite link error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// Get the group's invite links (members who can add members see all of
+// them, others their own)
+router.get("/:groupId/invites", verifyToken, async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    const group = await Group.findOne({
+      _id: groupId,
+      members: req.userId,
+      isActive: true,
+    });
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: "Group not found or you are not a member",
+      });
+    }
+
+    const invites = await GroupInvite.find({
+      group: group._id,
+      revokedAt: null,
+      ...(group.can(req.userId, "addMembers") ? {} : { createdBy: req.userId }),
+    })
+      .populate("createdBy", "name avatar")
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { invites: invites.map((invite) => invite.toLink()) },
+    });
+  } catch (error) {
+    console.error("Get invite links error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// Revoke an invite link (members who can add members, or the member who
+// created it)
+router.delete("/:groupId/invites/:inviteId", verifyToken, async (req, res) => {
+  try {
+    const { groupId, inviteId } = req.params;
+
+    const group = await Group.findOne({
+      _id: groupId,
+      members: req.userId,
+      isActive: true,
+    });
+    const invite =
+      group &&
+      (await GroupInvite.findOne({
+        _id: inviteId,
+        group: group._id,
+        revokedAt: null,
+      }));
+
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: "Invite link not found",
+      });
+    }
+
+    if (
+      !group.can(req.userId, "addMembers") &&
+      invite.createdBy.toString() !== req.userId
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "You don't have permission to revoke this invite link",
+      });
+    }
+
+    invite.revokedAt = new Date();
+    invite.revokedBy = req.userId;
+    await invite.save();
+
+    res.json({
+      success: true,
+      message: "Invite link revoked",
+      data: { invite: invite.toLink() },
+    });
+  } catch (error) {
+    console.error("Revoke invite link error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// Preview the group behind an invite link before joining
+router.get("/invites/:token", verifyToken, async (req, res) => {
+  try {
+    const invite = await GroupInvite.findOne({ token: req.params.token });
+    const group =
+      invite &&
+      (await Group.findOne({ _id: invite.group, isActive: true }).select(
+        "name description avatar members settings"
+      ));
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: "Invite link not found",
+      });
+    }
+
+    if (!invite.isUsable()) {
+      return res.status(410).json({
+        success: false,
+        message: "This invite link has expired or been revoked",
+      });
+    }
+
+    const pendingRequest = await GroupJoinRequest.exists({
+      group: group._id,
+      user: req.userId,
+      status: "pending",
+    });
+
+    res.json({
+      success: true,
+      data: {
+        group: {
+          id: group._id,
+          name: group.name,
+          description: group.description,
+          avatar: group.avatar,
+          memberCount: group.members.length,
+        },
+        requiresApproval: group.settings.requireJoinApproval,
+        isMember: group.members.some((id) => id.toString() === req.userId),
+        hasPendingRequest: !!pendingRequest,
+        expiresAt: invite.expiresAt,
+      },
+    });
+  } catch (error) {
+    console.error("Preview invite link error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// Join a group through an invite link. Groups that require approval get a
+// pending join request instead.
+router.post("/invites/:token/join", verifyToken, async (req, res) => {
+  try {
+    const invite = await GroupInvite.findOne({ token: req.params.token });
+    const group =
+      invite && (await Group.findOne({ _id: invite.group, isActive: true }));
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: "Invite link not found",
+      });
+    }
+
+    if (group.members.some((id) => id.toString() === req.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: "You are already a member of this group",
+      });
+    }
+
+    const io = req.app.get("io");
+    const user = await User.findById(req.userId).select("name email avatar");
+
+    if (group.settings.requireJoinApproval) {
+      // Create the request before using up the link, so a second request
+      // racing this one hits the one-pending-request index instead of
+      // taking another use
+      let request;
+      try {
+        request = await GroupJoinRequest.create({
+          group: group._id,
+          user: req.userId,
+          invite: invite._id,
+        });
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+        const existing = await GroupJoinRequest.findOne({
+          group: group._id,
+          user: req.userId,
+          status: "pending",
+        });
+        return res.json({
+          success: true,
+          message: "Your request to join is waiting for an admin",
+          data: { status: "pending", request: existing },
+        });
+      }
+
+      if (!(await GroupInvite.claimUse(invite._id))) {
+        await GroupJoinRequest.deleteOne({ _id: request._id });
+        return res.status(410).json({
+          success: false,
+          message: "This invite link has expired or been revoked",
+        });
+      }
+
+      // Let the members who can add people know there is someone to
+      // accept or reject
+      await deliverEvent(
+        io,
+        group.getMembersWith("addMembers"),
+        "group-join-requested",
+        { groupId: group._id, request: { ...request.toObject(), user } },
+        { data: { groupId: group._id, requestId: request._id } }
+      );
+
+      console.log(`🔗 ${user.name} asked to join group ${group._id}`);
+
+      return res.status(202).json({
+        success: true,
+        message: "Your request to join was sent to the group admins",
+        data: { status: "pending", request },
+      });
+    }
+
+    if (!(await GroupInvite.claimUse(invite._id))) {
+      return res.status(410).json({
+        success: false,
+        message: "This invite link has expired or been revoked",
+      });
+    }
+
+    const joinedGroup = await addMemberFromInvite(io, group._id, user);
+    if (!joinedGroup) {
+      await GroupInvite.releaseUse(invite._id);
+      return res.status(400).json({
+        success: false,
+        message: "You are already a member of this group",
+      });
+    }
+    await joinedGroup.populate([
+      { path: "createdBy", select: "name email avatar" },
+      { path: "admins", select: "name email avatar" },
+      { path: "members", select: "name email avatar" },
+    ]);
+
+    console.log(`🔗 ${user.name} joined group ${group._id} by invite link`);
+
+    res.json({
+      success: true,
+      message: "Joined group successfully",
+      data: { status: "joined", group: joinedGroup },
+    });
+  } catch (error) {
+    console.error("Join by invite link error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// Get the pending join requests of a group (members who can add members)
+router.get("/:groupId/join-requests", verifyToken, async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    const group = await Group.findOne({
+      _id: groupId,
+      members: req.userId,
+      isActive: true,
+    });
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: "Group not found or you are not a member",
+      });
+    }
+
+    if (!group.can(req.userId, "addMembers")) {
+      return res.status(403).json({
+        success: false,
+        message: "You don't have permission to see join requests",
+      });
+    }
+
+    const requests = await GroupJoinRequest.find({
+      group: group._id,
+      status: "pending",
+    })
+      .populate("user", "name email avatar")
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: { requests },
+    });
+  } catch (error) {
+    console.error("Get join requests error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// Accept or reject a pending join request (members who can add members)
+const reviewJoinRequest = (approve) => async (req, res) => {
+  try {
+    const { groupId, requestId } = req.params;
+
+    const group = await Group.findOne({
+      _id: groupId,
+      members: req.userId,
+      isActive: true,
+    });
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: "Group not found or you are not a member",
+      });
+    }
+
+    if (!group.can(req.userId, "addMembers")) {
+      return res.status(403).json({
+        success: false,
+        message: "You don't have permission to review join requests",
+      });
+    }
+
+    const request = await GroupJoinRequest.findOneAndUpdate(
+      { _id: requestId, group: group._id, status: "pending" },
+      {
+        status: approve ? "approved" : "rejected",
+        reviewedBy: req.userId,
+        reviewedAt: new Date(),
+      },
+      { new: true }
+    );
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: "Join request not found",
+      });
+    }
+
+    const io = req.app.get("io");
+    if (approve) {
+      const user = await User.findById(request.user).select(
+        "name email avatar"
+      );
+      if (user && !group.members.some((id) => id.equals(user._id))) {
+        await addMemberFromInvite(io, group._id, user);
+      }
+    }
+
+    await deliverEvent(
+      io,
+      [request.user],
+      "group-join-request-updated",
+      {
+        groupId: group._id,
+        groupName: group.name,
+        requestId: request._id,
+        status: request.status,
+      },
+      { data: { groupId: group._id, requestId: request._id } }
+    );
+
+    res.json({
+      success: true,
+      message: approve ? "Join request accepted" : "Join request rejected",
+      data: { request },
+    });
+  } catch (error) {
+    console.error("Review join request error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+router.post(
+  "/:groupId/join-requests/:requestId/accept",
+  verifyToken,
+  reviewJoinRequest(true)
+);
+router.post(
+  "/:groupId/join-requests/:requestId/reject",
+  verifyToken,
+  reviewJoinRequest(false)
+);
+
+// Remove member from group
+router.delete("/:groupId/members/:memberId", verifyToken, async (req, res) => {
+  try {
+    const { groupId, memberId } = req.params;
+
+    const group = await Group.findOne({
+      _id: groupId,
+      members: req.userId,
+      isActive: true,
+    });
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: "Group not found or you are not a member",
+      });
+    }
+
+    // Check if member exists in group
+    if (!group.members.includes(memberId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Member not found in group",
+      });
+    }
+
+    // Only members with a higher role can be removed
+    if (
+      !group.can(req.userId, "removeMembers") ||
+      !group.outranks(req.userId, memberId)
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "You don't have permission to remove this member",
+      });
+    }
+
+    // Remove member from group
+    group.removeMember(memberId);
+    await group.save();
+
+    // Create system message
+    const removedUser = await User.findById(memberId);
+    const systemMessage = new Message({
+      sender: req.userId,
+      group: groupId,
+      content: `Removed ${removedUser?.name || "Unknown"} from the group`,
+      messageType: "system",
+    });
+    await systemMessage.save();
+
+    // Update group's last message and activity
+    group.lastMessage = systemMessage._id;
+    group.lastActivity = new Date();
+    await group.save();
+
+    res.json({
+      success: true,
+      message: "Member removed successfully",
+    });
+  } catch (error) {
+    console.error("Remove member error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// Leave group
+router.post("/:groupId/leave", verifyToken, async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    const group = await Group.findOne({
+      _id: groupId,
+      members: req.userId,
+      isActive: true,
+    });
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: "Group not found or you are not a member",
+      });
+    }
+
+    // Check if user is the creator
+    if (group.createdBy.toString() === req.userId) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Group creator cannot leave the group. Transfer ownership or delete the group instead.",
+      });
+    }
+
+    // Remove user from group
+    group.removeMember(req.userId);
+    await group.save();
+
+    // Create system message
+    const currentUser = await User.findById(req.userId);
+    const systemMessage = new Message({
+      sender: req.userId,
+      group: groupId,
+      content: `${currentUser?.name || "Unknown"} left the group`,
+      messageType: "system",
+    });
+    await systemMessage.save();
+
+    // Update group's last message and activity
+    group.lastMessage = systemMessage._id;
+    group.lastActivity = new Date();
+    await group.save();
+
+    res.json({
+      success: true,
+      message: "Left group successfully",
+    });
+  } catch (error) {
+    console.error("Leave group error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// Populated fields of a group as returned after membership changes
+const GROUP_MEMBER_POPULATE = [
+  { path: "createdBy", select: "name email avatar" },
+  { path: "admins", select: "name email avatar" },
+  { path: "moderators", select: "name email avatar" },
+  { path: "readOnlyMembers", select: "name email avatar" },
+  { path: "members", select: "name email avatar" },
+];
+
+// Change a member's role (admin, moderator, member or read-only)
+router.put(
+  "/:groupId/members/:memberId/role",
+  verifyToken,
+  async (req, res) => {
+    try {
+      const { groupId, memberId } = req.params;
+      const { role } = req.body;
+
+      if (!Group.ASSIGNABLE_ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          message: `Role must be one of: ${Group.ASSIGNABLE_ROLES.join(", ")}`,
+        });
+      }
+
+      const group = await Group.findOne({
+        _id: groupId,
+        members: req.userId,
+        isActive: true,
+      });
+
+      if (!group) {
+        return res.status(404).json({
+          success: false,
+          message: "Group not found or you are not a member",
+        });
+      }
+
+      if (!group.getRole(memberId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Member not found in group",
+        });
+      }
+
+      if (!group.canAssignRole(req.userId, memberId, role)) {
+        return res.status(403).json({
+          success: false,
+          message: "You don't have permission to give this member that role",
+        });
+      }
+
+      if (group.getRole(memberId) !== role) {
+        group.setRole(memberId, role);
+        await group.save();
+
+        const io = req.app.get("io");
+        const [currentUser, member] = await Promise.all([
+          User.findById(req.userId).select("name email avatar"),
+          User.findById(memberId).select("name"),
+        ]);
+        await sendSystemMessage(
+          io,
+          currentUser,
+          { group },
+          `${currentUser.name} changed ${
+            member?.name || "Unknown"
+          }'s role to ${role}`
+        );
+        await deliverEvent(
+          io,
+          group.members,
+          "group-member-role-updated",
+          { groupId: group._id, userId: memberId, role, updatedBy: req.userId },
+          { data: { groupId: group._id, userId: memberId } }
+        );
+
+        console.log(`👮 Member ${memberId} is now ${role} in group ${groupId}`);
+      }
+
+      await group.populate(GROUP_MEMBER_POPULATE);
+
+      res.json({
+        success: true,
+        message: "Member role updated successfully",
+        data: { group },
+      });
+    } catch (error) {
+      console.error("Update member role error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+// Transfer ownership of the group to another member (owner only)
+router.post("/:groupId/transfer-ownership", verifyToken, async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { userId } = req.body;
+
+    const group = await Group.findOne({
+      _id: groupId,
+      members: req.userId,
+      isActive: true,
+    });
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: "Group not found or you are not a member",
+      });
+    }
+
+    if (group.getRole(req.userId) !== "owner") {
+      return res.status(403).json({
+        success: false,
+        message: "Only the group owner can transfer ownership",
+      });
+    }
+
+    if (!userId || userId === req.userId || !group.getRole(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: "The new owner must be another member of the group",
+      });
+    }
+
+    group.transferOwnership(userId);
+    await group.save();
+
+    const io = req.app.get("io");
+    const [currentUser, newOwner] = await Promise.all([
+      User.findById(req.userId).select("name email avatar"),
+      User.findById(userId).select("name"),
+    ]);
+    await sendSystemMessage(
+      io,
+      currentUser,
+      { group },
+      `${currentUser.name} made ${newOwner?.name || "Unknown"} the group owner`
+    );
+    await deliverEvent(
+      io,
+      group.members,
+      "group-owner-changed",
+      { groupId: group._id, ownerId: userId, previousOwnerId: req.userId },
+      { data: { groupId: group._id, userId } }
+    );
+
+    console.log(`👑 Group ${groupId} ownership transferred to ${userId}`);
+
+    await group.populate(GROUP_MEMBER_POPULATE);
+
+    res.json({
+      success: true,
+      message: "Ownership transferred successfully",
+      data: { group },
+    });
+  } catch (error) {
+    console.error("Transfer ownership error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// Update group settings
+router.put("/:groupId/settings", verifyToken, async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { name, description, avatar, settings } = req.body;
+
+    const group = await Group.findOne({
+      _id: groupId,
+      members: req.userId,
+      isActive: true,
+    });
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: "Group not found or you are not a member",
+      });
+    }
+
+    // Name, description and avatar follow the editInfo permission; the
+    // settings themselves (including the permission matrix) are for admins
+    const editsInfo = [name, description, avatar].some(
+      (field) => field !== undefined
+    );
+    if (
+      (editsInfo && !group.can(req.userId, "editInfo")) ||
+      (settings && !group.isAdmin(req.userId))
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "You don't have permission to update these settings",
+      });
+    }
+
+    let permissions = null;
+    if (settings?.permissions !== undefined) {
+      const parsed = Group.parsePermissions(settings.permissions);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsed.error,
+        });
+      }
+      permissions = parsed.permissions;
+    }
+
+    // Update group fields
+    if (name !== undefined) group.name = name.trim();
+    if (description !== undefined) group.description = description.trim();
+    if (avatar !== undefined) group.avatar = avatar;
+    if (settings) {
+      // The disappearing timer is changed through /:groupId/disappearing so
+      // members get notified
+      const {
+        disappearingTimer,
+        permissions: permissionUpdate,
+        ...otherSettings
+      } = settings;
+      // Set each key so the nested permission matrix is kept
+      for (const [key, value] of Object.entries(otherSettings)) {
+        group.set(`settings.${key}`, value);
+      }
+    }
+    if (permissions) {
+      for (const [permission, role] of Object.entries(permissions)) {
+        group.set(`settings.permissions.${permission}`, role);
+      }
+    }
+
+    await group.save();
+
+    await group.populate([
+      { path: "createdBy", select: "name email avatar" },
+      { path: "admins", select: "name email avatar" },
+      { path: "members", select: "name email avatar" },
+    ]);
+
+    res.json({
+      success: true,
+      message: "Group settings updated successfully",
+      data: { group },
     });
   } catch (error) {
     console.error("Update group settings error:", error);
@@ -487,6 +1680,138 @@ router.put("/:groupId/settings", verifyToken, async (req, res) => {
   }
 });
 
+// Update the current user's preferences for a group
+// (archived, muted, pinned, markedUnread, notificationSound)
+router.put("/:groupId/preferences", verifyToken, async (req, res) => {
+  try {
+    const group = await Group.findOne({
+      _id: req.params.groupId,
+      members: req.userId,
+      isActive: true,
+    }).select("_id");
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: "Group not found or you are not a member",
+      });
+    }
+
+    const conversation = { group: group._id };
+    const result = await ConversationPreference.applyUpdate(
+      req.userId,
+      conversation,
+      req.body
+    );
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error,
+      });
+    }
+
+    const io = req.app.get("io");
+    if (io) {
+      await emitPreferencesUpdate(io, req.userId, conversation);
+    }
+
+    res.json({
+      success: true,
+      message: "Group preferences updated",
+      data: {
+        groupId: group._id,
+        preferences: ConversationPreference.toSettings(result.preference),
+      },
+    });
+  } catch (error) {
+    console.error("Update group preferences error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// Set the disappearing-messages timer for the group (members who can edit
+// the group info)
+router.put("/:groupId/disappearing", verifyToken, async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { timer } = req.body;
+
+    if (!Object.keys(Message.DISAPPEARING_TIMERS).includes(timer)) {
+      return res.status(400).json({
+        success: false,
+        message: `Timer must be one of: ${Object.keys(
+          Message.DISAPPEARING_TIMERS
+        ).join(", ")}`,
+      });
+    }
+
+    const group = await Group.findOne({
+      _id: groupId,
+      members: req.userId,
+      isActive: true,
+    });
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: "Group not found or you are not a member",
+      });
+    }
+
+    if (!group.can(req.userId, "editInfo")) {
+      return res.status(403).json({
+        success: false,
+        message: "You don't have permission to update settings",
+      });
+    }
+
+    if (group.settings.disappearingTimer === timer) {
+      return res.json({
+        success: true,
+        message: "Disappearing messages setting unchanged",
+        data: { groupId: group._id, disappearingTimer: timer },
+      });
+    }
+
+    group.settings.disappearingTimer = timer;
+    await group.save();
+
+    // Let every member know in the group itself
+    const io = req.app.get("io");
+    const currentUser = await User.findById(req.userId).select(
+      "name email avatar"
+    );
+    const systemMessage = await sendSystemMessage(
+      io,
+      currentUser,
+      { group },
+      Message.describeDisappearingTimer(currentUser.name, timer)
+    );
+    group.members.forEach((memberId) => {
+      io.to(memberId.toString()).emit("disappearing-timer-updated", {
+        groupId: group._id,
+        disappearingTimer: timer,
+        updatedBy: req.userId,
+      });
+    });
+
+    res.json({
+      success: true,
+      message: "Disappearing messages setting updated successfully",
+      data: { groupId: group._id, disappearingTimer: timer, systemMessage },
+    });
+  } catch (error) {
+    console.error("Update group disappearing messages error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
 // Delete group
 router.delete("/:groupId", verifyToken, async (req, res) => {
   try {
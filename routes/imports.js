@@ -0,0 +1,133 @@
+const express = require("express");
+const multer = require("multer");
+const jwt = require("jsonwebtoken");
+const chatImportService = require("../services/chatImportService");
+
+const router = express.Router();
+
+// Export files are parsed in memory
+const storage = multer.memoryStorage();
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 20 * 1024 * 1024, // 20MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    // WhatsApp exports are .txt, Telegram exports are result.json
+    if (/\.(txt|json)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error("Only .txt and .json export files are allowed"), false);
+    }
+  },
+});
+
+// Middleware to verify JWT token
+const verifyToken = (req, res, next) => {
+  const token = req.header("Authorization")?.replace("Bearer ", "");
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: "Access denied. No token provided.",
+    });
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    req.userId = decoded.userId;
+    next();
+  } catch (error) {
+    res.status(401).json({
+      success: false,
+      message: "Invalid token.",
+    });
+  }
+};
+
+// Read the "file" upload, answering 400 for rejected files
+const uploadExportFile = (req, res, next) => {
+  upload.single("file")(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next();
+  });
+};
+
+// Import a WhatsApp or Telegram export into a private chat (userId) or a
+// new group (groupName). `participants` maps sender names in the export to
+// the phone number or email of their account here.
+router.post("/", verifyToken, uploadExportFile, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "No export file provided",
+      });
+    }
+
+    // Multipart fields are strings; participants is sent as JSON
+    let participants = {};
+    if (req.body.participants) {
+      try {
+        participants =
+          typeof req.body.participants === "string"
+            ? JSON.parse(req.body.participants)
+            : req.body.participants;
+      } catch (error) {
+        participants = null;
+      }
+      if (
+        !participants ||
+        typeof participants !== "object" ||
+        Array.isArray(participants)
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "participants must map sender names to phones or emails",
+        });
+      }
+    }
+
+    const result = await chatImportService.importChat(
+      req.app.get("io"),
+      req.userId,
+      req.file,
+      {
+        source: req.body.source,
+        userId: req.body.userId,
+        groupName: req.body.groupName,
+        utcOffset: req.body.utcOffset,
+        participants,
+      }
+    );
+
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error,
+        ...(result.data && { data: result.data }),
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${result.report.importedCount} messages`,
+      data: {
+        report: result.report,
+      },
+    });
+  } catch (error) {
+    console.error("Import chat error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+module.exports = router;
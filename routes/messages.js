@@ -1,8 +1,26 @@
 const express = require("express");
 const jwt = require("jsonwebtoken");
 const Message = require("../models/Message");
+const ScheduledMessage = require("../models/ScheduledMessage");
+const ConversationPreference = require("../models/ConversationPreference");
 const ChatRoom = require("../models/ChatRoom");
+const Group = require("../models/Group");
 const User = require("../models/User");
+const eventLogService = require("../services/eventLogService");
+const {
+  deliverEvent,
+  getMessageAudience,
+  emitReceiptUpdates,
+  syncReadState,
+  sendSystemMessage,
+  sendChatMessage,
+  deleteMessage,
+  markVoicePlayed,
+  stopLiveLocation,
+  attachLinkPreview,
+  emitPreferencesUpdate,
+  clearMarkedUnread,
+} = require("../socket/socketServer");
 
 const router = express.Router();
 
@@ -33,7 +51,21 @@ const verifyToken = (req, res, next) => {
 router.get("/chat/:userId", verifyToken, async (req, res) => {
   try {
     const { userId: otherUserId } = req.params;
-    const { page = 1, limit = 50 } = req.query;
+    const { limit = 50, around } = req.query;
+
+    // Decode before/after cursors from a previous page
+    const cursors = {};
+    for (const key of ["before", "after"]) {
+      if (req.query[key]) {
+        cursors[key] = Message.decodeCursor(req.query[key]);
+        if (!cursors[key]) {
+          return res.status(400).json({
+            success: false,
+            message: `Invalid ${key} cursor`,
+          });
+        }
+      }
+    }
 
     // Validate other user exists
     const otherUser = await User.findById(otherUserId);
@@ -51,25 +83,53 @@ router.get("/chat/:userId", verifyToken, async (req, res) => {
     });
 
     let messages = [];
+    let pagination = {
+      limit: Message.clampPageSize(limit),
+      hasOlder: false,
+      hasNewer: false,
+      olderCursor: null,
+      newerCursor: null,
+    };
 
     if (chatRoom) {
       // Get messages from chat room (including deleted messages)
-      messages = await Message.find({
-        $or: [
-          { sender: req.userId, receiver: otherUserId },
-          { sender: otherUserId, receiver: req.userId },
-        ],
-      })
-        .populate("sender", "name email avatar")
-        .populate("receiver", "name email avatar")
-        .populate("reactions.user", "name avatar")
-        .populate("deletedBy", "name avatar")
-        .sort({ timestamp: -1 })
-        .limit(limit * 1)
-        .skip((page - 1) * limit);
+      const page = await Message.findPage(
+        {
+          $or: [
+            { sender: req.userId, receiver: otherUserId },
+            { sender: otherUserId, receiver: req.userId },
+          ],
+        },
+        {
+          ...cursors,
+          around,
+          limit,
+          populate: [
+            { path: "sender", select: "name email avatar" },
+            { path: "receiver", select: "name email avatar" },
+            { path: "reactions.user", select: "name avatar" },
+            { path: "deletedBy", select: "name avatar" },
+          ],
+        }
+      );
+
+      if (!page) {
+        return res.status(404).json({
+          success: false,
+          message: "Message not found in this chat",
+        });
+      }
+
+      messages = page.messages;
+      pagination = page.pagination;
     }
 
     // Mark messages as read
+    const receipts = await Message.recordReceipts(
+      { sender: otherUserId, receiver: req.userId, isRead: false },
+      req.userId,
+      "read"
+    );
     await Message.updateMany(
       {
         sender: otherUserId,
@@ -79,10 +139,23 @@ router.get("/chat/:userId", verifyToken, async (req, res) => {
       { isRead: true }
     );
 
+    const io = req.app.get("io");
+    if (io) {
+      await emitReceiptUpdates(io, receipts);
+      if (receipts.length > 0) {
+        await syncReadState(io, req.userId, {
+          chatUserId: otherUserId,
+          readAt: new Date(),
+        });
+      }
+    }
+    await clearMarkedUnread(io, req.userId, { chatUserId: otherUserId });
+
     res.json({
       success: true,
       data: {
-        messages: messages.reverse(), // Reverse to show oldest first
+        messages, // Oldest first
+        pagination,
         otherUser: {
           id: otherUser._id,
           name: otherUser.name,
@@ -101,6 +174,53 @@ router.get("/chat/:userId", verifyToken, async (req, res) => {
   }
 });
 
+// Get the full reply thread a private message belongs to
+router.get("/thread/:messageId", verifyToken, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    const message = await Message.findOne({
+      _id: messageId,
+      group: { $exists: false },
+      $or: [{ sender: req.userId }, { receiver: req.userId }],
+    });
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: "Message not found",
+      });
+    }
+
+    const rootId = message.threadRoot || message._id;
+
+    // Root message followed by every reply in the chain, oldest first
+    const messages = await Message.find({
+      $or: [{ _id: rootId }, { threadRoot: rootId }],
+    })
+      .populate("sender", "name email avatar")
+      .populate("receiver", "name email avatar")
+      .populate("reactions.user", "name avatar")
+      .populate("deletedBy", "name avatar")
+      .sort({ timestamp: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        rootMessageId: rootId,
+        messages,
+        replyCount: messages.filter((msg) => msg.replyTo).length,
+      },
+    });
+  } catch (error) {
+    console.error("Get message thread error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
 // Get all chat rooms for current user
 router.get("/chatrooms", verifyToken, async (req, res) => {
   try {
@@ -136,9 +256,20 @@ router.get("/chatrooms", verifyToken, async (req, res) => {
       );
     });
 
+    const preferences = await ConversationPreference.getForUser(req.userId, {
+      chatRoomIds: friendChatRooms.map((room) => room._id),
+    });
+
+    // Archived chats are listed separately (?archived=true)
+    const showArchived = req.query.archived === "true";
+    const listedChatRooms = friendChatRooms.filter(
+      (room) =>
+        !!preferences.get(room._id.toString())?.archived === showArchived
+    );
+
     // Format chat rooms data and calculate unread counts
     const formattedChatRooms = await Promise.all(
-      friendChatRooms.map(async (room) => {
+      listedChatRooms.map(async (room) => {
         const otherParticipant = room.participants.find(
           (p) => p._id.toString() !== req.userId
         );
@@ -169,6 +300,10 @@ router.get("/chatrooms", verifyToken, async (req, res) => {
             : null,
           lastActivity: room.lastActivity,
           unreadCount: unreadCount,
+          disappearingTimer: room.disappearingTimer,
+          preferences: ConversationPreference.toSettings(
+            preferences.get(room._id.toString())
+          ),
         };
       })
     );
@@ -176,7 +311,8 @@ router.get("/chatrooms", verifyToken, async (req, res) => {
     res.json({
       success: true,
       data: {
-        chatRooms: formattedChatRooms,
+        chatRooms: ConversationPreference.sortPinnedFirst(formattedChatRooms),
+        archivedCount: friendChatRooms.length - listedChatRooms.length,
       },
     });
   } catch (error) {
@@ -188,12 +324,68 @@ router.get("/chatrooms", verifyToken, async (req, res) => {
   }
 });
 
+// Update the current user's preferences for the chat with a user
+// (archived, muted, pinned, markedUnread, notificationSound)
+router.put("/preferences/:userId", verifyToken, async (req, res) => {
+  try {
+    const chatRoom = await ChatRoom.findOne({
+      participants: { $all: [req.userId, req.params.userId] },
+      roomType: "private",
+    }).select("_id");
+
+    if (!chatRoom) {
+      return res.status(404).json({
+        success: false,
+        message: "Chat not found",
+      });
+    }
+
+    const conversation = { chatRoom: chatRoom._id };
+    const result = await ConversationPreference.applyUpdate(
+      req.userId,
+      conversation,
+      req.body
+    );
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error,
+      });
+    }
+
+    const io = req.app.get("io");
+    if (io) {
+      await emitPreferencesUpdate(io, req.userId, conversation);
+    }
+
+    res.json({
+      success: true,
+      message: "Chat preferences updated",
+      data: {
+        chatRoomId: chatRoom._id,
+        preferences: ConversationPreference.toSettings(result.preference),
+      },
+    });
+  } catch (error) {
+    console.error("Update chat preferences error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
 // Mark messages as read for a specific user
 router.put("/mark-read/:userId", verifyToken, async (req, res) => {
   try {
     const { userId: senderId } = req.params;
 
     // Mark all unread messages from this sender as read
+    const receipts = await Message.recordReceipts(
+      { sender: senderId, receiver: req.userId, isRead: false },
+      req.userId,
+      "read"
+    );
     const result = await Message.updateMany(
       {
         sender: senderId,
@@ -207,6 +399,18 @@ router.put("/mark-read/:userId", verifyToken, async (req, res) => {
       `✅ Marked ${result.modifiedCount} messages as read from user ${senderId}`
     );
 
+    const io = req.app.get("io");
+    if (io) {
+      await emitReceiptUpdates(io, receipts);
+      if (result.modifiedCount > 0) {
+        await syncReadState(io, req.userId, {
+          chatUserId: senderId,
+          readAt: new Date(),
+        });
+      }
+    }
+    await clearMarkedUnread(io, req.userId, { chatUserId: senderId });
+
     res.json({
       success: true,
       data: {
@@ -223,6 +427,26 @@ router.put("/mark-read/:userId", verifyToken, async (req, res) => {
   }
 });
 
+// Get events missed since the given sequence number (resync after reconnect)
+router.get("/sync", verifyToken, async (req, res) => {
+  try {
+    const lastSeq = parseInt(req.query.since) || 0;
+
+    const result = await eventLogService.getEventsSince(req.userId, lastSeq);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Sync events error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
 // Get unread message count
 router.get("/unread-count", verifyToken, async (req, res) => {
   try {
@@ -255,6 +479,9 @@ router.post("/send", verifyToken, async (req, res) => {
       content,
       messageType = "text",
       attachment,
+      location,
+      contactId,
+      replyTo,
     } = req.body;
 
     // Validate required fields
@@ -265,7 +492,7 @@ router.post("/send", verifyToken, async (req, res) => {
       });
     }
 
-    if (!content && !attachment) {
+    if (!content && !attachment && !location && !contactId) {
       return res.status(400).json({
         success: false,
         message: "Either content or attachment is required",
@@ -278,6 +505,9 @@ router.post("/send", verifyToken, async (req, res) => {
       "image",
       "video",
       "file",
+      "voice",
+      "location",
+      "contact",
       "system",
       "deleted",
     ];
@@ -299,8 +529,40 @@ router.post("/send", verifyToken, async (req, res) => {
     // Add receiver or group
     if (receiverId) {
       messageData.receiver = receiverId;
+      const chatRoom = await ChatRoom.findOne({
+        participants: { $all: [req.userId, receiverId] },
+        roomType: "private",
+      }).select("disappearingTimer");
+      messageData.expiresAt = Message.getExpiryFor(chatRoom?.disappearingTimer);
     } else {
       messageData.group = groupId;
+      const group = await Group.findById(groupId).select(
+        "members admins createdBy settings"
+      );
+      if (group) {
+        const sendError = group.getSendError(req.userId, {
+          hasMedia: !!attachment,
+        });
+        if (sendError) {
+          return res.status(403).json({
+            success: false,
+            message: sendError,
+          });
+        }
+
+        messageData.recipientCount = group.members.length - 1;
+        messageData.expiresAt = Message.getExpiryFor(
+          group.settings?.disappearingTimer
+        );
+        Object.assign(
+          messageData,
+          Message.parseMentions(content, {
+            memberIds: group.members,
+            senderId: req.userId,
+            canMentionAll: group.isAdmin(req.userId),
+          })
+        );
+      }
     }
 
     // Add attachment if provided
@@ -308,6 +570,63 @@ router.post("/send", verifyToken, async (req, res) => {
       messageData.attachment = attachment;
     }
 
+    // Voice notes keep their duration and waveform in the attachment
+    if (messageType === "voice") {
+      const voice = Message.buildVoiceMetadata(
+        attachment?.duration,
+        attachment?.waveform
+      );
+      if (!attachment?.url || voice.error) {
+        return res.status(400).json({
+          success: false,
+          message: voice.error || "Voice notes need an uploaded recording",
+        });
+      }
+      Object.assign(messageData.attachment, voice);
+    }
+
+    // Locations keep their label as the message content
+    if (messageType === "location") {
+      const built = Message.buildLocation(location);
+      if (built.error) {
+        return res.status(400).json({
+          success: false,
+          message: built.error,
+        });
+      }
+      messageData.location = built.location;
+      messageData.content = built.location.label;
+    }
+
+    // Contact cards carry the contact's name as the message content
+    if (messageType === "contact") {
+      const built = await Message.buildContactCard(req.userId, contactId);
+      if (built.error) {
+        return res.status(400).json({
+          success: false,
+          message: built.error,
+        });
+      }
+      messageData.contact = built.contact;
+      messageData.content = built.contact.name;
+    }
+
+    // Add reply reference if replying to a message in the same conversation
+    if (replyTo) {
+      const replyFields = await Message.buildReplyFields(replyTo, {
+        senderId: req.userId,
+        receiverId,
+        groupId,
+      });
+      if (!replyFields) {
+        return res.status(400).json({
+          success: false,
+          message: "Replied message not found in this conversation",
+        });
+      }
+      Object.assign(messageData, replyFields);
+    }
+
     // Create and save message
     const message = new Message(messageData);
     await message.save();
@@ -321,6 +640,8 @@ router.post("/send", verifyToken, async (req, res) => {
       await message.populate("group", "name");
     }
 
+    attachLinkPreview(req.app.get("io"), message);
+
     res.json({
       success: true,
       message: "Message sent successfully",
@@ -335,51 +656,105 @@ router.post("/send", verifyToken, async (req, res) => {
   }
 });
 
-// Delete message (soft delete)
-router.delete("/message/:messageId", verifyToken, async (req, res) => {
+// Schedule a message to be sent later (private or group)
+router.post("/schedule", verifyToken, async (req, res) => {
   try {
-    const { messageId } = req.params;
+    const {
+      receiverId,
+      groupId,
+      content,
+      messageType = "text",
+      attachment,
+      replyTo,
+    } = req.body;
 
-    const message = await Message.findOne({
-      _id: messageId,
-      sender: req.userId,
-      isDeleted: false, // Only allow deletion of non-deleted messages
-    });
+    if (!receiverId && !groupId) {
+      return res.status(400).json({
+        success: false,
+        message: "Either receiverId or groupId is required",
+      });
+    }
 
-    if (!message) {
-      return res.status(404).json({
+    if (!content && !attachment) {
+      return res.status(400).json({
         success: false,
-        message: "Message not found or unauthorized",
+        message: "Either content or attachment is required",
       });
     }
 
-    // Mark message as deleted (soft delete)
-    message.isDeleted = true;
-    message.deletedAt = new Date();
-    message.deletedBy = req.userId;
-    message.content = "This message was deleted";
-    message.messageType = "deleted";
-    await message.save();
+    if (!["text", "image", "video", "file", "voice"].includes(messageType)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid message type",
+      });
+    }
 
-    // Populate sender info for socket emission
-    await message.populate("sender", "name email avatar");
-    if (message.receiver) {
-      await message.populate("receiver", "name email avatar");
+    const { scheduledFor, error } = ScheduledMessage.parseScheduledFor(
+      req.body.scheduledFor
+    );
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
     }
-    if (message.group) {
-      await message.populate("group", "name");
+
+    if (groupId) {
+      const group = await Group.findOne({
+        _id: groupId,
+        members: req.userId,
+        isActive: true,
+      });
+      if (!group) {
+        return res.status(404).json({
+          success: false,
+          message: "Group not found or you are not a member",
+        });
+      }
+    } else {
+      const sender = await User.findById(req.userId).select("friends");
+      if (!sender.friends || !sender.friends.includes(receiverId)) {
+        return res.status(403).json({
+          success: false,
+          message:
+            "You can only send messages to friends. Send a friend request first.",
+        });
+      }
     }
 
-    res.json({
+    if (replyTo) {
+      const replyFields = await Message.buildReplyFields(replyTo, {
+        senderId: req.userId,
+        receiverId,
+        groupId,
+      });
+      if (!replyFields) {
+        return res.status(400).json({
+          success: false,
+          message: "Replied message not found in this conversation",
+        });
+      }
+    }
+
+    const scheduled = new ScheduledMessage({
+      sender: req.userId,
+      receiver: groupId ? undefined : receiverId,
+      group: groupId || undefined,
+      content: content || "",
+      messageType,
+      attachment: attachment || null,
+      replyTo: replyTo || null,
+      scheduledFor,
+    });
+    await scheduled.save();
+
+    res.status(201).json({
       success: true,
-      message: "Message deleted successfully",
-      data: {
-        messageId: message._id,
-        deletedMessage: message,
-      },
+      message: "Message scheduled successfully",
+      data: scheduled,
     });
   } catch (error) {
-    console.error("Delete message error:", error);
+    console.error("Schedule message error:", error);
     res.status(500).json({
       success: false,
       message: "Internal server error",
@@ -387,74 +762,106 @@ router.delete("/message/:messageId", verifyToken, async (req, res) => {
   }
 });
 
-// Add reaction to message
-router.post("/message/:messageId/reaction", verifyToken, async (req, res) => {
+// Get the current user's scheduled messages
+router.get("/scheduled", verifyToken, async (req, res) => {
   try {
-    const { messageId } = req.params;
-    const { reaction = "👍" } = req.body;
+    const { receiverId, groupId, status = "pending" } = req.query;
 
-    // Validate reaction (basic emoji validation)
-    const validReactions = ["👍", "❤️", "😂", "😮", "😢", "😡", "👎"];
-    if (!validReactions.includes(reaction)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid reaction",
-      });
+    const filter = { sender: req.userId, status };
+    if (receiverId) {
+      filter.receiver = receiverId;
+    }
+    if (groupId) {
+      filter.group = groupId;
     }
 
-    const message = await Message.findOne({
-      _id: messageId,
-      isDeleted: false, // Don't allow reactions on deleted messages
+    const scheduledMessages = await ScheduledMessage.find(filter)
+      .populate("receiver", "name email avatar")
+      .populate("group", "name avatar")
+      .sort({ scheduledFor: 1 });
+
+    res.json({
+      success: true,
+      data: scheduledMessages,
+    });
+  } catch (error) {
+    console.error("Get scheduled messages error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
     });
+  }
+});
 
-    if (!message) {
+// Reschedule a pending message (optionally changing its content)
+router.put("/scheduled/:scheduledId", verifyToken, async (req, res) => {
+  try {
+    const { content } = req.body;
+
+    const scheduled = await ScheduledMessage.findOne({
+      _id: req.params.scheduledId,
+      sender: req.userId,
+    });
+    if (!scheduled) {
       return res.status(404).json({
         success: false,
-        message: "Message not found",
+        message: "Scheduled message not found",
       });
     }
 
-    // Check if user already reacted to this message
-    const existingReactionIndex = message.reactions.findIndex(
-      (r) => r.user.toString() === req.userId
-    );
-
-    if (existingReactionIndex !== -1) {
-      // Update existing reaction
-      message.reactions[existingReactionIndex].reaction = reaction;
-      message.reactions[existingReactionIndex].timestamp = new Date();
-    } else {
-      // Add new reaction
-      message.reactions.push({
-        user: req.userId,
-        reaction: reaction,
-        timestamp: new Date(),
+    if (!scheduled.isPending()) {
+      return res.status(400).json({
+        success: false,
+        message: `Scheduled message is already ${scheduled.status}`,
       });
     }
 
-    await message.save();
+    if (req.body.scheduledFor) {
+      const { scheduledFor, error } = ScheduledMessage.parseScheduledFor(
+        req.body.scheduledFor
+      );
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+      scheduled.scheduledFor = scheduledFor;
+    }
 
-    // Populate reaction user info
-    await message.populate("reactions.user", "name avatar");
-    await message.populate("sender", "name email avatar");
-    if (message.receiver) {
-      await message.populate("receiver", "name email avatar");
+    if (content !== undefined) {
+      if (
+        typeof content !== "string" ||
+        (!content.trim() && !scheduled.attachment)
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "Message content cannot be empty",
+        });
+      }
+      scheduled.content = content;
     }
-    if (message.group) {
-      await message.populate("group", "name");
+
+    // Only update if the dispatcher has not claimed it in the meantime
+    const updated = await ScheduledMessage.findOneAndUpdate(
+      { _id: scheduled._id, status: "pending" },
+      { scheduledFor: scheduled.scheduledFor, content: scheduled.content },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: "Scheduled message is already being sent",
+      });
     }
 
     res.json({
       success: true,
-      message: "Reaction added successfully",
-      data: {
-        messageId: message._id,
-        reactions: message.reactions,
-        updatedMessage: message,
-      },
+      message: "Scheduled message updated successfully",
+      data: updated,
     });
   } catch (error) {
-    console.error("Add reaction error:", error);
+    console.error("Reschedule message error:", error);
     res.status(500).json({
       success: false,
       message: "Internal server error",
@@ -462,13 +869,521 @@ router.post("/message/:messageId/reaction", verifyToken, async (req, res) => {
   }
 });
 
-// Remove reaction from message
-router.delete("/message/:messageId/reaction", verifyToken, async (req, res) => {
+// Cancel a pending scheduled message
+router.delete("/scheduled/:scheduledId", verifyToken, async (req, res) => {
   try {
-    const { messageId } = req.params;
+    const scheduled = await ScheduledMessage.findOneAndUpdate(
+      { _id: req.params.scheduledId, sender: req.userId, status: "pending" },
+      { status: "cancelled" },
+      { new: true }
+    );
 
-    const message = await Message.findOne({
-      _id: messageId,
+    if (!scheduled) {
+      return res.status(404).json({
+        success: false,
+        message: "Pending scheduled message not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Scheduled message cancelled successfully",
+      data: scheduled,
+    });
+  } catch (error) {
+    console.error("Cancel scheduled message error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// Set the disappearing-messages timer for the chat with a user
+router.put("/disappearing/:userId", verifyToken, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { timer } = req.body;
+
+    if (!Object.keys(Message.DISAPPEARING_TIMERS).includes(timer)) {
+      return res.status(400).json({
+        success: false,
+        message: `Timer must be one of: ${Object.keys(
+          Message.DISAPPEARING_TIMERS
+        ).join(", ")}`,
+      });
+    }
+
+    const currentUser = await User.findById(req.userId).select(
+      "name email avatar friends"
+    );
+    if (!currentUser.friends || !currentUser.friends.includes(userId)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only change this setting for chats with friends",
+      });
+    }
+
+    let chatRoom = await ChatRoom.findOne({
+      participants: { $all: [req.userId, userId] },
+      roomType: "private",
+    });
+    if (!chatRoom) {
+      chatRoom = new ChatRoom({
+        participants: [req.userId, userId],
+        deletedFor: [],
+      });
+    }
+
+    if (chatRoom.disappearingTimer === timer) {
+      return res.json({
+        success: true,
+        message: "Disappearing messages setting unchanged",
+        data: { chatRoomId: chatRoom._id, disappearingTimer: timer },
+      });
+    }
+
+    chatRoom.disappearingTimer = timer;
+    await chatRoom.save();
+
+    // Let both participants know in the chat itself
+    const io = req.app.get("io");
+    const systemMessage = await sendSystemMessage(
+      io,
+      currentUser,
+      { chatRoom },
+      Message.describeDisappearingTimer(currentUser.name, timer)
+    );
+    chatRoom.participants.forEach((participant) => {
+      io.to(participant.toString()).emit("disappearing-timer-updated", {
+        chatRoomId: chatRoom._id,
+        disappearingTimer: timer,
+        updatedBy: req.userId,
+      });
+    });
+
+    res.json({
+      success: true,
+      message: "Disappearing messages setting updated successfully",
+      data: {
+        chatRoomId: chatRoom._id,
+        disappearingTimer: timer,
+        systemMessage,
+      },
+    });
+  } catch (error) {
+    console.error("Update disappearing messages error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// Delete message (soft delete)
+router.delete("/message/:messageId", verifyToken, async (req, res) => {
+  try {
+    const result = await deleteMessage(
+      req.app.get("io"),
+      req.userId,
+      req.params.messageId
+    );
+
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Message deleted successfully",
+      data: {
+        messageId: result.message._id,
+        deletedMessage: result.message,
+      },
+    });
+  } catch (error) {
+    console.error("Delete message error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// Get delivery and read receipts of a message ("message info")
+router.get("/message/:messageId/receipts", verifyToken, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    const message = await Message.findOne({
+      _id: messageId,
+      sender: req.userId, // Only the sender can see who received the message
+    })
+      .populate("deliveredTo.user", "name avatar")
+      .populate("readBy.user", "name avatar")
+      .populate("playedBy.user", "name avatar");
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: "Message not found or unauthorized",
+      });
+    }
+
+    // Work out who the message was sent to
+    let recipientIds = [];
+    if (message.group) {
+      const group = await Group.findById(message.group).select("members");
+      recipientIds = (group?.members || [])
+        .map((id) => id.toString())
+        .filter((id) => id !== req.userId);
+    } else {
+      recipientIds = [message.receiver.toString()];
+    }
+
+    const recipients = await User.find({ _id: { $in: recipientIds } }).select(
+      "name avatar"
+    );
+
+    const receipts = recipients.map((recipient) => {
+      const delivered = message.deliveredTo.find(
+        (d) => d.user?._id.toString() === recipient._id.toString()
+      );
+      const read = message.readBy.find(
+        (r) => r.user?._id.toString() === recipient._id.toString()
+      );
+      const played = message.playedBy.find(
+        (p) => p.user?._id.toString() === recipient._id.toString()
+      );
+      const legacyRead = !message.group && message.isRead && !read;
+
+      let status = delivered ? "delivered" : "sent";
+      if (played) {
+        status = "played";
+      } else if (read || legacyRead) {
+        status = "read";
+      }
+
+      return {
+        user: recipient,
+        deliveredAt: delivered?.deliveredAt || read?.readAt || null,
+        readAt: read?.readAt || null,
+        playedAt: played?.playedAt || null,
+        status,
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        messageId: message._id,
+        sentAt: message.timestamp,
+        summary: message.getReceiptSummary(),
+        receipts,
+      },
+    });
+  } catch (error) {
+    console.error("Get message receipts error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// Mark a voice note as played
+router.put("/message/:messageId/played", verifyToken, async (req, res) => {
+  try {
+    const result = await markVoicePlayed(
+      req.app.get("io"),
+      req.userId,
+      req.params.messageId
+    );
+
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Voice note marked as played",
+      data: { messageId: result.message._id },
+    });
+  } catch (error) {
+    console.error("Mark voice played error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// Stop sharing a live location
+router.delete(
+  "/message/:messageId/live-location",
+  verifyToken,
+  async (req, res) => {
+    try {
+      const result = await stopLiveLocation(
+        req.app.get("io"),
+        req.userId,
+        req.params.messageId
+      );
+
+      if (result.error) {
+        return res.status(result.status).json({
+          success: false,
+          message: result.error,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Live location sharing stopped",
+        data: result.message,
+      });
+    } catch (error) {
+      console.error("Stop live location error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+// Edit message content
+router.put("/message/:messageId", verifyToken, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { content } = req.body;
+
+    if (!content || !content.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Content is required",
+      });
+    }
+
+    const message = await Message.findOne({
+      _id: messageId,
+      sender: req.userId,
+      isDeleted: false, // Deleted messages cannot be edited
+    });
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: "Message not found or unauthorized",
+      });
+    }
+
+    if (!message.isEditableType()) {
+      return res.status(400).json({
+        success: false,
+        message: "This type of message cannot be edited",
+      });
+    }
+
+    if (!message.isWithinEditWindow()) {
+      return res.status(403).json({
+        success: false,
+        message: "Edit time limit has passed for this message",
+      });
+    }
+
+    if (message.content === content.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "No changes to save",
+      });
+    }
+
+    message.applyEdit(content.trim());
+    await message.save();
+
+    // Populate message info for socket emission
+    await message.populate("sender", "name email avatar");
+    await message.populate("reactions.user", "name avatar");
+    if (message.receiver) {
+      await message.populate("receiver", "name email avatar");
+    }
+    if (message.group) {
+      await message.populate("group", "name");
+    }
+
+    // Notify every participant, including the sender's other sessions
+    const io = req.app.get("io");
+    if (io) {
+      const { userIds, extra } = await getMessageAudience(message);
+      await deliverEvent(
+        io,
+        userIds,
+        "message-edited",
+        { messageId: message._id, editedMessage: message, ...extra },
+        { messageId: message._id, data: extra }
+      );
+      attachLinkPreview(io, message);
+    }
+
+    res.json({
+      success: true,
+      message: "Message edited successfully",
+      data: {
+        messageId: message._id,
+        editedMessage: message,
+      },
+    });
+  } catch (error) {
+    console.error("Edit message error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// Get edit history of a message
+router.get("/message/:messageId/history", verifyToken, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    const message = await Message.findById(messageId).select(
+      "sender receiver group content isEdited editedAt editHistory timestamp isDeleted"
+    );
+
+    if (!message || message.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: "Message not found",
+      });
+    }
+
+    // Only participants of the conversation may see the history
+    let isParticipant =
+      message.sender.toString() === req.userId ||
+      message.receiver?.toString() === req.userId;
+    if (!isParticipant && message.group) {
+      isParticipant = !!(await Group.exists({
+        _id: message.group,
+        members: req.userId,
+      }));
+    }
+
+    if (!isParticipant) {
+      return res.status(403).json({
+        success: false,
+        message: "You are not allowed to view this message",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        messageId: message._id,
+        currentContent: message.content,
+        isEdited: message.isEdited,
+        editedAt: message.editedAt,
+        versions: message.editHistory,
+      },
+    });
+  } catch (error) {
+    console.error("Get edit history error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// Add reaction to message
+router.post("/message/:messageId/reaction", verifyToken, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { reaction = "👍" } = req.body;
+
+    // Validate reaction (basic emoji validation)
+    const validReactions = ["👍", "❤️", "😂", "😮", "😢", "😡", "👎"];
+    if (!validReactions.includes(reaction)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid reaction",
+      });
+    }
+
+    const message = await Message.findOne({
+      _id: messageId,
+      isDeleted: false, // Don't allow reactions on deleted messages
+    });
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: "Message not found",
+      });
+    }
+
+    // Check if user already reacted to this message
+    const existingReactionIndex = message.reactions.findIndex(
+      (r) => r.user.toString() === req.userId
+    );
+
+    if (existingReactionIndex !== -1) {
+      // Update existing reaction
+      message.reactions[existingReactionIndex].reaction = reaction;
+      message.reactions[existingReactionIndex].timestamp = new Date();
+    } else {
+      // Add new reaction
+      message.reactions.push({
+        user: req.userId,
+        reaction: reaction,
+        timestamp: new Date(),
+      });
+    }
+
+    await message.save();
+
+    // Populate reaction user info
+    await message.populate("reactions.user", "name avatar");
+    await message.populate("sender", "name email avatar");
+    if (message.receiver) {
+      await message.populate("receiver", "name email avatar");
+    }
+    if (message.group) {
+      await message.populate("group", "name");
+    }
+
+    res.json({
+      success: true,
+      message: "Reaction added successfully",
+      data: {
+        messageId: message._id,
+        reactions: message.reactions,
+        updatedMessage: message,
+      },
+    });
+  } catch (error) {
+    console.error("Add reaction error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// Remove reaction from message
+router.delete("/message/:messageId/reaction", verifyToken, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    const message = await Message.findOne({
+      _id: messageId,
       isDeleted: false, // Don't allow reaction removal on deleted messages
     });
 
@@ -514,6 +1429,424 @@ router.delete("/message/:messageId/reaction", verifyToken, async (req, res) => {
   }
 });
 
+// Find a message the user can see: a private message they sent or received,
+// or a message in one of their groups. Resolves to { message, group } or null.
+const findAccessibleMessage = async (messageId, userId) => {
+  const message = await Message.findById(messageId);
+  if (!message) {
+    return null;
+  }
+
+  if (message.group) {
+    const group = await Group.findOne({
+      _id: message.group,
+      members: userId,
+      isActive: true,
+    });
+    return group ? { message, group } : null;
+  }
+
+  const isParticipant = [message.sender, message.receiver].some(
+    (participant) => participant.toString() === userId
+  );
+  return isParticipant ? { message, group: null } : null;
+};
+
+// Pin or unpin a message in its chat or group
+const setPinned = async (req, res, pinned) => {
+  const access = await findAccessibleMessage(req.params.messageId, req.userId);
+  if (!access || access.message.isDeleted) {
+    return res.status(404).json({
+      success: false,
+      message: "Message not found",
+    });
+  }
+
+  const { message, group } = access;
+
+  if (group && !group.can(req.userId, "pinMessages")) {
+    return res.status(403).json({
+      success: false,
+      message: "You don't have permission to pin messages in this group",
+    });
+  }
+
+  const isNewPin = pinned && !message.pinnedAt;
+  const countPinned = () =>
+    Message.countDocuments({
+      $and: [message.conversationFilter(), { pinnedAt: { $ne: null } }],
+    });
+  const limitReached = () =>
+    res.status(400).json({
+      success: false,
+      message: `You can pin up to ${Message.MAX_PINNED_MESSAGES} messages. Unpin one first.`,
+    });
+
+  if (isNewPin && (await countPinned()) >= Message.MAX_PINNED_MESSAGES) {
+    return limitReached();
+  }
+
+  message.pinnedAt = pinned ? message.pinnedAt || new Date() : null;
+  message.pinnedBy = pinned ? message.pinnedBy || req.userId : null;
+  await message.save();
+
+  // Count again now that the pin is saved, so concurrent pins can't go over
+  // the limit. If they did, this pin is taken back.
+  if (isNewPin && (await countPinned()) > Message.MAX_PINNED_MESSAGES) {
+    await Message.updateOne(
+      { _id: message._id, pinnedAt: message.pinnedAt },
+      { pinnedAt: null, pinnedBy: null }
+    );
+    return limitReached();
+  }
+
+  await message.populate("sender", "name email avatar");
+  await message.populate("pinnedBy", "name avatar");
+
+  // Update every participant's pinned bar
+  const io = req.app.get("io");
+  if (io) {
+    const { userIds, extra } = await getMessageAudience(message);
+    const payload = {
+      messageId: message._id,
+      message,
+      pinnedAt: message.pinnedAt,
+      pinnedBy: message.pinnedBy,
+      ...extra,
+    };
+    await deliverEvent(
+      io,
+      userIds,
+      pinned ? "message-pinned" : "message-unpinned",
+      payload,
+      { messageId: message._id, data: extra }
+    );
+  }
+
+  res.json({
+    success: true,
+    message: pinned
+      ? "Message pinned successfully"
+      : "Message unpinned successfully",
+    data: message,
+  });
+};
+
+// Pin a message
+router.post("/message/:messageId/pin", verifyToken, async (req, res) => {
+  try {
+    await setPinned(req, res, true);
+  } catch (error) {
+    console.error("Pin message error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// Unpin a message
+router.delete("/message/:messageId/pin", verifyToken, async (req, res) => {
+  try {
+    await setPinned(req, res, false);
+  } catch (error) {
+    console.error("Unpin message error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// Forward a message to several friends and groups
+router.post("/message/:messageId/forward", verifyToken, async (req, res) => {
+  try {
+    const { receiverIds = [], groupIds = [] } = req.body;
+
+    if (!Array.isArray(receiverIds) || !Array.isArray(groupIds)) {
+      return res.status(400).json({
+        success: false,
+        message: "receiverIds and groupIds must be arrays",
+      });
+    }
+
+    const targets = [
+      ...[...new Set(receiverIds.map(String))].map((id) => ({
+        id,
+        isGroupChat: false,
+      })),
+      ...[...new Set(groupIds.map(String))].map((id) => ({
+        id,
+        isGroupChat: true,
+      })),
+    ];
+
+    if (targets.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "At least one receiver or group is required",
+      });
+    }
+
+    if (targets.length > Message.MAX_FORWARD_TARGETS) {
+      return res.status(400).json({
+        success: false,
+        message: `Messages can be forwarded to at most ${Message.MAX_FORWARD_TARGETS} chats at once`,
+      });
+    }
+
+    const access = await findAccessibleMessage(
+      req.params.messageId,
+      req.userId
+    );
+    if (
+      !access ||
+      access.message.isDeleted ||
+      ["system", "poll"].includes(access.message.messageType)
+    ) {
+      return res.status(404).json({
+        success: false,
+        message: "Message not found",
+      });
+    }
+
+    const original = access.message;
+    const sender = await User.findById(req.userId).select("-password");
+    const io = req.app.get("io");
+
+    // Send through the same path as send-message, so friendship, blocking,
+    // disappearing timers and push notifications apply to every target
+    const results = [];
+    for (const target of targets) {
+      const result = await sendChatMessage(
+        io,
+        sender,
+        {
+          receiverId: target.id,
+          isGroupChat: target.isGroupChat,
+          content: original.content,
+          messageType: original.messageType,
+          // Reuse the uploaded file instead of copying it
+          attachment: original.attachment?.url
+            ? original.attachment.toObject()
+            : undefined,
+          // Live locations are forwarded as a pin of their latest position
+          location: original.location
+            ? {
+                latitude: original.location.latitude,
+                longitude: original.location.longitude,
+                accuracy: original.location.accuracy,
+                label: original.location.label,
+              }
+            : undefined,
+          contactId: original.contact?.user,
+        },
+        { forward: original.buildForwardFields() }
+      );
+
+      results.push({
+        targetId: target.id,
+        isGroupChat: target.isGroupChat,
+        success: !result.error,
+        error: result.error || null,
+        message: result.message || null,
+      });
+    }
+
+    const sentCount = results.filter((result) => result.success).length;
+
+    res.status(sentCount > 0 ? 200 : 400).json({
+      success: sentCount > 0,
+      message:
+        sentCount === results.length
+          ? "Message forwarded successfully"
+          : `Message forwarded to ${sentCount} of ${results.length} chats`,
+      data: { results },
+    });
+  } catch (error) {
+    console.error("Forward message error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// Get the pinned messages of the chat with a user
+router.get("/pinned/:userId", verifyToken, async (req, res) => {
+  try {
+    const { userId: otherUserId } = req.params;
+
+    const messages = await Message.find({
+      $or: [
+        { sender: req.userId, receiver: otherUserId },
+        { sender: otherUserId, receiver: req.userId },
+      ],
+      pinnedAt: { $ne: null },
+    })
+      .populate("sender", "name email avatar")
+      .populate("receiver", "name email avatar")
+      .populate("pinnedBy", "name avatar")
+      .sort({ pinnedAt: -1 });
+
+    res.json({
+      success: true,
+      data: messages,
+    });
+  } catch (error) {
+    console.error("Get pinned messages error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// Star a message for the current user
+router.post("/message/:messageId/star", verifyToken, async (req, res) => {
+  try {
+    const access = await findAccessibleMessage(
+      req.params.messageId,
+      req.userId
+    );
+    if (!access || access.message.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: "Message not found",
+      });
+    }
+
+    const { message } = access;
+    await Message.updateOne(
+      { _id: message._id, "starredBy.user": { $ne: req.userId } },
+      { $push: { starredBy: { user: req.userId } } }
+    );
+
+    // Keep the user's other devices in sync
+    const io = req.app.get("io");
+    if (io) {
+      await deliverEvent(
+        io,
+        [req.userId],
+        "message-starred",
+        { messageId: message._id, isStarred: true },
+        { messageId: message._id, data: { isStarred: true } }
+      );
+    }
+
+    res.json({
+      success: true,
+      message: "Message starred successfully",
+      data: { messageId: message._id, isStarred: true },
+    });
+  } catch (error) {
+    console.error("Star message error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// Remove a message from the current user's starred list
+router.delete("/message/:messageId/star", verifyToken, async (req, res) => {
+  try {
+    const message = await Message.findOneAndUpdate(
+      { _id: req.params.messageId, "starredBy.user": req.userId },
+      { $pull: { starredBy: { user: req.userId } } },
+      { new: true }
+    );
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: "Starred message not found",
+      });
+    }
+
+    const io = req.app.get("io");
+    if (io) {
+      await deliverEvent(
+        io,
+        [req.userId],
+        "message-starred",
+        { messageId: message._id, isStarred: false },
+        { messageId: message._id, data: { isStarred: false } }
+      );
+    }
+
+    res.json({
+      success: true,
+      message: "Message unstarred successfully",
+      data: { messageId: message._id, isStarred: false },
+    });
+  } catch (error) {
+    console.error("Unstar message error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// Get the current user's starred messages across all chats and groups
+router.get("/starred", verifyToken, async (req, res) => {
+  try {
+    const { limit = 50, before } = req.query;
+
+    const cursor = before ? Message.decodeCursor(before) : null;
+    if (before && !cursor) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid before cursor",
+      });
+    }
+
+    // Stars in groups the user has left stay hidden
+    const groupIds = await Group.find({
+      members: req.userId,
+      isActive: true,
+    }).distinct("_id");
+
+    const page = await Message.starredPage(
+      req.userId,
+      [
+        { isDeleted: false },
+        { $or: [{ group: null }, { group: { $in: groupIds } }] },
+      ],
+      {
+        before: cursor,
+        limit,
+        populate: [
+          { path: "sender", select: "name email avatar" },
+          { path: "receiver", select: "name email avatar" },
+          { path: "reactions.user", select: "name avatar" },
+          { path: "deletedBy", select: "name avatar" },
+          { path: "group", select: "name avatar" },
+        ],
+      }
+    );
+
+    res.json({
+      success: true,
+      data: {
+        // Most recently starred first
+        messages: page.entries.map(({ message, starredAt }) => ({
+          ...message.toJSON(),
+          starredAt,
+        })),
+        pagination: page.pagination,
+      },
+    });
+  } catch (error) {
+    console.error("Get starred messages error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
 // Delete chat conversation (one-sided)
 router.delete("/delete-chat/:userId", verifyToken, async (req, res) => {
   try {
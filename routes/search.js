@@ -1,8 +1,10 @@
 const express = require("express");
 const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
 const User = require("../models/User");
 const Message = require("../models/Message");
 const ChatRoom = require("../models/ChatRoom");
+const Group = require("../models/Group");
 
 const router = express.Router();
 
@@ -39,6 +41,166 @@ const authenticateUser = async (req, res, next) => {
   }
 };
 
+// Escape user input for use inside a RegExp
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const SEARCH_POPULATE = [
+  { path: "sender", select: "name email avatar" },
+  { path: "receiver", select: "name email avatar" },
+  { path: "group", select: "name avatar" },
+];
+
+// Conditions limiting a message search to what the user can see: their
+// private chats (except chats they deleted) and groups they are in, without
+// messages from users they blocked. Optional filters narrow it down to a
+// conversation (chatUserId or groupId), a sender, a date range (from, to),
+// message types (comma separated) and whether there is an attachment.
+// Returns { scope }, { scope: null } when nothing can match, or
+// { error, status }
+const buildMessageScope = async (user, filters) => {
+  const { chatUserId, groupId, senderId, from, to, type, hasAttachment } =
+    filters;
+  const userId = user._id;
+  const blockedIds = (user.blockedUsers || []).map((id) => id.toString());
+
+  for (const [name, value] of Object.entries({
+    chatUserId,
+    groupId,
+    senderId,
+  })) {
+    if (value && !mongoose.isValidObjectId(value)) {
+      return { error: `Invalid ${name}`, status: 400 };
+    }
+  }
+
+  // Private chats the user deleted on their side are hidden like blocked users
+  const deletedChats = await ChatRoom.find({
+    participants: userId,
+    roomType: "private",
+    deletedFor: userId,
+  }).select("participants");
+  const hiddenIds = [
+    ...blockedIds,
+    ...deletedChats.flatMap((room) =>
+      room.participants
+        .map((id) => id.toString())
+        .filter((id) => id !== userId.toString())
+    ),
+  ];
+
+  const scope = [
+    { isDeleted: { $ne: true } },
+    { messageType: { $nin: ["system", "deleted"] } },
+    { sender: { $nin: blockedIds } },
+  ];
+
+  if (chatUserId) {
+    if (hiddenIds.includes(chatUserId)) {
+      return { scope: null };
+    }
+    scope.push({
+      $or: [
+        { sender: userId, receiver: chatUserId },
+        { sender: chatUserId, receiver: userId },
+      ],
+    });
+  } else if (groupId) {
+    const group = await Group.exists({
+      _id: groupId,
+      members: userId,
+      isActive: true,
+    });
+    if (!group) {
+      return {
+        error: "Group not found or you are not a member",
+        status: 404,
+      };
+    }
+    scope.push({ group: groupId });
+  } else {
+    const groups = await Group.find({ members: userId, isActive: true }).select(
+      "_id"
+    );
+    scope.push({
+      $or: [
+        { sender: userId, receiver: { $nin: hiddenIds, $ne: null } },
+        { receiver: userId, sender: { $nin: hiddenIds } },
+        { group: { $in: groups.map((group) => group._id) } },
+      ],
+    });
+  }
+
+  if (senderId) {
+    scope.push({ sender: senderId });
+  }
+
+  if (from || to) {
+    const range = {};
+    for (const [op, value] of [
+      ["$gte", from],
+      ["$lte", to],
+    ]) {
+      if (!value) {
+        continue;
+      }
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        return { error: "Invalid date range", status: 400 };
+      }
+      range[op] = date;
+    }
+    scope.push({ timestamp: range });
+  }
+
+  if (type) {
+    const types = String(type).split(",");
+    const validTypes = Message.schema.path("messageType").enumValues;
+    if (types.some((messageType) => !validTypes.includes(messageType))) {
+      return { error: "Invalid message type", status: 400 };
+    }
+    scope.push({ messageType: { $in: types } });
+  }
+
+  if (hasAttachment === "true") {
+    scope.push({ "attachment.url": { $ne: null } });
+  } else if (hasAttachment === "false") {
+    scope.push({ "attachment.url": null });
+  }
+
+  return { scope };
+};
+
+// Search result: the message with where it was sent and a highlighted
+// snippet of the matching text
+const formatSearchResult = (message, userId, query) => {
+  const otherUser =
+    message.sender?._id.toString() === userId.toString()
+      ? message.receiver
+      : message.sender;
+
+  // toJSON keeps the voters of anonymous polls hidden
+  return {
+    ...message.toJSON(),
+    conversation: message.group
+      ? {
+          type: "group",
+          id: message.group._id,
+          name: message.group.name,
+          avatar: message.group.avatar,
+        }
+      : {
+          type: "chat",
+          id: otherUser?._id,
+          name: otherUser?.name,
+          avatar: otherUser?.avatar,
+        },
+    ...Message.buildSearchSnippet(
+      message.content || message.attachment?.originalName,
+      query
+    ),
+  };
+};
+
 // Global search endpoint
 router.get("/global", authenticateUser, async (req, res) => {
   try {
@@ -53,7 +215,7 @@ router.get("/global", authenticateUser, async (req, res) => {
     }
 
     const searchTerm = query.trim();
-    const searchRegex = new RegExp(searchTerm, "i");
+    const searchRegex = new RegExp(escapeRegex(searchTerm), "i");
 
     // Search for users (contacts)
     const users = await User.find({
@@ -105,16 +267,13 @@ router.get("/global", authenticateUser, async (req, res) => {
         };
       });
 
-    // Search for messages
-    const messages = await Message.find({
-      $or: [{ sender: currentUserId }, { receiver: currentUserId }],
-      content: searchRegex,
-      isDeleted: { $ne: true },
-    })
-      .populate("sender", "name email avatar")
-      .populate("receiver", "name email avatar")
-      .sort({ timestamp: -1 })
-      .limit(50);
+    // Search for messages in private chats and groups
+    const { scope } = await buildMessageScope(req.user, {});
+    const { messages, pagination } = await Message.searchPage(
+      searchTerm,
+      scope,
+      { limit: 20, populate: SEARCH_POPULATE }
+    );
 
     console.log(`🔍 Global search for "${searchTerm}":`, {
       users: users.length,
@@ -129,7 +288,11 @@ router.get("/global", authenticateUser, async (req, res) => {
       data: {
         users: users,
         chats: matchingChats,
-        messages: messages,
+        messages: messages.map((message) =>
+          formatSearchResult(message, currentUserId, searchTerm)
+        ),
+        // More messages: GET /api/search/messages?q=...&cursor=...
+        messagesPagination: pagination,
         query: searchTerm,
         totalResults: users.length + matchingChats.length + messages.length,
       },
@@ -143,6 +306,68 @@ router.get("/global", authenticateUser, async (req, res) => {
   }
 });
 
+// Search messages in private chats and groups, with filters
+// (chatUserId, groupId, senderId, from, to, type, hasAttachment)
+router.get("/messages", authenticateUser, async (req, res) => {
+  try {
+    const { q: query, cursor, limit } = req.query;
+    const currentUserId = req.user._id;
+
+    if (!query || query.trim().length < 1) {
+      return res.status(400).json({
+        success: false,
+        message: "Search query is required",
+      });
+    }
+
+    let before = null;
+    if (cursor) {
+      before = Message.decodeCursor(cursor);
+      if (!before) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid cursor",
+        });
+      }
+    }
+
+    const result = await buildMessageScope(req.user, req.query);
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error,
+      });
+    }
+
+    const searchTerm = query.trim();
+    const { messages, pagination } = result.scope
+      ? await Message.searchPage(searchTerm, result.scope, {
+          before,
+          limit,
+          populate: SEARCH_POPULATE,
+        })
+      : { messages: [], pagination: { hasMore: false, nextCursor: null } };
+
+    res.json({
+      success: true,
+      message: "Message search completed successfully",
+      data: {
+        messages: messages.map((message) =>
+          formatSearchResult(message, currentUserId, searchTerm)
+        ),
+        query: searchTerm,
+        pagination,
+      },
+    });
+  } catch (error) {
+    console.error("Message search error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
 // Search messages in a specific chat
 router.get("/chat/:userId", authenticateUser, async (req, res) => {
   try {
@@ -158,27 +383,32 @@ router.get("/chat/:userId", authenticateUser, async (req, res) => {
     }
 
     const searchTerm = query.trim();
-    const searchRegex = new RegExp(searchTerm, "i");
 
     // Find messages in this specific chat
-    const messages = await Message.find({
-      $or: [
-        { sender: currentUserId, receiver: otherUserId },
-        { sender: otherUserId, receiver: currentUserId },
-      ],
-      content: searchRegex,
-      isDeleted: { $ne: true },
-    })
-      .populate("sender", "name email avatar")
-      .populate("receiver", "name email avatar")
-      .sort({ timestamp: -1 })
-      .limit(100);
+    const result = await buildMessageScope(req.user, {
+      chatUserId: otherUserId,
+    });
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error,
+      });
+    }
+
+    const { messages } = result.scope
+      ? await Message.searchPage(searchTerm, result.scope, {
+          limit: 50,
+          populate: SEARCH_POPULATE,
+        })
+      : { messages: [] };
 
     res.json({
       success: true,
       message: "Chat search completed successfully",
       data: {
-        messages: messages,
+        messages: messages.map((message) =>
+          formatSearchResult(message, currentUserId, searchTerm)
+        ),
         query: searchTerm,
         totalResults: messages.length,
         chatWith: otherUserId,
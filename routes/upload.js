@@ -3,6 +3,7 @@ const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
 const jwt = require("jsonwebtoken");
+const Message = require("../models/Message");
 
 const router = express.Router();
 
@@ -73,6 +74,19 @@ const fileFilter = (req, file, cb) => {
     "video/flv": true,
     "video/webm": true,
     "video/mkv": true,
+    // Audio (voice notes)
+    "audio/mpeg": true,
+    "audio/mp3": true,
+    "audio/mp4": true,
+    "audio/x-m4a": true,
+    "audio/aac": true,
+    "audio/ogg": true,
+    "audio/opus": true,
+    "audio/wav": true,
+    "audio/x-wav": true,
+    "audio/webm": true,
+    "audio/3gpp": true,
+    "audio/amr": true,
     // Documents
     "application/pdf": true,
     "application/msword": true,
@@ -109,6 +123,7 @@ const upload = multer({
 const getFileTypeCategory = (mimeType) => {
   if (mimeType.startsWith("image/")) return "image";
   if (mimeType.startsWith("video/")) return "video";
+  if (mimeType.startsWith("audio/")) return "audio";
   return "file";
 };
 
@@ -182,6 +197,87 @@ router.post("/file", verifyToken, upload.single("file"), async (req, res) => {
   }
 });
 
+// Upload voice note route
+// Expects the recording as "file" plus "duration" (seconds) and "waveform"
+// (JSON array of amplitude samples measured by the recorder)
+router.post("/voice", verifyToken, upload.single("file"), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "No file uploaded",
+      });
+    }
+
+    const file = req.file;
+
+    if (getFileTypeCategory(file.mimetype) !== "audio") {
+      fs.unlink(file.path, (err) => {
+        if (err) console.error("Error deleting rejected voice note:", err);
+      });
+      return res.status(400).json({
+        success: false,
+        message: "Voice notes must be audio files",
+      });
+    }
+
+    let samples = [];
+    try {
+      samples = JSON.parse(req.body.waveform || "[]");
+    } catch (parseError) {
+      samples = [];
+    }
+
+    const voice = Message.buildVoiceMetadata(req.body.duration, samples);
+    if (voice.error) {
+      fs.unlink(file.path, (err) => {
+        if (err) console.error("Error deleting rejected voice note:", err);
+      });
+      return res.status(400).json({
+        success: false,
+        message: voice.error,
+      });
+    }
+
+    console.log("🎤 Voice note uploaded:", {
+      filePath: file.path,
+      mimeType: file.mimetype,
+      size: file.size,
+      duration: voice.duration,
+    });
+
+    res.json({
+      success: true,
+      message: "Voice note uploaded successfully",
+      data: {
+        filename: file.filename,
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+        url: `/api/upload/file/${file.filename}`,
+        thumbnail: null,
+        type: "voice",
+        duration: voice.duration,
+        waveform: voice.waveform,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Voice note upload error:", error);
+
+    // Clean up file if it exists
+    if (req.file && req.file.path) {
+      fs.unlink(req.file.path, (err) => {
+        if (err) console.error("Error deleting file after error:", err);
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message || "Voice note upload failed",
+    });
+  }
+});
+
 // Get file info route (for serving files)
 router.get("/file/:filename", (req, res) => {
   try {
@@ -1,9 +1,11 @@
 const express = require("express");
 const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
 const User = require("../models/User");
 const Message = require("../models/Message");
 const ChatRoom = require("../models/ChatRoom");
 const notificationService = require("../services/notificationService");
+const { isUserOnline, broadcastPresence } = require("../socket/socketServer");
 
 const router = express.Router();
 
@@ -404,6 +406,121 @@ router.get("/blocked", authenticateUser, async (req, res) => {
   }
 });
 
+// Get the online status and last seen of several users (?ids=id1,id2),
+// hiding whatever their privacy settings don't let the current user see
+router.get("/presence", authenticateUser, async (req, res) => {
+  try {
+    const ids = [
+      ...new Set(
+        String(req.query.ids || "")
+          .split(",")
+          .map((id) => id.trim())
+          .filter(Boolean)
+      ),
+    ];
+
+    if (ids.length === 0 || ids.length > 100) {
+      return res.status(400).json({
+        success: false,
+        message: "Between 1 and 100 user ids are required",
+      });
+    }
+    if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid user id",
+      });
+    }
+
+    const users = await User.find({ _id: { $in: ids } }).select(
+      User.PRESENCE_FIELDS
+    );
+
+    const presence = await Promise.all(
+      users.map(async (user) => {
+        const showOnline = user.canShowPresence(req.user._id, "onlineStatus");
+        const showLastSeen = user.canShowPresence(req.user._id, "lastSeen");
+        return {
+          userId: user._id,
+          user: user.toPresenceProfile(),
+          // null when hidden by the user's privacy settings
+          isOnline: showOnline ? await isUserOnline(user._id) : null,
+          lastSeen: showLastSeen ? user.lastSeen : null,
+        };
+      })
+    );
+
+    res.json({
+      success: true,
+      message: "Presence retrieved successfully",
+      data: { presence },
+    });
+  } catch (error) {
+    console.error("Get presence error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
+// Get the current user's privacy settings
+router.get("/privacy", authenticateUser, async (req, res) => {
+  res.json({
+    success: true,
+    message: "Privacy settings retrieved successfully",
+    data: {
+      privacy: {
+        lastSeen: req.user.privacy?.lastSeen || "everyone",
+        onlineStatus: req.user.privacy?.onlineStatus || "everyone",
+      },
+    },
+  });
+});
+
+// Update who can see the current user's last seen and online status
+router.put("/privacy", authenticateUser, async (req, res) => {
+  try {
+    const options = ["everyone", "friends", "nobody"];
+    const updates = {};
+
+    for (const field of ["lastSeen", "onlineStatus"]) {
+      if (req.body[field] === undefined) {
+        continue;
+      }
+      if (!options.includes(req.body[field])) {
+        return res.status(400).json({
+          success: false,
+          message: `${field} must be one of: ${options.join(", ")}`,
+        });
+      }
+      updates[`privacy.${field}`] = req.body[field];
+    }
+
+    const user = await User.findByIdAndUpdate(req.user._id, updates, {
+      new: true,
+    }).select("privacy");
+
+    // Re-send the user's status so friends who lost access stop seeing it
+    const io = req.app.get("io");
+    if (io) {
+      await broadcastPresence(io, req.user._id, await isUserOnline(user._id));
+    }
+
+    res.json({
+      success: true,
+      message: "Privacy settings updated successfully",
+      data: { privacy: user.privacy },
+    });
+  } catch (error) {
+    console.error("Update privacy settings error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+});
+
 // Get user profile by ID
 router.get("/profile/:userId", authenticateUser, async (req, res) => {
   try {
@@ -10,6 +10,9 @@ const authRoutes = require("./routes/auth");
 const avatarRoutes = require("./routes/avatar");
 const messageRoutes = require("./routes/messages");
 const groupRoutes = require("./routes/groups");
+const conversationRoutes = require("./routes/conversations");
+const exportRoutes = require("./routes/exports");
+const importRoutes = require("./routes/imports");
 const callRoutes = require("./routes/calls");
 const uploadRoutes = require("./routes/upload");
 const usersRoutes = require("./routes/users");
@@ -19,6 +22,13 @@ const postsRoutes = require("./routes/posts");
 const { router: storyRoutes, setSocketIO } = require("./routes/stories");
 const notificationRoutes = require("./routes/notifications");
 const { initializeSocket } = require("./socket/socketServer");
+const { setupSocketAdapter } = require("./socket/adapter");
+const sessionGuard = require("./middleware/sessionGuard");
+const scheduledMessageService = require("./services/scheduledMessageService");
+const disappearingMessageService = require("./services/disappearingMessageService");
+const liveLocationService = require("./services/liveLocationService");
+const chatExportService = require("./services/chatExportService");
+const Message = require("./models/Message");
 
 const app = express();
 const server = http.createServer(app);
@@ -105,11 +115,17 @@ app.use((req, res, next) => {
   next();
 });
 
+// Reject tokens of signed-out devices
+app.use("/api", sessionGuard);
+
 // Routes
 app.use("/api/auth", authRoutes);
 app.use("/api/avatar", avatarRoutes);
 app.use("/api/messages", messageRoutes);
 app.use("/api/groups", groupRoutes);
+app.use("/api/conversations", conversationRoutes);
+app.use("/api/exports", exportRoutes);
+app.use("/api/imports", importRoutes);
 app.use("/api/calls", callRoutes);
 app.use("/api/upload", uploadRoutes);
 app.use("/api/users", usersRoutes);
@@ -177,9 +193,6 @@ const connectDB = async () => {
   }
 };
 
-// Initialize Socket.IO
-initializeSocket(io);
-
 // Set Socket.IO instance for story routes
 setSocketIO(io);
 
@@ -190,6 +203,24 @@ app.set("io", io);
 const startServer = async () => {
   try {
     await connectDB();
+
+    // Mongoose never removes indexes that were replaced
+    await Message.dropLegacyIndexes();
+
+    // Initialize Socket.IO (Redis adapter and shared presence if configured)
+    const presenceStore = await setupSocketAdapter(io);
+    initializeSocket(io, { presenceStore });
+
+    // Send scheduled messages once they are due
+    scheduledMessageService.start(io);
+
+    // Purge messages whose disappearing timer has run out
+    disappearingMessageService.start(io);
+    liveLocationService.start(io);
+
+    // Run queued chat exports and remove expired export files
+    chatExportService.start(io);
+
     server.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
       console.log(`🔌 Socket.IO server initialized`);
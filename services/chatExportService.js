@@ -0,0 +1,655 @@
+/**
+ * Chat Export Service
+ * Writes the full history of a private chat or group as JSON, a
+ * self-contained HTML page or WhatsApp-style plain text, optionally zipped
+ * together with the uploaded attachments. Exports are streamed straight to
+ * the client, or run as background jobs (see ExportJob) for big histories.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { Readable } = require("stream");
+const { pipeline, finished } = require("stream/promises");
+const Message = require("../models/Message");
+const ChatRoom = require("../models/ChatRoom");
+const Group = require("../models/Group");
+const User = require("../models/User");
+const ExportJob = require("../models/ExportJob");
+const ZipArchive = require("./zipArchive");
+
+const UPLOADS_DIR = path.join(__dirname, "../uploads/messages");
+// Outside uploads/, which is served without authentication
+const EXPORTS_DIR = path.join(__dirname, "../exports");
+const LOCAL_FILE_PREFIX = "/api/upload/file/";
+
+const CONTENT_TYPES = {
+  json: "application/json; charset=utf-8",
+  html: "text/html; charset=utf-8",
+  txt: "text/plain; charset=utf-8",
+  zip: "application/zip",
+};
+
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const pad = (value) => String(value).padStart(2, "0");
+
+// WhatsApp-style "dd/mm/yyyy, hh:mm:ss" timestamps, in UTC
+const formatTimestamp = (date) => {
+  const d = new Date(date);
+  return (
+    `${pad(d.getUTCDate())}/${pad(
+      d.getUTCMonth() + 1
+    )}/${d.getUTCFullYear()}, ` +
+    `${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:${pad(
+      d.getUTCSeconds()
+    )}`
+  );
+};
+
+// Uploaded file of a message stored on this server, or null
+const localAttachmentName = (message) =>
+  !message.isDeleted && message.attachment?.url?.startsWith(LOCAL_FILE_PREFIX)
+    ? path.basename(message.attachment.url)
+    : null;
+
+// Readable text of a message, shared by the text and HTML transcripts
+const describeMessage = (message, attachmentFile) => {
+  if (message.isDeleted) {
+    return "This message was deleted";
+  }
+
+  const content = Message.stripMentionMarkup(message.content || "");
+  switch (message.messageType) {
+    case "poll":
+      return [
+        `POLL: ${message.poll.question}`,
+        ...message.poll.options.map(
+          (option) =>
+            `OPTION: ${option.text} (${option.voters.length} vote${
+              option.voters.length === 1 ? "" : "s"
+            })`
+        ),
+      ].join("\n");
+    case "location": {
+      const { latitude, longitude, label, isLive } = message.location;
+      return [
+        `${
+          isLive ? "live location" : "location"
+        }: https://maps.google.com/?q=${latitude},${longitude}`,
+        label,
+      ]
+        .filter(Boolean)
+        .join("\n");
+    }
+    case "contact":
+      return `Contact card: ${message.contact.name}`;
+  }
+
+  if (message.attachment?.url) {
+    const name =
+      attachmentFile ||
+      message.attachment.originalName ||
+      message.attachment.url;
+    const attached =
+      message.messageType === "voice" && message.attachment.duration
+        ? `<attached: ${name}> (voice note, ${Math.round(
+            message.attachment.duration
+          )}s)`
+        : `<attached: ${name}>`;
+    return content ? `${attached}\n${content}` : attached;
+  }
+
+  return content;
+};
+
+// Message as written to a JSON export
+const toExportedMessage = (message, attachmentFile) => ({
+  id: message._id,
+  sender: message.sender
+    ? { id: message.sender._id, name: message.sender.name }
+    : null,
+  timestamp: message.timestamp,
+  messageType: message.messageType,
+  content: message.isDeleted
+    ? null
+    : Message.stripMentionMarkup(message.content || ""),
+  attachment:
+    message.attachment?.url && !message.isDeleted
+      ? {
+          name: message.attachment.originalName,
+          mimeType: message.attachment.mimeType,
+          size: message.attachment.size,
+          duration: message.attachment.duration,
+          url: message.attachment.url,
+          file: attachmentFile ? `attachments/${attachmentFile}` : null,
+        }
+      : null,
+  poll:
+    message.poll && !message.isDeleted
+      ? {
+          question: message.poll.question,
+          allowMultiple: message.poll.allowMultiple,
+          options: message.poll.options.map((option) => ({
+            text: option.text,
+            votes: option.voters.length,
+          })),
+        }
+      : null,
+  location:
+    message.location && !message.isDeleted
+      ? {
+          latitude: message.location.latitude,
+          longitude: message.location.longitude,
+          label: message.location.label,
+          isLive: message.location.isLive,
+        }
+      : null,
+  contact:
+    message.contact && !message.isDeleted
+      ? { id: message.contact.user, name: message.contact.name }
+      : null,
+  replyTo: message.replyTo,
+  isForwarded: message.isForwarded,
+  isEdited: message.isEdited,
+  editedAt: message.editedAt,
+  isDeleted: message.isDeleted,
+});
+
+// Transcript writers: the header, one entry per message and the footer
+const FORMATTERS = {
+  json: {
+    start: (conversation) =>
+      `{"exportedAt":${JSON.stringify(
+        new Date()
+      )},"conversation":${JSON.stringify({
+        type: conversation.type,
+        id: conversation.id,
+        title: conversation.title,
+        participants: conversation.participants,
+      })},"messages":[`,
+    message: (message, { index, attachmentFile }) =>
+      (index > 0 ? "," : "") +
+      JSON.stringify(toExportedMessage(message, attachmentFile)),
+    end: () => "]}\n",
+  },
+
+  txt: {
+    start: () => "",
+    message: (message, { attachmentFile }) => {
+      const text = describeMessage(message, attachmentFile);
+      const time = `[${formatTimestamp(message.timestamp)}]`;
+      return message.messageType === "system" || !message.sender
+        ? `${time} ${text}\n`
+        : `${time} ${message.sender.name}: ${text}\n`;
+    },
+    end: () => "",
+  },
+
+  html: {
+    start: (conversation) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(conversation.title)}</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; background: #efeae2; margin: 0; padding: 24px; }
+main { max-width: 760px; margin: 0 auto; }
+h1 { font-size: 20px; margin: 0 0 4px; }
+.meta { color: #667781; font-size: 13px; margin-bottom: 24px; }
+.message { background: #fff; border-radius: 8px; padding: 8px 12px; margin: 6px 0; box-shadow: 0 1px 1px rgba(0, 0, 0, 0.08); }
+.message.system { background: #fff5c4; text-align: center; font-size: 13px; }
+.message.deleted .text { color: #8696a0; font-style: italic; }
+.sender { font-weight: 600; font-size: 13px; color: #1f7aec; }
+.time { color: #667781; font-size: 11px; float: right; margin-left: 12px; }
+.text { white-space: pre-wrap; word-wrap: break-word; margin-top: 2px; }
+.message img { display: block; max-width: 100%; max-height: 320px; border-radius: 6px; margin-top: 6px; }
+</style>
+</head>
+<body>
+<main>
+<h1>${escapeHtml(conversation.title)}</h1>
+<div class="meta">Exported ${escapeHtml(
+      formatTimestamp(new Date())
+    )} UTC &middot; ${escapeHtml(
+      conversation.participants
+        .map((participant) => participant.name)
+        .join(", ")
+    )}</div>
+`,
+    message: (message, { attachmentFile }) => {
+      const classes = ["message"];
+      if (message.messageType === "system") {
+        classes.push("system");
+      }
+      if (message.isDeleted) {
+        classes.push("deleted");
+      }
+
+      let body = escapeHtml(describeMessage(message, attachmentFile));
+      if (attachmentFile && message.messageType === "image") {
+        body += `<img src="attachments/${escapeHtml(
+          attachmentFile
+        )}" alt="${escapeHtml(message.attachment.originalName || "")}">`;
+      }
+
+      return `<div class="${classes.join(" ")}"><span class="time">${escapeHtml(
+        formatTimestamp(message.timestamp)
+      )}</span>${
+        message.messageType !== "system" && message.sender
+          ? `<div class="sender">${escapeHtml(message.sender.name)}</div>`
+          : ""
+      }<div class="text">${body}</div></div>\n`;
+    },
+    end: () => "</main>\n</body>\n</html>\n",
+  },
+};
+
+class ChatExportService {
+  constructor() {
+    this.io = null;
+    this.timer = null;
+    this.isProcessing = false;
+    // How often to look for queued exports and expired files
+    this.pollInterval = 10 * 1000;
+    // A job still "processing" after this long is assumed lost (e.g. the
+    // server crashed mid-export) and is retried
+    this.lockTimeout = 30 * 60 * 1000;
+    this.maxAttempts = 3;
+    // Wait before retrying a failed export, multiplied by the attempts made
+    this.retryDelay = 60 * 1000;
+    // Bigger histories have to be exported with a background job
+    this.maxDirectMessages = 5000;
+  }
+
+  /**
+   * Start processing queued exports
+   */
+  start(io) {
+    if (this.timer) {
+      return;
+    }
+
+    this.io = io;
+    this.timer = setInterval(() => this.processPending(), this.pollInterval);
+    console.log("📦 Chat export worker started");
+
+    // Pick up exports queued while the server was down
+    this.processPending();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Check that the user can export a private chat ({ chatUserId }) or a
+   * group ({ groupId }). Chats the user has deleted on their side can't be
+   * exported. Returns { conversation } or { error, status }
+   */
+  async resolveConversation(userId, { chatUserId, groupId }) {
+    if (groupId) {
+      const group = mongoose.isValidObjectId(groupId)
+        ? await Group.findOne({
+            _id: groupId,
+            members: userId,
+            isActive: true,
+          }).populate("members", "name")
+        : null;
+      if (!group) {
+        return {
+          error: "Group not found or you are not a member",
+          status: 404,
+        };
+      }
+
+      return {
+        conversation: {
+          type: "group",
+          id: group._id,
+          title: group.name,
+          participants: group.members.map((member) => ({
+            id: member._id,
+            name: member.name,
+          })),
+          filter: { group: group._id },
+        },
+      };
+    }
+
+    const [user, chatUser] = mongoose.isValidObjectId(chatUserId)
+      ? await Promise.all([
+          User.findById(userId).select("name"),
+          User.findById(chatUserId).select("name"),
+        ])
+      : [];
+    if (!user || !chatUser) {
+      return { error: "User not found", status: 404 };
+    }
+
+    const chatRoom = await ChatRoom.findOne({
+      participants: { $all: [userId, chatUserId] },
+      roomType: "private",
+    });
+    if (
+      !chatRoom ||
+      chatRoom.deletedFor.some((id) => id.toString() === userId.toString())
+    ) {
+      return { error: "Chat not found", status: 404 };
+    }
+
+    return {
+      conversation: {
+        type: "chat",
+        id: chatRoom._id,
+        title: `Chat with ${chatUser.name}`,
+        participants: [user, chatUser].map((participant) => ({
+          id: participant._id,
+          name: participant.name,
+        })),
+        filter: {
+          $or: [
+            { sender: userId, receiver: chatUserId },
+            { sender: chatUserId, receiver: userId },
+          ],
+        },
+      },
+    };
+  }
+
+  countMessages(conversation) {
+    return Message.countDocuments(conversation.filter);
+  }
+
+  /**
+   * Name an export is downloaded as, e.g. "Chat with Ana.txt"
+   */
+  getFileName(conversation, format, includeAttachments) {
+    const title = conversation.title.replace(/[\\/:*?"<>|\r\n]+/g, "_");
+    return `${title}.${includeAttachments ? "zip" : format}`;
+  }
+
+  getContentType(format, includeAttachments) {
+    return CONTENT_TYPES[includeAttachments ? "zip" : format];
+  }
+
+  /**
+   * Generate the transcript text, oldest message first. Bundled
+   * attachments are added to the `attachments` set when given, and the
+   * number of messages is counted in `stats`.
+   */
+  async *generateTranscript(conversation, format, { attachments, stats }) {
+    const formatter = FORMATTERS[format];
+    yield formatter.start(conversation);
+
+    const cursor = Message.find(conversation.filter)
+      .sort({ timestamp: 1, _id: 1 })
+      .populate("sender", "name")
+      .cursor();
+
+    let index = 0;
+    for await (const message of cursor) {
+      let attachmentFile = null;
+      const filename = attachments && localAttachmentName(message);
+      if (filename) {
+        if (attachments.has(filename)) {
+          attachmentFile = filename;
+        } else if (await this.attachmentExists(filename)) {
+          attachments.add(filename);
+          attachmentFile = filename;
+        }
+      }
+
+      yield formatter.message(message, { index, attachmentFile });
+      index++;
+    }
+
+    stats.messageCount = index;
+    yield formatter.end();
+  }
+
+  async attachmentExists(filename) {
+    try {
+      await fs.promises.access(path.join(UPLOADS_DIR, filename));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Write an export to a writable stream (an HTTP response or a file),
+   * ending it when done. Resolves to { messageCount }
+   */
+  async writeExport(output, conversation, format, includeAttachments) {
+    const stats = { messageCount: 0 };
+
+    if (!includeAttachments) {
+      await pipeline(
+        Readable.from(this.generateTranscript(conversation, format, { stats })),
+        output
+      );
+      return stats;
+    }
+
+    const attachments = new Set();
+    const zip = new ZipArchive(output);
+    await zip.addFile(
+      this.getFileName(conversation, format, false),
+      Readable.from(
+        this.generateTranscript(conversation, format, { attachments, stats })
+      )
+    );
+    for (const filename of attachments) {
+      await zip.addFile(
+        `attachments/${filename}`,
+        fs.createReadStream(path.join(UPLOADS_DIR, filename))
+      );
+    }
+    await zip.finalize();
+    output.end();
+    await finished(output);
+
+    return stats;
+  }
+
+  /**
+   * Claim the next queued export. The atomic update keeps two servers from
+   * running the same job.
+   */
+  async claimNext() {
+    const now = new Date();
+    return ExportJob.findOneAndUpdate(
+      {
+        $or: [
+          {
+            status: "pending",
+            $or: [{ nextAttemptAt: null }, { nextAttemptAt: { $lte: now } }],
+          },
+          {
+            status: "processing",
+            lockedAt: { $lte: new Date(now.getTime() - this.lockTimeout) },
+            attempts: { $lt: this.maxAttempts },
+          },
+        ],
+      },
+      { status: "processing", lockedAt: now, $inc: { attempts: 1 } },
+      { new: true, sort: { createdAt: 1 } }
+    );
+  }
+
+  /**
+   * Run every queued export, then remove expired ones
+   */
+  async processPending() {
+    if (this.isProcessing || !this.io) {
+      return;
+    }
+
+    this.isProcessing = true;
+    try {
+      let job = await this.claimNext();
+      while (job) {
+        await this.run(job);
+        job = await this.claimNext();
+      }
+
+      await this.failAbandoned();
+
+      await this.removeExpired();
+    } catch (error) {
+      console.error("Chat export processing error:", error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Write a claimed export to the exports directory
+   */
+  async run(job) {
+    const userId = job.user.toString();
+    const extension = job.includeAttachments ? "zip" : job.format;
+    // Random name, so files of different jobs never collide
+    const storedName = `${crypto.randomBytes(16).toString("hex")}.${extension}`;
+    const filePath = path.join(EXPORTS_DIR, storedName);
+
+    try {
+      const result = await this.resolveConversation(userId, {
+        chatUserId: job.chatUser?.toString(),
+        groupId: job.group?.toString(),
+      });
+      if (result.error) {
+        await this.markFailed(job, result.error);
+        return;
+      }
+
+      await fs.promises.mkdir(EXPORTS_DIR, { recursive: true });
+      const { messageCount } = await this.writeExport(
+        fs.createWriteStream(filePath),
+        result.conversation,
+        job.format,
+        job.includeAttachments
+      );
+      const { size } = await fs.promises.stat(filePath);
+
+      job.status = "completed";
+      job.storedName = storedName;
+      job.fileName = this.getFileName(
+        result.conversation,
+        job.format,
+        job.includeAttachments
+      );
+      job.size = size;
+      job.messageCount = messageCount;
+      job.completedAt = new Date();
+      job.expiresAt = new Date(Date.now() + ExportJob.RETENTION_MS);
+      job.lockedAt = null;
+      job.error = null;
+      await job.save();
+
+      this.io.to(userId).emit("chat-export-ready", { job: job.toStatus() });
+      console.log(
+        `📦 Export ${job._id} completed (${messageCount} messages, ${size} bytes)`
+      );
+    } catch (error) {
+      console.error(`Error running export ${job._id}:`, error);
+      await this.deleteFile(storedName);
+
+      // Retry after a delay until the attempts run out
+      if (job.attempts < this.maxAttempts) {
+        job.status = "pending";
+        job.lockedAt = null;
+        job.nextAttemptAt = new Date(
+          Date.now() + this.retryDelay * job.attempts
+        );
+        job.error = error.message;
+        await job.save();
+      } else {
+        await this.markFailed(job, error.message);
+      }
+    }
+  }
+
+  /**
+   * Fail jobs that were lost while processing (e.g. the server crashed
+   * mid-export) after their last attempt
+   */
+  async failAbandoned() {
+    const jobs = await ExportJob.find({
+      status: "processing",
+      lockedAt: { $lte: new Date(Date.now() - this.lockTimeout) },
+      attempts: { $gte: this.maxAttempts },
+    });
+    for (const job of jobs) {
+      await this.markFailed(job, "The export was interrupted too many times");
+    }
+  }
+
+  async markFailed(job, reason) {
+    job.status = "failed";
+    job.error = reason;
+    job.lockedAt = null;
+    await job.save();
+
+    this.io.to(job.user.toString()).emit("chat-export-failed", {
+      job: job.toStatus(),
+    });
+    console.log(`📦 Export ${job._id} failed: ${reason}`);
+  }
+
+  /**
+   * Path of a completed export's file
+   */
+  getFilePath(job) {
+    return path.join(EXPORTS_DIR, path.basename(job.storedName));
+  }
+
+  async deleteFile(storedName) {
+    try {
+      await fs.promises.unlink(
+        path.join(EXPORTS_DIR, path.basename(storedName))
+      );
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error(`Error deleting export ${storedName}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Delete exports whose download window has passed
+   */
+  async removeExpired() {
+    const expired = await ExportJob.find({ expiresAt: { $lte: new Date() } })
+      .select("storedName")
+      .limit(100);
+    if (expired.length === 0) {
+      return;
+    }
+
+    for (const job of expired) {
+      if (job.storedName) {
+        await this.deleteFile(job.storedName);
+      }
+    }
+    await ExportJob.deleteMany({ _id: { $in: expired.map((job) => job._id) } });
+    console.log(`📦 Removed ${expired.length} expired export(s)`);
+  }
+}
+
+// Create singleton instance
+const chatExportService = new ChatExportService();
+
+module.exports = chatExportService;
@@ -0,0 +1,544 @@
+/**
+ * Chat Import Service
+ * Brings history over from WhatsApp (.txt) and Telegram (result.json) chat
+ * exports. Senders are matched to existing users by phone or email, and
+ * their messages are stored with the original timestamps in a private chat
+ * or a new group.
+ */
+
+const mongoose = require("mongoose");
+const Message = require("../models/Message");
+const ChatRoom = require("../models/ChatRoom");
+const Group = require("../models/Group");
+const User = require("../models/User");
+const { deliverEvent } = require("../socket/socketServer");
+
+// "31/12/2023, 21:41 - Name: text" (Android) and
+// "[31/12/2023, 21:41:05] Name: text" (iOS), with 12 or 24 hour clocks
+const WHATSAPP_LINE =
+  /^\[?(\d{1,4})[/.-](\d{1,2})[/.-](\d{1,4}),?\s+(\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?\s*([ap]\.?\s?m\.?)?\]?\s*(?:-\s+)?(.*)$/i;
+
+// Placeholders WhatsApp writes instead of media and deleted messages
+const MEDIA_PLACEHOLDER =
+  /^(<media omitted>|<attached: .+>|(image|video|audio|sticker|GIF|document) omitted|.+ \(file attached\))$/i;
+const DELETED_PLACEHOLDER =
+  /^(this message was deleted|you deleted this message)$/i;
+// iOS exports write the encryption notice as a message from the chat
+const ENCRYPTION_NOTICE = /^messages and calls are end-to-end encrypted/i;
+
+// Invisible direction marks WhatsApp puts around some lines
+const stripMarks = (text) => text.replace(/[\u200e\u200f\ufeff]/g, "");
+
+// Skipped lines listed in the report (the total is always counted)
+const MAX_REPORTED_SKIPS = 200;
+
+class ChatImportService {
+  constructor() {
+    // Largest export accepted, in messages
+    this.maxMessages = 50000;
+    // Messages written per insert
+    this.batchSize = 1000;
+  }
+
+  /**
+   * Guess the export type from the file name and content
+   */
+  detectSource(fileName, text) {
+    return /\.json$/i.test(fileName || "") || /^\s*\{/.test(text)
+      ? "telegram"
+      : "whatsapp";
+  }
+
+  /**
+   * Turn the date and time of an export into a Date. Exports carry local
+   * times without a zone, so utcOffset (minutes east of UTC) says where the
+   * export was made.
+   */
+  toDate({ year, month, day, hours, minutes, seconds }, utcOffset) {
+    const date = new Date(
+      Date.UTC(year, month - 1, day, hours, minutes, seconds) -
+        utcOffset * 60 * 1000
+    );
+    const valid =
+      month >= 1 &&
+      month <= 12 &&
+      day >= 1 &&
+      day <= 31 &&
+      hours < 24 &&
+      minutes < 60 &&
+      seconds < 60;
+    return valid && !isNaN(date.getTime()) ? date : null;
+  }
+
+  /**
+   * Parse a WhatsApp text export.
+   * Returns { entries, skipped } where entries are
+   * { line, timestamp, senderName, content }
+   */
+  parseWhatsApp(text, { utcOffset = 0 } = {}) {
+    const lines = text.replace(/\r\n?/g, "\n").split("\n");
+    const headers = lines.map((line) => stripMarks(line).match(WHATSAPP_LINE));
+
+    // Dates are day-first or month-first depending on the phone's locale;
+    // the first date that only fits one of them decides
+    let dayFirst = true;
+    for (const header of headers) {
+      if (!header || header[1].length === 4) {
+        continue;
+      }
+      if (Number(header[1]) > 12) {
+        break;
+      }
+      if (Number(header[2]) > 12) {
+        dayFirst = false;
+        break;
+      }
+    }
+
+    const entries = [];
+    const skipped = [];
+    let current = null;
+
+    lines.forEach((rawLine, index) => {
+      const line = index + 1;
+      const header = headers[index];
+
+      if (!header) {
+        if (current) {
+          // Continuation of a multi-line message
+          current.content += `\n${stripMarks(rawLine)}`;
+        } else if (rawLine.trim()) {
+          skipped.push({ line, reason: "Unrecognized line", text: rawLine });
+        }
+        return;
+      }
+
+      const [, first, second, third, hour, minutes, seconds, meridiem, body] =
+        header;
+      let hours = Number(hour);
+      if (meridiem) {
+        hours = (hours % 12) + (/^p/i.test(meridiem) ? 12 : 0);
+      }
+      let year = Number(first.length === 4 ? first : third);
+      if (year < 100) {
+        year += 2000;
+      }
+      const timestamp = this.toDate(
+        {
+          year,
+          month: Number(first.length === 4 || dayFirst ? second : first),
+          day: Number(first.length === 4 ? third : dayFirst ? first : second),
+          hours,
+          minutes: Number(minutes),
+          seconds: Number(seconds || 0),
+        },
+        utcOffset
+      );
+
+      current = null;
+      if (!timestamp) {
+        skipped.push({ line, reason: "Invalid date", text: rawLine });
+        return;
+      }
+
+      const separator = body.indexOf(": ");
+      if (separator === -1) {
+        // "Messages and calls are end-to-end encrypted", "Ana added Ben"...
+        skipped.push({ line, reason: "System message", text: body });
+        return;
+      }
+
+      current = {
+        line,
+        timestamp,
+        senderName: body.slice(0, separator).trim(),
+        content: body.slice(separator + 2),
+      };
+      entries.push(current);
+    });
+
+    // Media and deleted messages aren't part of the export
+    const parsed = entries.reduce(
+      (result, entry) => {
+        const content = entry.content.trim();
+        const reason = !content
+          ? "Empty message"
+          : MEDIA_PLACEHOLDER.test(content)
+          ? "Media not included"
+          : DELETED_PLACEHOLDER.test(content)
+          ? "Deleted message"
+          : ENCRYPTION_NOTICE.test(content)
+          ? "System message"
+          : null;
+
+        if (reason) {
+          result.skipped.push({ line: entry.line, reason, text: content });
+        } else {
+          result.entries.push({ ...entry, content });
+        }
+        return result;
+      },
+      { entries: [], skipped }
+    );
+    parsed.skipped.sort((a, b) => a.line - b.line);
+    return parsed;
+  }
+
+  /**
+   * Parse a Telegram chat export (result.json).
+   * Returns { entries, skipped, title } or { error }
+   */
+  parseTelegram(text, { utcOffset = 0 } = {}) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      return { error: "The Telegram export is not valid JSON" };
+    }
+    if (!Array.isArray(data?.messages)) {
+      return { error: "Not a Telegram chat export" };
+    }
+
+    const entries = [];
+    const skipped = [];
+
+    for (const message of data.messages) {
+      const messageId = message.id;
+
+      if (message.type !== "message") {
+        skipped.push({
+          messageId,
+          reason: "System message",
+          text: String(message.action || ""),
+        });
+        continue;
+      }
+
+      // Text is a string, or a list of strings and formatted pieces
+      const content = (
+        Array.isArray(message.text)
+          ? message.text
+              .map((piece) => (typeof piece === "string" ? piece : piece.text))
+              .join("")
+          : String(message.text ?? "")
+      ).trim();
+
+      let timestamp = null;
+      if (message.date_unixtime) {
+        timestamp = new Date(Number(message.date_unixtime) * 1000);
+      } else {
+        const match = String(message.date || "").match(
+          /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})/
+        );
+        timestamp =
+          match &&
+          this.toDate(
+            {
+              year: Number(match[1]),
+              month: Number(match[2]),
+              day: Number(match[3]),
+              hours: Number(match[4]),
+              minutes: Number(match[5]),
+              seconds: Number(match[6]),
+            },
+            utcOffset
+          );
+      }
+
+      if (!timestamp || isNaN(timestamp.getTime())) {
+        skipped.push({ messageId, reason: "Invalid date", text: content });
+      } else if (!content) {
+        skipped.push({
+          messageId,
+          reason:
+            message.photo || message.file || message.media_type
+              ? "Media not included"
+              : "Empty message",
+          text: "",
+        });
+      } else {
+        entries.push({
+          messageId,
+          timestamp,
+          senderName: String(message.from || message.from_id || "").trim(),
+          content,
+        });
+      }
+    }
+
+    return { entries, skipped, title: data.name || null };
+  }
+
+  /**
+   * Match export sender names to users. A name is looked up by the phone
+   * or email given for it in `participants`, or by the name itself when it
+   * is a phone number or email (WhatsApp shows unsaved contacts by number).
+   * Returns a Map from sender name to user
+   */
+  async mapParticipants(senderNames, participants = {}) {
+    const identifiers = new Map();
+    for (const name of senderNames) {
+      const identifier = String(participants[name] ?? name).trim();
+      if (identifier.includes("@")) {
+        identifiers.set(name, { email: identifier.toLowerCase() });
+      } else {
+        const phone = User.normalizePhone(identifier);
+        if (phone) {
+          identifiers.set(name, { phone });
+        }
+      }
+    }
+
+    const lookups = [...identifiers.values()];
+    const phones = lookups.map(({ phone }) => phone).filter(Boolean);
+    const emails = lookups.map(({ email }) => email).filter(Boolean);
+    const users = lookups.length
+      ? await User.find({
+          $or: [{ phone: { $in: phones } }, { email: { $in: emails } }],
+          isEmailVerified: true,
+        }).select("name email phone blockedUsers")
+      : [];
+
+    const mapped = new Map();
+    for (const [name, { phone, email }] of identifiers) {
+      const user = users.find((candidate) =>
+        phone ? candidate.phone === phone : candidate.email === email
+      );
+      if (user) {
+        mapped.set(name, user);
+      }
+    }
+    return mapped;
+  }
+
+  // Same rule as sending a private message: the users must be friends and
+  // neither may have blocked the other
+  canChatWith(requester, user) {
+    const includesId = (list, id) =>
+      (list || []).some((entry) => entry.toString() === id.toString());
+    return (
+      includesId(requester.friends, user._id) &&
+      !includesId(requester.blockedUsers, user._id) &&
+      !includesId(user.blockedUsers, requester._id)
+    );
+  }
+
+  /**
+   * Import an export file into a private chat with `userId`, or into a new
+   * group (named `groupName`) when no userId is given.
+   * Returns { report } or { error, status }
+   */
+  async importChat(io, requesterId, file, options = {}) {
+    const { userId: chatUserId, groupName, participants = {} } = options;
+    const utcOffset = Number(options.utcOffset) || 0;
+    if (Math.abs(utcOffset) > 14 * 60) {
+      return { error: "Invalid utcOffset", status: 400 };
+    }
+
+    const text = file.buffer.toString("utf8");
+    const source = options.source || this.detectSource(file.originalname, text);
+    if (!["whatsapp", "telegram"].includes(source)) {
+      return { error: 'Source must be "whatsapp" or "telegram"', status: 400 };
+    }
+
+    const parsed =
+      source === "telegram"
+        ? this.parseTelegram(text, { utcOffset })
+        : this.parseWhatsApp(text, { utcOffset });
+    if (parsed.error) {
+      return { error: parsed.error, status: 400 };
+    }
+    if (parsed.entries.length === 0) {
+      return { error: "No messages found in the export", status: 400 };
+    }
+    if (parsed.entries.length > this.maxMessages) {
+      return {
+        error: `Exports can have at most ${this.maxMessages} messages`,
+        status: 400,
+      };
+    }
+
+    const senderNames = [
+      ...new Set(parsed.entries.map((entry) => entry.senderName)),
+    ];
+    const mapped = await this.mapParticipants(senderNames, participants);
+
+    const requester = await User.findById(requesterId).select(
+      "friends blockedUsers"
+    );
+    if (!requester) {
+      return { error: "User not found", status: 404 };
+    }
+
+    // Users the messages may come from
+    let memberIds;
+    let chatUser = null;
+    if (chatUserId) {
+      chatUser = mongoose.isValidObjectId(chatUserId)
+        ? await User.findById(chatUserId).select("name blockedUsers")
+        : null;
+      if (!chatUser) {
+        return { error: "User not found", status: 404 };
+      }
+      if (chatUser._id.toString() === requesterId.toString()) {
+        return { error: "Cannot import a chat with yourself", status: 400 };
+      }
+      if (!this.canChatWith(requester, chatUser)) {
+        return {
+          error:
+            "You can only import chats with friends who haven't blocked you",
+          status: 403,
+        };
+      }
+      memberIds = [requesterId.toString(), chatUser._id.toString()];
+    } else {
+      // Only the requester's friends (and no blocked users) join the group
+      memberIds = [
+        ...new Set([
+          requesterId.toString(),
+          ...[...mapped.values()]
+            .filter((user) => this.canChatWith(requester, user))
+            .map((user) => user._id.toString()),
+        ]),
+      ];
+    }
+
+    const unmapped = new Map();
+    const messages = [];
+    const now = new Date();
+    for (const entry of parsed.entries) {
+      const user = mapped.get(entry.senderName);
+      const senderId = user?._id.toString();
+
+      if (!senderId || !memberIds.includes(senderId)) {
+        const sender = unmapped.get(entry.senderName) || {
+          name: entry.senderName,
+          messageCount: 0,
+          reason: !user
+            ? "No matching user"
+            : chatUser
+            ? "Not a participant of this chat"
+            : "Not one of your friends",
+        };
+        sender.messageCount++;
+        unmapped.set(entry.senderName, sender);
+        continue;
+      }
+
+      messages.push({
+        sender: senderId,
+        content: entry.content,
+        timestamp: entry.timestamp,
+        messageType: "text",
+        importedFrom: source,
+        ...(chatUser
+          ? {
+              receiver: memberIds.find((id) => id !== senderId),
+              isRead: true,
+            }
+          : {
+              recipientCount: memberIds.length - 1,
+              // Imported history shouldn't show up as unread
+              readBy: memberIds
+                .filter((id) => id !== senderId)
+                .map((id) => ({ user: id, readAt: now })),
+            }),
+      });
+    }
+
+    if (messages.length === 0) {
+      return {
+        error: "None of the senders could be matched to a user",
+        status: 400,
+        data: { unmappedSenders: [...unmapped.values()] },
+      };
+    }
+
+    messages.sort((a, b) => a.timestamp - b.timestamp);
+
+    let conversation;
+    let target;
+    if (chatUser) {
+      target =
+        (await ChatRoom.findOne({
+          participants: { $all: memberIds },
+          roomType: "private",
+        })) || new ChatRoom({ participants: memberIds, deletedFor: [] });
+      // Like a new message, importing brings back a chat deleted on
+      // either side
+      target.deletedFor = [];
+      conversation = { chatRoomId: target._id, userId: chatUser._id };
+    } else {
+      const name = (groupName || parsed.title || "Imported chat")
+        .trim()
+        .slice(0, 50);
+      target = new Group({
+        name: name || "Imported chat",
+        createdBy: requesterId,
+        members: memberIds,
+      });
+      messages.forEach((message) => (message.group = target._id));
+      conversation = { groupId: target._id };
+    }
+
+    let lastMessage = null;
+    for (let i = 0; i < messages.length; i += this.batchSize) {
+      const inserted = await Message.insertMany(
+        messages.slice(i, i + this.batchSize)
+      );
+      lastMessage = inserted[inserted.length - 1];
+    }
+
+    if (!target.lastMessage || lastMessage.timestamp >= target.lastActivity) {
+      target.lastMessage = lastMessage._id;
+      target.lastActivity = lastMessage.timestamp;
+    }
+    await target.save();
+
+    const skippedLines = parsed.skipped.map(({ text, ...skip }) => ({
+      ...skip,
+      text: text.slice(0, 200),
+    }));
+    const report = {
+      source,
+      conversation: chatUser
+        ? { type: "chat", ...conversation }
+        : { type: "group", ...conversation, name: target.name },
+      importedCount: messages.length,
+      participants: [...mapped.entries()]
+        .filter(([, user]) => memberIds.includes(user._id.toString()))
+        .map(([name, user]) => ({
+          name,
+          userId: user._id,
+          userName: user.name,
+        })),
+      unmappedSenders: [...unmapped.values()],
+      skippedCount: skippedLines.length,
+      skippedLines: skippedLines.slice(0, MAX_REPORTED_SKIPS),
+    };
+
+    if (io) {
+      await deliverEvent(
+        io,
+        memberIds,
+        "chat-imported",
+        {
+          ...report.conversation,
+          importedCount: report.importedCount,
+          importedBy: requesterId,
+        },
+        { data: report.conversation }
+      );
+    }
+
+    console.log(
+      `📥 Imported ${messages.length} ${source} message(s) into ${report.conversation.type} ${target._id}`
+    );
+    return { report };
+  }
+}
+
+// Create singleton instance
+const chatImportService = new ChatImportService();
+
+module.exports = chatImportService;
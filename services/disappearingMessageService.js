@@ -0,0 +1,178 @@
+/**
+ * Disappearing Message Service
+ * Periodically purges messages whose disappearing timer has run out,
+ * together with the attachment files uploaded for them
+ */
+
+const fs = require("fs");
+const path = require("path");
+const Message = require("../models/Message");
+const ChatRoom = require("../models/ChatRoom");
+const Group = require("../models/Group");
+const { deliverEvent, getMessageAudience } = require("../socket/socketServer");
+
+const UPLOADS_DIR = path.join(__dirname, "../uploads/messages");
+const LOCAL_FILE_PREFIX = "/api/upload/file/";
+
+class DisappearingMessageService {
+  constructor() {
+    this.io = null;
+    this.timer = null;
+    this.isSweeping = false;
+    // How often to look for expired messages
+    this.sweepInterval = 60 * 1000;
+    // Messages purged per query
+    this.batchSize = 200;
+  }
+
+  /**
+   * Start purging expired messages
+   */
+  start(io) {
+    if (this.timer) {
+      return;
+    }
+
+    this.io = io;
+    this.timer = setInterval(() => this.sweep(), this.sweepInterval);
+    console.log("⏳ Disappearing message sweeper started");
+
+    // Purge whatever expired while the server was down
+    this.sweep();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Purge every expired message, one batch at a time
+   */
+  async sweep() {
+    if (this.isSweeping) {
+      return;
+    }
+
+    this.isSweeping = true;
+    try {
+      let purged;
+      do {
+        purged = await this.purgeBatch();
+      } while (purged === this.batchSize);
+    } catch (error) {
+      console.error("Disappearing message sweep error:", error);
+    } finally {
+      this.isSweeping = false;
+    }
+  }
+
+  async purgeBatch() {
+    const expired = await Message.find({ expiresAt: { $lte: new Date() } })
+      .select("sender receiver group attachment")
+      .limit(this.batchSize);
+
+    if (expired.length === 0) {
+      return 0;
+    }
+
+    const expiredIds = expired.map((message) => message._id);
+
+    await Message.deleteMany({ _id: { $in: expiredIds } });
+    await this.deleteAttachmentFiles(expired);
+
+    // Don't leave chat lists pointing at deleted messages, and drop the
+    // quoted text of replies so the content doesn't outlive the message
+    await ChatRoom.updateMany(
+      { lastMessage: { $in: expiredIds } },
+      { lastMessage: null }
+    );
+    await Group.updateMany(
+      { lastMessage: { $in: expiredIds } },
+      { lastMessage: null }
+    );
+    await Message.updateMany(
+      { replyTo: { $in: expiredIds } },
+      {
+        "replyPreview.content": null,
+        "replyPreview.attachmentName": null,
+        "replyPreview.thumbnail": null,
+      }
+    );
+
+    await this.notifyExpired(expired);
+
+    console.log(`⏳ Purged ${expired.length} disappearing message(s)`);
+    return expired.length;
+  }
+
+  /**
+   * Remove uploaded files that no remaining message refers to
+   */
+  async deleteAttachmentFiles(messages) {
+    const filenames = [
+      ...new Set(
+        messages
+          .filter((message) =>
+            message.attachment?.url?.startsWith(LOCAL_FILE_PREFIX)
+          )
+          .map((message) => path.basename(message.attachment.url))
+      ),
+    ];
+
+    for (const filename of filenames) {
+      try {
+        const stillUsed = await Message.exists({
+          "attachment.url": `${LOCAL_FILE_PREFIX}${filename}`,
+        });
+        if (stillUsed) {
+          continue;
+        }
+
+        await fs.promises.unlink(path.join(UPLOADS_DIR, filename));
+      } catch (error) {
+        if (error.code !== "ENOENT") {
+          console.error(`Error deleting attachment ${filename}:`, error);
+        }
+      }
+    }
+  }
+
+  /**
+   * Tell the participants of each conversation which messages are gone
+   * (logged, so devices that were offline drop them on their next sync)
+   */
+  async notifyExpired(messages) {
+    if (!this.io) {
+      return;
+    }
+
+    const conversations = new Map();
+    for (const message of messages) {
+      const key = message.group
+        ? `group:${message.group}`
+        : [message.sender.toString(), message.receiver.toString()]
+            .sort()
+            .join(":");
+      if (!conversations.has(key)) {
+        conversations.set(key, { sample: message, messageIds: [] });
+      }
+      conversations.get(key).messageIds.push(message._id);
+    }
+
+    for (const { sample, messageIds } of conversations.values()) {
+      const { userIds, extra } = await getMessageAudience(sample);
+      const payload = { messageIds, ...extra };
+      await deliverEvent(this.io, userIds, "messages-expired", payload, {
+        data: payload,
+      });
+    }
+  }
+}
+
+// Create singleton instance
+const disappearingMessageService = new DisappearingMessageService();
+
+module.exports = disappearingMessageService;
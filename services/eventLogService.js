@@ -0,0 +1,135 @@
+/**
+ * Event Log Service
+ * Keeps a per-user log of chat events so clients can resync after reconnecting
+ */
+
+const User = require("../models/User");
+const UserEvent = require("../models/UserEvent");
+
+class EventLogService {
+  constructor() {
+    // Maximum number of events returned by a single sync call
+    this.maxSyncBatch = 500;
+    // How long a gap in a user's log may wait for its entry to be written
+    this.pendingGapMs = 30 * 1000;
+  }
+
+  /**
+   * Append an event to the log of each user
+   * Returns a map of userId -> sequence number assigned to the event
+   */
+  async append(userIds, event, { messageId = null, data = {} } = {}) {
+    const uniqueIds = [...new Set(userIds.map((id) => id.toString()))];
+
+    // Each user's entry is written as soon as its sequence number is
+    // reserved; users are handled in parallel so a group event costs one
+    // round trip instead of one per member
+    const results = await Promise.allSettled(
+      uniqueIds.map(async (userId) => {
+        // Atomically reserve the next sequence number for this user
+        const user = await User.findByIdAndUpdate(
+          userId,
+          { $inc: { eventSeq: 1 } },
+          { new: true, select: "eventSeq" }
+        );
+        if (!user) {
+          return null;
+        }
+
+        await UserEvent.create({
+          user: userId,
+          seq: user.eventSeq,
+          event,
+          message: messageId,
+          data,
+        });
+        return [userId, user.eventSeq];
+      })
+    );
+
+    const failed = results.find((result) => result.status === "rejected");
+    if (failed) {
+      // A reserved but unwritten entry leaves a gap, which makes the next
+      // sync of that user ask for a reset (see getEventsSince)
+      console.error("Error appending to event log:", failed.reason);
+      throw failed.reason;
+    }
+
+    return Object.fromEntries(
+      results.map((result) => result.value).filter(Boolean)
+    );
+  }
+
+  /**
+   * Get every event a user missed after lastSeq, oldest first
+   */
+  async getEventsSince(userId, lastSeq = 0) {
+    const user = await User.findById(userId).select("eventSeq");
+    const latestSeq = user?.eventSeq || 0;
+
+    const events = await UserEvent.find({ user: userId, seq: { $gt: lastSeq } })
+      .populate({
+        path: "message",
+        populate: [
+          { path: "sender", select: "name email avatar" },
+          { path: "receiver", select: "name email avatar" },
+          { path: "reactions.user", select: "name avatar" },
+          { path: "deletedBy", select: "name avatar" },
+          { path: "group", select: "name" },
+        ],
+      })
+      .sort({ seq: 1 })
+      .limit(this.maxSyncBatch + 1);
+
+    const fetched = events.slice(0, this.maxSyncBatch);
+
+    // Concurrent appends can write a later entry before an earlier one, so
+    // only replay up to the first gap
+    const batch = [];
+    for (const entry of fetched) {
+      if (entry.seq !== lastSeq + batch.length + 1) {
+        break;
+      }
+      batch.push(entry);
+    }
+    // Entry right after the gap, if any. A recent gap is still being
+    // written; an older one will never be filled
+    const afterGap = fetched[batch.length];
+    const gapIsPending =
+      !!afterGap && Date.now() - afterGap.createdAt < this.pendingGapMs;
+    // After an old gap the client comes back once more to get the reset
+    const hasMore =
+      (batch.length === fetched.length && events.length > this.maxSyncBatch) ||
+      (!!afterGap && !gapIsPending);
+
+    // The client is ahead of the log, or the events it missed have expired
+    // or were never written: it has to refetch its chats instead of
+    // replaying
+    const resetRequired =
+      lastSeq > latestSeq ||
+      (batch.length === 0 &&
+        lastSeq < latestSeq &&
+        (!afterGap || !gapIsPending));
+
+    return {
+      events: resetRequired
+        ? []
+        : batch.map((entry) => ({
+            seq: entry.seq,
+            event: entry.event,
+            message: entry.message,
+            messageId: entry.message?._id || null,
+            ...entry.data,
+            createdAt: entry.createdAt,
+          })),
+      latestSeq,
+      hasMore: !resetRequired && hasMore,
+      resetRequired,
+    };
+  }
+}
+
+// Create singleton instance
+const eventLogService = new EventLogService();
+
+module.exports = eventLogService;
@@ -139,8 +139,8 @@ class FCMService {
           notification: {
             icon: "ic_launcher",
             color: "#25D366",
-            sound: "default",
-            priority: "high",
+            sound: notificationData.sound || "default",
+            priority: notificationData.priority || "high",
             visibility: "public",
           },
           priority: "high",
@@ -218,7 +218,8 @@ class FCMService {
     receiverId,
     senderName,
     messageContent,
-    chatId
+    chatId,
+    sound = "default"
   ) {
     const notificationData = {
       title: senderName,
@@ -227,6 +228,7 @@ class FCMService {
           ? messageContent.substring(0, 100) + "..."
           : messageContent,
       icon: "ic_launcher",
+      sound,
       data: {
         type: "message",
         chatId: chatId,
@@ -238,6 +240,37 @@ class FCMService {
     return await this.sendFCMNotification(receiverId, notificationData);
   }
 
+  /**
+   * Send mention notification (max priority)
+   */
+  async sendMentionNotification(
+    receiverId,
+    senderName,
+    groupName,
+    messageContent,
+    groupId
+  ) {
+    const notificationData = {
+      title: `${senderName} mentioned you in ${groupName}`,
+      body:
+        messageContent.length > 100
+          ? messageContent.substring(0, 100) + "..."
+          : messageContent,
+      icon: "ic_launcher",
+      priority: "max",
+      data: {
+        type: "mention",
+        chatId: groupId,
+        groupId: groupId,
+        senderName: senderName,
+        groupName: groupName,
+        timestamp: Date.now().toString(),
+      },
+    };
+
+    return await this.sendFCMNotification(receiverId, notificationData);
+  }
+
   /**
    * Send call notification
    */
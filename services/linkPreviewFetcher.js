@@ -0,0 +1,196 @@
+/**
+ * Link Preview Fetcher
+ * Downloads the HTML of a shared link for unfurling. Every address the
+ * request connects to (including redirects) is checked, so links can't be
+ * used to reach the server's own network.
+ */
+
+const http = require("http");
+const https = require("https");
+const dns = require("dns");
+const net = require("net");
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and other
+// reserved ranges. IPv4-mapped IPv6 addresses are matched against the IPv4
+// rules by BlockList.
+const blockedRanges = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([address, prefix]) =>
+  blockedRanges.addSubnet(address, prefix, "ipv4")
+);
+[
+  // Unspecified, loopback and IPv4-compatible (::a.b.c.d) addresses
+  ["::", 96],
+  // IPv4-translated (SIIT, ::ffff:0:a.b.c.d)
+  ["::ffff:0:0:0", 96],
+  ["64:ff9b::", 96],
+  ["100::", 64],
+  ["2001:db8::", 32],
+  // 6to4, which embeds an IPv4 address
+  ["2002::", 16],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  // Deprecated site-local
+  ["fec0::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) =>
+  blockedRanges.addSubnet(address, prefix, "ipv6")
+);
+
+/**
+ * Check if an IP address belongs to a private or reserved range
+ */
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return true; // Not an IP address, never connect to it
+  }
+  return blockedRanges.check(address, family === 4 ? "ipv4" : "ipv6");
+};
+
+/**
+ * Create a fetcher for link previews. A fetcher takes a URL and resolves to
+ * { url, status, contentType, body } for the final response after redirects.
+ *
+ * Options:
+ * - timeout: milliseconds a request may sit idle
+ * - deadline: milliseconds allowed for the whole fetch, redirects included,
+ *   so a server sending a byte at a time can't hold it open
+ * - maxBytes: the body is cut off after this many bytes
+ * - maxRedirects: redirects followed before giving up
+ * - allowPrivateAddresses: skip the address checks (local testing only)
+ */
+const createHttpFetcher = ({
+  timeout = 5000,
+  deadline = 10000,
+  maxBytes = 512 * 1024,
+  maxRedirects = 3,
+  allowPrivateAddresses = false,
+} = {}) => {
+  // Resolve the host ourselves and connect to the checked address, so the
+  // name can't resolve to a different address between check and connect
+  const lookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { all: true }, (error, addresses) => {
+      if (error) {
+        return callback(error);
+      }
+      const blocked = addresses.find(({ address }) =>
+        isPrivateAddress(address)
+      );
+      if (blocked && !allowPrivateAddresses) {
+        return callback(
+          new Error(`Blocked private address ${blocked.address}`)
+        );
+      }
+      const { address, family } = addresses[0];
+      if (options.all) {
+        return callback(null, [{ address, family }]);
+      }
+      callback(null, address, family);
+    });
+  };
+
+  const request = (url, signal) =>
+    new Promise((resolve, reject) => {
+      const client = url.protocol === "https:" ? https : http;
+      const req = client.get(
+        url,
+        {
+          lookup,
+          timeout,
+          signal,
+          headers: {
+            "User-Agent": "ChatAppLinkPreview/1.0",
+            Accept: "text/html,application/xhtml+xml",
+          },
+        },
+        (res) => {
+          const chunks = [];
+          let size = 0;
+
+          res.on("data", (chunk) => {
+            size += chunk.length;
+            chunks.push(chunk);
+            if (size >= maxBytes) {
+              res.destroy();
+              finish();
+            }
+          });
+          res.on("end", () => finish());
+          res.on("error", reject);
+
+          let finished = false;
+          const finish = () => {
+            if (finished) {
+              return;
+            }
+            finished = true;
+            resolve({
+              status: res.statusCode,
+              headers: res.headers,
+              body: Buffer.concat(chunks).subarray(0, maxBytes),
+            });
+          };
+        }
+      );
+
+      req.on("timeout", () =>
+        req.destroy(new Error("Link preview request timed out"))
+      );
+      req.on("error", reject);
+    });
+
+  return async (link) => {
+    let url = new URL(link);
+    const signal = AbortSignal.timeout(deadline);
+
+    for (let redirects = 0; redirects <= maxRedirects; redirects++) {
+      if (!["http:", "https:"].includes(url.protocol)) {
+        throw new Error("Only http and https links can be previewed");
+      }
+      // IP literals skip the DNS lookup, so check them here
+      const host = url.hostname.replace(/^\[|\]$/g, "");
+      if (net.isIP(host) && isPrivateAddress(host) && !allowPrivateAddresses) {
+        throw new Error(`Blocked private address ${host}`);
+      }
+
+      const response = await request(url, signal);
+      if (
+        response.status >= 300 &&
+        response.status < 400 &&
+        response.headers.location
+      ) {
+        url = new URL(response.headers.location, url);
+        continue;
+      }
+
+      return {
+        url: url.toString(),
+        status: response.status,
+        contentType: response.headers["content-type"] || "",
+        body: response.body.toString("utf8"),
+      };
+    }
+
+    throw new Error("Too many redirects");
+  };
+};
+
+module.exports = {
+  createHttpFetcher,
+  isPrivateAddress,
+};
@@ -0,0 +1,146 @@
+/**
+ * Link Preview Service
+ * Unfurls links shared in messages into a title, description and image.
+ * Pages are downloaded by a pluggable fetcher (see linkPreviewFetcher.js),
+ * which can be swapped with setFetcher, e.g. to allow a local test server.
+ */
+
+const { createHttpFetcher } = require("./linkPreviewFetcher");
+
+const URL_PATTERN = /https?:\/\/[^\s<>"']+/i;
+
+const decodeEntities = (text) =>
+  text
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) =>
+      String.fromCodePoint(parseInt(code, 16))
+    )
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&");
+
+const clean = (text, maxLength) =>
+  text
+    ? decodeEntities(text).replace(/\s+/g, " ").trim().slice(0, maxLength)
+    : "";
+
+class LinkPreviewService {
+  constructor() {
+    this.fetcher = createHttpFetcher();
+    // url -> { preview, expiresAt }
+    this.cache = new Map();
+    this.cacheTtl = 60 * 60 * 1000;
+    this.maxCacheSize = 500;
+  }
+
+  /**
+   * Replace the fetcher used to download pages (null restores the default)
+   */
+  setFetcher(fetcher) {
+    this.fetcher = fetcher || createHttpFetcher();
+    this.cache.clear();
+  }
+
+  /**
+   * Find the first http(s) link in a message, or null
+   */
+  extractUrl(text) {
+    const match = typeof text === "string" && text.match(URL_PATTERN);
+    if (!match) {
+      return null;
+    }
+    // Trailing punctuation usually belongs to the sentence, not the link
+    return match[0].replace(/[.,;:!?)\]]+$/, "");
+  }
+
+  /**
+   * Read the Open Graph / Twitter card / HTML metadata of a page
+   */
+  parseMetadata(html, pageUrl) {
+    const meta = {};
+    for (const [tag] of html.matchAll(/<meta\s[^>]*>/gi)) {
+      const attributes = {};
+      for (const [, name, , doubleQuoted, singleQuoted] of tag.matchAll(
+        /([a-zA-Z:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g
+      )) {
+        attributes[name.toLowerCase()] = doubleQuoted ?? singleQuoted;
+      }
+      const key = (attributes.property || attributes.name || "").toLowerCase();
+      if (key && attributes.content && !meta[key]) {
+        meta[key] = attributes.content;
+      }
+    }
+    const titleTag = html.match(/<title[^>]*>([^<]*)<\/title>/i);
+
+    let image = meta["og:image"] || meta["twitter:image"] || null;
+    if (image) {
+      try {
+        image = new URL(decodeEntities(image), pageUrl);
+        image = ["http:", "https:"].includes(image.protocol)
+          ? image.toString()
+          : null;
+      } catch (error) {
+        image = null;
+      }
+    }
+
+    return {
+      title: clean(
+        meta["og:title"] || meta["twitter:title"] || titleTag?.[1],
+        300
+      ),
+      description: clean(
+        meta["og:description"] ||
+          meta["twitter:description"] ||
+          meta["description"],
+        500
+      ),
+      image,
+      siteName: clean(meta["og:site_name"], 100) || new URL(pageUrl).hostname,
+    };
+  }
+
+  /**
+   * Build the preview of a link. Resolves to
+   * { url, title, description, image, siteName, fetchedAt }, or null when
+   * the page can't be fetched or has nothing to show.
+   */
+  async unfurl(url) {
+    const cached = this.cache.get(url);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.preview;
+    }
+
+    let preview = null;
+    try {
+      const page = await this.fetcher(url);
+      if (
+        page.status >= 200 &&
+        page.status < 300 &&
+        /text\/html|application\/xhtml/i.test(page.contentType)
+      ) {
+        const metadata = this.parseMetadata(page.body, page.url);
+        if (metadata.title || metadata.description) {
+          preview = { url, ...metadata, fetchedAt: new Date() };
+        }
+      }
+    } catch (error) {
+      console.log(`🔗 Link preview failed for ${url}: ${error.message}`);
+    }
+
+    if (this.cache.size >= this.maxCacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(url, { preview, expiresAt: Date.now() + this.cacheTtl });
+
+    return preview;
+  }
+}
+
+// Create singleton instance
+const linkPreviewService = new LinkPreviewService();
+
+module.exports = linkPreviewService;
@@ -0,0 +1,76 @@
+/**
+ * Live Location Service
+ * Ends live location sessions once their sharing time has run out, keeping
+ * the last known position in the message
+ */
+
+const Message = require("../models/Message");
+const { endLiveLocation } = require("../socket/socketServer");
+
+class LiveLocationService {
+  constructor() {
+    this.io = null;
+    this.timer = null;
+    this.isSweeping = false;
+    // How often to look for expired live locations
+    this.sweepInterval = 30 * 1000;
+    // Sessions ended per query
+    this.batchSize = 100;
+  }
+
+  /**
+   * Start ending expired live locations
+   */
+  start(io) {
+    if (this.timer) {
+      return;
+    }
+
+    this.io = io;
+    this.timer = setInterval(() => this.sweep(), this.sweepInterval);
+    console.log("📍 Live location sweeper started");
+
+    // End whatever ran out while the server was down
+    this.sweep();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async sweep() {
+    if (this.isSweeping) {
+      return;
+    }
+
+    this.isSweeping = true;
+    try {
+      let expired;
+      do {
+        expired = await Message.find({
+          "location.isLive": true,
+          "location.endedAt": null,
+          "location.liveUntil": { $lte: new Date() },
+        })
+          .select("sender receiver group location")
+          .limit(this.batchSize);
+
+        for (const message of expired) {
+          await endLiveLocation(this.io, message);
+        }
+      } while (expired.length === this.batchSize);
+    } catch (error) {
+      console.error("Live location sweep error:", error);
+    } finally {
+      this.isSweeping = false;
+    }
+  }
+}
+
+// Create singleton instance
+const liveLocationService = new LiveLocationService();
+
+module.exports = liveLocationService;
@@ -135,7 +135,10 @@ class NotificationService {
 
           const result = await webpush.sendNotification(
             pushSubscription,
-            payload
+            payload,
+            notificationPayload.urgency
+              ? { urgency: notificationPayload.urgency }
+              : undefined
           );
           results.push({ success: true, endpoint: subscription.endpoint });
           console.log(
@@ -175,7 +178,8 @@ class NotificationService {
     receiverId,
     senderName,
     messageContent,
-    chatId
+    chatId,
+    sound = "default"
   ) {
     const payload = {
       title: senderName,
@@ -190,6 +194,7 @@ class NotificationService {
         chatId: chatId,
         senderId: receiverId, // This will be used for navigation
         senderName: senderName,
+        sound,
         timestamp: Date.now(),
       },
       requireInteraction: false,
@@ -198,6 +203,39 @@ class NotificationService {
     return await this.sendNotificationToUser(receiverId, payload);
   }
 
+  /**
+   * Send mention notification (high urgency, stays until dismissed)
+   */
+  async sendMentionNotification(
+    receiverId,
+    senderName,
+    groupName,
+    messageContent,
+    groupId
+  ) {
+    const payload = {
+      title: `${senderName} mentioned you in ${groupName}`,
+      body:
+        messageContent.length > 100
+          ? messageContent.substring(0, 100) + "..."
+          : messageContent,
+      icon: "/vite.svg",
+      tag: `mention-${groupId}`,
+      data: {
+        type: "mention",
+        chatId: groupId,
+        groupId: groupId,
+        senderName: senderName,
+        groupName: groupName,
+        timestamp: Date.now(),
+      },
+      requireInteraction: true,
+      urgency: "high",
+    };
+
+    return await this.sendNotificationToUser(receiverId, payload);
+  }
+
   /**
    * Send call notification
    */
@@ -0,0 +1,217 @@
+/**
+ * Scheduled Message Service
+ * Background dispatcher that sends scheduled messages once they are due.
+ * State lives in the database, so messages that came due while the server
+ * was down are sent on the next start.
+ */
+
+const mongoose = require("mongoose");
+const ScheduledMessage = require("../models/ScheduledMessage");
+const Message = require("../models/Message");
+const User = require("../models/User");
+const {
+  sendChatMessage,
+  redeliverChatMessage,
+} = require("../socket/socketServer");
+
+class ScheduledMessageService {
+  constructor() {
+    this.io = null;
+    this.timer = null;
+    this.isDispatching = false;
+    // How often to look for due messages
+    this.pollInterval = 15 * 1000;
+    // A claimed message still "sending" after this long is assumed lost
+    // (e.g. the server crashed mid-send) and is retried
+    this.lockTimeout = 5 * 60 * 1000;
+    this.maxAttempts = 3;
+    // Wait before retrying a failed send, multiplied by the attempts made
+    this.retryDelay = 30 * 1000;
+  }
+
+  /**
+   * Start polling for due messages
+   */
+  start(io) {
+    if (this.timer) {
+      return;
+    }
+
+    this.io = io;
+    this.timer = setInterval(() => this.dispatchDue(), this.pollInterval);
+    console.log("⏰ Scheduled message dispatcher started");
+
+    // Catch up on messages that came due while the server was down
+    this.dispatchDue();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Claim the next due message. The atomic update keeps two servers from
+   * sending the same message.
+   */
+  async claimNext() {
+    const now = new Date();
+    return ScheduledMessage.findOneAndUpdate(
+      {
+        scheduledFor: { $lte: now },
+        $or: [
+          {
+            status: "pending",
+            $or: [{ nextAttemptAt: null }, { nextAttemptAt: { $lte: now } }],
+          },
+          {
+            status: "sending",
+            lockedAt: { $lte: new Date(now.getTime() - this.lockTimeout) },
+            attempts: { $lt: this.maxAttempts },
+          },
+        ],
+      },
+      [
+        {
+          $set: {
+            status: "sending",
+            lockedAt: now,
+            attempts: { $add: ["$attempts", 1] },
+            sentMessage: {
+              $ifNull: ["$sentMessage", new mongoose.Types.ObjectId()],
+            },
+          },
+        },
+      ],
+      { new: true, sort: { scheduledFor: 1 } }
+    );
+  }
+
+  /**
+   * Send every message that is due
+   */
+  async dispatchDue() {
+    if (this.isDispatching || !this.io) {
+      return;
+    }
+
+    this.isDispatching = true;
+    try {
+      let scheduled = await this.claimNext();
+      while (scheduled) {
+        await this.dispatch(scheduled);
+        scheduled = await this.claimNext();
+      }
+
+      await this.failAbandoned();
+    } catch (error) {
+      console.error("Scheduled message dispatch error:", error);
+    } finally {
+      this.isDispatching = false;
+    }
+  }
+
+  /**
+   * Send a claimed message through the regular send-message path
+   */
+  async dispatch(scheduled) {
+    const senderId = scheduled.sender.toString();
+
+    try {
+      // An earlier attempt may have saved the message before failing; it
+      // is delivered again rather than created twice
+      const alreadySent = await Message.findById(scheduled.sentMessage);
+      const sender = await User.findById(senderId).select("-password");
+      const result = !sender
+        ? { error: "Sender not found" }
+        : alreadySent
+        ? await redeliverChatMessage(this.io, sender, alreadySent)
+        : await sendChatMessage(
+            this.io,
+            sender,
+            {
+              receiverId: (scheduled.group || scheduled.receiver).toString(),
+              content: scheduled.content,
+              messageType: scheduled.messageType,
+              attachment: scheduled.attachment || undefined,
+              isGroupChat: !!scheduled.group,
+              replyTo: scheduled.replyTo,
+            },
+            { messageId: scheduled.sentMessage }
+          );
+
+      if (result.error) {
+        await this.markFailed(scheduled, result.error);
+        return;
+      }
+
+      scheduled.status = "sent";
+      scheduled.sentAt = new Date();
+      scheduled.sentMessage = result.message._id;
+      scheduled.lockedAt = null;
+      scheduled.error = null;
+      await scheduled.save();
+
+      this.io.to(senderId).emit("scheduled-message-sent", {
+        scheduledMessageId: scheduled._id,
+        message: result.message,
+        chatRoomId: result.chatRoomId,
+        groupId: result.groupId,
+      });
+      console.log(`⏰ Scheduled message ${scheduled._id} sent`);
+    } catch (error) {
+      console.error(`Error sending scheduled message ${scheduled._id}:`, error);
+
+      // Retry after a delay until the attempts run out
+      if (scheduled.attempts < this.maxAttempts) {
+        scheduled.status = "pending";
+        scheduled.lockedAt = null;
+        scheduled.nextAttemptAt = new Date(
+          Date.now() + this.retryDelay * scheduled.attempts
+        );
+        scheduled.error = error.message;
+        await scheduled.save();
+      } else {
+        await this.markFailed(scheduled, error.message);
+      }
+    }
+  }
+
+  /**
+   * Fail messages that were lost while sending (e.g. the server crashed
+   * mid-send) after their last attempt
+   */
+  async failAbandoned() {
+    const abandoned = await ScheduledMessage.find({
+      status: "sending",
+      lockedAt: { $lte: new Date(Date.now() - this.lockTimeout) },
+      attempts: { $gte: this.maxAttempts },
+    });
+    for (const scheduled of abandoned) {
+      await this.markFailed(
+        scheduled,
+        "Sending was interrupted too many times"
+      );
+    }
+  }
+
+  async markFailed(scheduled, reason) {
+    scheduled.status = "failed";
+    scheduled.error = reason;
+    scheduled.lockedAt = null;
+    await scheduled.save();
+
+    this.io.to(scheduled.sender.toString()).emit("scheduled-message-failed", {
+      scheduledMessageId: scheduled._id,
+      error: reason,
+    });
+    console.log(`⏰ Scheduled message ${scheduled._id} failed: ${reason}`);
+  }
+}
+
+// Create singleton instance
+const scheduledMessageService = new ScheduledMessageService();
+
+module.exports = scheduledMessageService;
@@ -0,0 +1,180 @@
+/**
+ * Zip Archive
+ * Minimal streaming zip writer used by chat exports. Entries are deflated
+ * and written one after another, with their sizes and checksums in data
+ * descriptors, so nothing has to be buffered in memory.
+ */
+
+const zlib = require("zlib");
+const { once } = require("events");
+const { Readable } = require("stream");
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer, previous = 0) => {
+  let crc = previous ^ 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Zip entries store their modification time in MS-DOS format
+const toDosDateTime = (date) => ({
+  time:
+    (date.getHours() << 11) |
+    (date.getMinutes() << 5) |
+    Math.floor(date.getSeconds() / 2),
+  date:
+    ((Math.max(date.getFullYear(), 1980) - 1980) << 9) |
+    ((date.getMonth() + 1) << 5) |
+    date.getDate(),
+});
+
+// General purpose flags: sizes follow in a data descriptor, UTF-8 names
+const FLAGS = 0x0808;
+const METHOD_DEFLATE = 8;
+const VERSION = 20;
+
+class ZipArchive {
+  constructor(output) {
+    this.output = output;
+    this.offset = 0;
+    this.entries = [];
+  }
+
+  async write(buffer) {
+    if (this.output.destroyed) {
+      throw new Error("Zip output was closed");
+    }
+
+    this.offset += buffer.length;
+    if (!this.output.write(buffer)) {
+      // Stop waiting if the output goes away (e.g. the client disconnects)
+      await new Promise((resolve, reject) => {
+        const done = (error) => {
+          this.output.off("drain", onDrain);
+          this.output.off("close", onClose);
+          error ? reject(error) : resolve();
+        };
+        const onDrain = () => done();
+        const onClose = () => done(new Error("Zip output was closed"));
+        this.output.on("drain", onDrain);
+        this.output.on("close", onClose);
+      });
+    }
+  }
+
+  /**
+   * Add a file from a Buffer, string or readable stream
+   */
+  async addFile(name, source, modifiedAt = new Date()) {
+    const nameBuffer = Buffer.from(name, "utf8");
+    const { time, date } = toDosDateTime(modifiedAt);
+    const headerOffset = this.offset;
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(VERSION, 4);
+    header.writeUInt16LE(FLAGS, 6);
+    header.writeUInt16LE(METHOD_DEFLATE, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    // CRC and sizes (14-25) are left at 0, see the data descriptor
+    header.writeUInt16LE(nameBuffer.length, 26);
+    header.writeUInt16LE(0, 28);
+    await this.write(Buffer.concat([header, nameBuffer]));
+
+    const input =
+      typeof source === "string" || Buffer.isBuffer(source)
+        ? Readable.from([Buffer.from(source)])
+        : source;
+    const deflate = zlib.createDeflateRaw();
+
+    let crc = 0;
+    let size = 0;
+    let compressedSize = 0;
+
+    const copyCompressed = (async () => {
+      for await (const chunk of deflate) {
+        compressedSize += chunk.length;
+        await this.write(chunk);
+      }
+    })();
+
+    try {
+      for await (const chunk of input) {
+        const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+        crc = crc32(buffer, crc);
+        size += buffer.length;
+        if (!deflate.write(buffer)) {
+          await once(deflate, "drain");
+        }
+      }
+      deflate.end();
+    } catch (error) {
+      deflate.destroy(error);
+      await copyCompressed.catch(() => {});
+      throw error;
+    }
+    await copyCompressed;
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(crc, 4);
+    descriptor.writeUInt32LE(compressedSize, 8);
+    descriptor.writeUInt32LE(size, 12);
+    await this.write(descriptor);
+
+    this.entries.push({
+      nameBuffer,
+      time,
+      date,
+      crc,
+      size,
+      compressedSize,
+      headerOffset,
+    });
+  }
+
+  /**
+   * Write the central directory. The output stream is left open.
+   */
+  async finalize() {
+    const directoryOffset = this.offset;
+
+    for (const entry of this.entries) {
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014b50, 0);
+      record.writeUInt16LE(VERSION, 4);
+      record.writeUInt16LE(VERSION, 6);
+      record.writeUInt16LE(FLAGS, 8);
+      record.writeUInt16LE(METHOD_DEFLATE, 10);
+      record.writeUInt16LE(entry.time, 12);
+      record.writeUInt16LE(entry.date, 14);
+      record.writeUInt32LE(entry.crc, 16);
+      record.writeUInt32LE(entry.compressedSize, 20);
+      record.writeUInt32LE(entry.size, 24);
+      record.writeUInt16LE(entry.nameBuffer.length, 28);
+      // Extra field, comment, disk number and attributes stay 0
+      record.writeUInt32LE(entry.headerOffset, 42);
+      await this.write(Buffer.concat([record, entry.nameBuffer]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(this.offset - directoryOffset, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+    await this.write(end);
+  }
+}
+
+module.exports = ZipArchive;
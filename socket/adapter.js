@@ -0,0 +1,47 @@
+/**
+ * Socket.IO adapter setup
+ * Without REDIS_URL the default in-memory adapter and presence store are used
+ * (single server). With REDIS_URL set, room fan-out goes through the Redis
+ * adapter and presence is shared, so several servers can run side by side.
+ * Requires the optional `redis` and `@socket.io/redis-adapter` packages.
+ */
+
+const { createPresenceStore, LocalRedisClient } = require("./presenceStore");
+
+const setupSocketAdapter = async (io) => {
+  const redisUrl = process.env.REDIS_URL;
+
+  if (!redisUrl) {
+    console.log("🧠 Using in-memory Socket.IO adapter and presence store");
+    return createPresenceStore();
+  }
+
+  // Redis-style presence on a local stand-in, rooms stay in-process
+  if (redisUrl === "local") {
+    console.log("🧪 Using local Redis stand-in for presence");
+    return createPresenceStore(new LocalRedisClient());
+  }
+
+  try {
+    const { createClient } = require("redis");
+    const { createAdapter } = require("@socket.io/redis-adapter");
+
+    const pubClient = createClient({ url: redisUrl });
+    const subClient = pubClient.duplicate();
+    pubClient.on("error", (error) => console.error("Redis error:", error));
+    subClient.on("error", (error) => console.error("Redis error:", error));
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+
+    io.adapter(createAdapter(pubClient, subClient));
+    console.log("✅ Socket.IO Redis adapter connected");
+    return createPresenceStore(pubClient);
+  } catch (error) {
+    console.error(
+      "❌ Redis adapter setup failed, falling back to in-memory:",
+      error.message
+    );
+    return createPresenceStore();
+  }
+};
+
+module.exports = { setupSocketAdapter };
@@ -0,0 +1,609 @@
+/**
+ * Presence Store
+ * Keeps track of connected devices, the chat each device is viewing and
+ * ongoing calls. The in-memory store serves a single server; the Redis store
+ * shares the same state between every server behind the load balancer.
+ */
+
+const crypto = require("crypto");
+
+const serializeUser = (user) =>
+  user && typeof user.toJSON === "function" ? user.toJSON() : user;
+
+// Typing indicators expire on their own if typing-stop never arrives
+const TYPING_TTL_MS = 10 * 1000;
+
+// Each server refreshes its heartbeat key; devices of a server whose key
+// expired (e.g. after a crash) are removed by the others
+const NODE_HEARTBEAT_MS = 10 * 1000;
+const NODE_TTL_MS = 30 * 1000;
+
+// Device changes run as scripts so that counting a user's devices and
+// updating their online entry can't interleave with another server's change.
+// KEYS: user's devices, server's sockets, online users
+// ARGV: socketId, device, userId, online entry
+const ADD_DEVICE_SCRIPT = `
+redis.call("HSET", KEYS[1], ARGV[1], ARGV[2])
+redis.call("HSET", KEYS[2], ARGV[1], ARGV[3])
+local added = redis.call("HSET", KEYS[3], ARGV[3], ARGV[4])
+return { redis.call("HLEN", KEYS[1]), added }
+`;
+// KEYS: user's devices, server's sockets, online users
+// ARGV: socketId, userId
+const REMOVE_DEVICE_SCRIPT = `
+redis.call("HDEL", KEYS[1], ARGV[1])
+redis.call("HDEL", KEYS[2], ARGV[1])
+local count = redis.call("HLEN", KEYS[1])
+local removed = 0
+if count == 0 then
+  removed = redis.call("HDEL", KEYS[3], ARGV[2])
+end
+return { count, removed }
+`;
+
+/**
+ * In-memory presence store (default, single node)
+ */
+class MemoryPresenceStore {
+  constructor() {
+    // userId -> { user, lastSeen, sockets: Map(socketId -> device) }
+    this.users = new Map();
+    // callId -> { callerSocketId, receiverSocketId }
+    this.calls = new Map();
+    // conversation key -> Map(userId -> typing expiry time)
+    this.typing = new Map();
+  }
+
+  /**
+   * Register a connected device. Returns the user's device count and
+   * whether this device brought the user online
+   */
+  async addDevice(userId, user, device) {
+    const cameOnline = !this.users.has(userId);
+    if (cameOnline) {
+      this.users.set(userId, {
+        user,
+        lastSeen: new Date(),
+        sockets: new Map(),
+      });
+    }
+    const entry = this.users.get(userId);
+    entry.lastSeen = new Date();
+    entry.sockets.set(device.socketId, { viewingChat: null, ...device });
+    return { deviceCount: entry.sockets.size, cameOnline };
+  }
+
+  /**
+   * Remove a disconnected device. Returns the user's remaining device count
+   * and whether the user went offline
+   */
+  async removeDevice(userId, socketId) {
+    const entry = this.users.get(userId);
+    if (!entry) {
+      return { deviceCount: 0, wentOffline: false };
+    }
+    entry.sockets.delete(socketId);
+    entry.lastSeen = new Date();
+    if (entry.sockets.size === 0) {
+      this.users.delete(userId);
+    }
+    return {
+      deviceCount: entry.sockets.size,
+      wentOffline: entry.sockets.size === 0,
+    };
+  }
+
+  // A single server's devices go away with it, nothing to sweep
+  async startHeartbeat() {}
+
+  stopHeartbeat() {}
+
+  async setViewingChat(userId, socketId, chatUserId) {
+    const device = this.users.get(userId)?.sockets.get(socketId);
+    if (device) {
+      device.viewingChat = chatUserId;
+    }
+  }
+
+  /**
+   * Check if any of the user's devices has the chat with chatUserId open
+   */
+  async isViewingChat(userId, chatUserId) {
+    const entry = this.users.get(userId);
+    if (!entry) {
+      return false;
+    }
+    return Array.from(entry.sockets.values()).some(
+      (device) => device.viewingChat === chatUserId
+    );
+  }
+
+  async isOnline(userId) {
+    return this.users.has(userId.toString());
+  }
+
+  /**
+   * Return the ids from userIds that have at least one connected device
+   */
+  async filterOnline(userIds) {
+    return userIds
+      .map((userId) => userId.toString())
+      .filter((userId) => this.users.has(userId));
+  }
+
+  async getOnlineUsers() {
+    return Array.from(this.users.entries()).map(([userId, entry]) => ({
+      userId,
+      user: entry.user,
+      lastSeen: entry.lastSeen,
+      deviceCount: entry.sockets.size,
+    }));
+  }
+
+  async setCall(callId, call) {
+    this.calls.set(callId.toString(), { ...call });
+  }
+
+  async getCall(callId) {
+    return this.calls.get(callId.toString()) || null;
+  }
+
+  async deleteCall(callId) {
+    this.calls.delete(callId.toString());
+  }
+
+  /**
+   * Forget every call pinned to a disconnected device
+   */
+  async removeCallsForSocket(socketId) {
+    this.calls.forEach((call, callId) => {
+      if (
+        call.callerSocketId === socketId ||
+        call.receiverSocketId === socketId
+      ) {
+        this.calls.delete(callId);
+      }
+    });
+  }
+
+  /**
+   * Start or stop a user's typing indicator in a conversation. Keys are
+   * "chat:<receiverId>" for private chats and "group:<groupId>" for groups.
+   */
+  async setTyping(key, userId, isTyping) {
+    if (!this.typing.has(key)) {
+      this.typing.set(key, new Map());
+    }
+    const typingUsers = this.typing.get(key);
+    if (isTyping) {
+      typingUsers.set(userId.toString(), Date.now() + TYPING_TTL_MS);
+    } else {
+      typingUsers.delete(userId.toString());
+    }
+    if (typingUsers.size === 0) {
+      this.typing.delete(key);
+    }
+  }
+
+  /**
+   * Return the ids of the users currently typing in a conversation
+   */
+  async getTyping(key) {
+    const typingUsers = this.typing.get(key);
+    if (!typingUsers) {
+      return [];
+    }
+    const now = Date.now();
+    typingUsers.forEach((expiresAt, userId) => {
+      if (expiresAt <= now) {
+        typingUsers.delete(userId);
+      }
+    });
+    return Array.from(typingUsers.keys());
+  }
+}
+
+/**
+ * Redis-backed presence store shared by all server instances
+ * Works with any client exposing the node-redis v4 hash and key commands
+ * (hSet, hGet, hDel, hGetAll, hLen, set, exists, del, pExpire, eval)
+ */
+class RedisPresenceStore {
+  constructor(
+    client,
+    prefix = "chatapp:presence",
+    nodeId = crypto.randomBytes(8).toString("hex")
+  ) {
+    this.client = client;
+    this.nodeId = nodeId;
+    this.heartbeatTimer = null;
+    this.usersKey = `${prefix}:users`;
+    this.callsKey = `${prefix}:calls`;
+    this.nodesKey = `${prefix}:nodes`;
+    this.nodePrefix = `${prefix}:node`;
+    this.devicesPrefix = `${prefix}:devices`;
+    this.typingPrefix = `${prefix}:typing`;
+  }
+
+  devicesKey(userId) {
+    return `${this.devicesPrefix}:${userId}`;
+  }
+
+  // Expiring key that tells the other servers this one is alive
+  nodeAliveKey(nodeId) {
+    return `${this.nodePrefix}:${nodeId}:alive`;
+  }
+
+  // socketId -> userId of the devices connected to a server
+  nodeSocketsKey(nodeId) {
+    return `${this.nodePrefix}:${nodeId}:sockets`;
+  }
+
+  async addDevice(userId, user, device) {
+    // Only the device that creates the user's entry brings them online, even
+    // when several connect at once
+    const [deviceCount, added] = await this.client.eval(ADD_DEVICE_SCRIPT, {
+      keys: [
+        this.devicesKey(userId),
+        this.nodeSocketsKey(this.nodeId),
+        this.usersKey,
+      ],
+      arguments: [
+        device.socketId,
+        JSON.stringify({ viewingChat: null, ...device, nodeId: this.nodeId }),
+        userId.toString(),
+        JSON.stringify({ user: serializeUser(user), lastSeen: new Date() }),
+      ],
+    });
+    return { deviceCount, cameOnline: added === 1 };
+  }
+
+  async removeDevice(userId, socketId, nodeId = this.nodeId) {
+    const [deviceCount, removed] = await this.client.eval(
+      REMOVE_DEVICE_SCRIPT,
+      {
+        keys: [
+          this.devicesKey(userId),
+          this.nodeSocketsKey(nodeId),
+          this.usersKey,
+        ],
+        arguments: [socketId, userId.toString()],
+      }
+    );
+    return { deviceCount, wentOffline: removed === 1 };
+  }
+
+  async heartbeat() {
+    await this.client.set(this.nodeAliveKey(this.nodeId), String(Date.now()), {
+      PX: NODE_TTL_MS,
+    });
+    await this.client.hSet(this.nodesKey, this.nodeId, String(Date.now()));
+  }
+
+  /**
+   * Remove the devices and calls of servers that stopped sending
+   * heartbeats. Returns the ids of the users that went offline
+   */
+  async sweepDeadNodes() {
+    const nodes = await this.client.hGetAll(this.nodesKey);
+    const offline = [];
+    for (const nodeId of Object.keys(nodes || {})) {
+      if (
+        nodeId === this.nodeId ||
+        (await this.client.exists(this.nodeAliveKey(nodeId)))
+      ) {
+        continue;
+      }
+
+      const sockets = await this.client.hGetAll(this.nodeSocketsKey(nodeId));
+      for (const [socketId, userId] of Object.entries(sockets || {})) {
+        const { wentOffline } = await this.removeDevice(
+          userId,
+          socketId,
+          nodeId
+        );
+        await this.removeCallsForSocket(socketId);
+        if (wentOffline) {
+          offline.push(userId);
+        }
+      }
+      await this.client.del(this.nodeSocketsKey(nodeId));
+      await this.client.hDel(this.nodesKey, nodeId);
+      console.log(`🧹 Removed presence of stopped server ${nodeId}`);
+    }
+    return offline;
+  }
+
+  /**
+   * Keep this server's heartbeat alive and sweep stopped servers, now and
+   * then periodically. onUsersOffline gets the users who went offline.
+   */
+  async startHeartbeat(onUsersOffline = async () => {}) {
+    const tick = async () => {
+      try {
+        await this.heartbeat();
+        const offline = await this.sweepDeadNodes();
+        if (offline.length > 0) {
+          await onUsersOffline(offline);
+        }
+      } catch (error) {
+        console.error("Presence heartbeat error:", error);
+      }
+    };
+
+    await tick();
+    this.heartbeatTimer = setInterval(tick, NODE_HEARTBEAT_MS);
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  async setViewingChat(userId, socketId, chatUserId) {
+    const stored = await this.client.hGet(this.devicesKey(userId), socketId);
+    if (!stored) {
+      return;
+    }
+    const device = JSON.parse(stored);
+    device.viewingChat = chatUserId;
+    await this.client.hSet(
+      this.devicesKey(userId),
+      socketId,
+      JSON.stringify(device)
+    );
+  }
+
+  async isViewingChat(userId, chatUserId) {
+    const devices = await this.client.hGetAll(this.devicesKey(userId));
+    return Object.values(devices || {}).some(
+      (stored) => JSON.parse(stored).viewingChat === chatUserId
+    );
+  }
+
+  async isOnline(userId) {
+    return (await this.client.hLen(this.devicesKey(userId.toString()))) > 0;
+  }
+
+  async filterOnline(userIds) {
+    const online = [];
+    for (const userId of userIds.map((id) => id.toString())) {
+      if (await this.isOnline(userId)) {
+        online.push(userId);
+      }
+    }
+    return online;
+  }
+
+  async getOnlineUsers() {
+    const users = await this.client.hGetAll(this.usersKey);
+    const onlineUsers = [];
+    for (const [userId, stored] of Object.entries(users || {})) {
+      const { user, lastSeen } = JSON.parse(stored);
+      onlineUsers.push({
+        userId,
+        user,
+        lastSeen: new Date(lastSeen),
+        deviceCount: await this.client.hLen(this.devicesKey(userId)),
+      });
+    }
+    return onlineUsers;
+  }
+
+  async setCall(callId, call) {
+    await this.client.hSet(
+      this.callsKey,
+      callId.toString(),
+      JSON.stringify(call)
+    );
+  }
+
+  async getCall(callId) {
+    const stored = await this.client.hGet(this.callsKey, callId.toString());
+    return stored ? JSON.parse(stored) : null;
+  }
+
+  async deleteCall(callId) {
+    await this.client.hDel(this.callsKey, callId.toString());
+  }
+
+  async removeCallsForSocket(socketId) {
+    const calls = await this.client.hGetAll(this.callsKey);
+    for (const [callId, stored] of Object.entries(calls || {})) {
+      const call = JSON.parse(stored);
+      if (
+        call.callerSocketId === socketId ||
+        call.receiverSocketId === socketId
+      ) {
+        await this.client.hDel(this.callsKey, callId);
+      }
+    }
+  }
+
+  async setTyping(key, userId, isTyping) {
+    const typingKey = `${this.typingPrefix}:${key}`;
+    if (isTyping) {
+      await this.client.hSet(
+        typingKey,
+        userId.toString(),
+        String(Date.now() + TYPING_TTL_MS)
+      );
+      // Clears the hash if every typist's server goes away
+      await this.client.pExpire(typingKey, TYPING_TTL_MS);
+    } else {
+      await this.client.hDel(typingKey, userId.toString());
+    }
+  }
+
+  async getTyping(key) {
+    const typingKey = `${this.typingPrefix}:${key}`;
+    const typingUsers = await this.client.hGetAll(typingKey);
+    const now = Date.now();
+    const active = [];
+    for (const [userId, expiresAt] of Object.entries(typingUsers || {})) {
+      if (Number(expiresAt) > now) {
+        active.push(userId);
+      } else {
+        await this.client.hDel(typingKey, userId);
+      }
+    }
+    return active;
+  }
+}
+
+/**
+ * In-process stand-in for a Redis client, implementing the hash commands
+ * used by RedisPresenceStore. Useful for local development and for checking
+ * the Redis store without a Redis server (REDIS_URL=local).
+ */
+class LocalRedisClient {
+  constructor() {
+    this.hashes = new Map();
+    this.strings = new Map();
+    // key -> expiry time
+    this.expiries = new Map();
+  }
+
+  // Drop a key whose expiry has passed
+  purge(key) {
+    if (this.expiries.has(key) && this.expiries.get(key) <= Date.now()) {
+      this.hashes.delete(key);
+      this.strings.delete(key);
+      this.expiries.delete(key);
+    }
+  }
+
+  hash(key) {
+    this.purge(key);
+    if (!this.hashes.has(key)) {
+      this.hashes.set(key, new Map());
+    }
+    return this.hashes.get(key);
+  }
+
+  async hSet(key, field, value) {
+    const hash = this.hash(key);
+    const isNew = !hash.has(field);
+    hash.set(field, String(value));
+    return isNew ? 1 : 0;
+  }
+
+  async hGet(key, field) {
+    this.purge(key);
+    return this.hashes.get(key)?.get(field) ?? null;
+  }
+
+  // Delete a field, dropping the hash once it's empty
+  deleteField(key, field) {
+    this.purge(key);
+    const hash = this.hashes.get(key);
+    if (!hash || !hash.delete(field)) {
+      return 0;
+    }
+    if (hash.size === 0) {
+      this.hashes.delete(key);
+      this.expiries.delete(key);
+    }
+    return 1;
+  }
+
+  async hDel(key, field) {
+    return this.deleteField(key, field);
+  }
+
+  async hGetAll(key) {
+    this.purge(key);
+    return Object.fromEntries(this.hashes.get(key) || []);
+  }
+
+  async hLen(key) {
+    this.purge(key);
+    return this.hashes.get(key)?.size || 0;
+  }
+
+  async set(key, value, { PX } = {}) {
+    this.hashes.delete(key);
+    this.strings.set(key, String(value));
+    if (PX) {
+      this.expiries.set(key, Date.now() + PX);
+    } else {
+      this.expiries.delete(key);
+    }
+    return "OK";
+  }
+
+  async exists(key) {
+    this.purge(key);
+    return this.hashes.has(key) || this.strings.has(key) ? 1 : 0;
+  }
+
+  async del(key) {
+    const existed = await this.exists(key);
+    this.hashes.delete(key);
+    this.strings.delete(key);
+    this.expiries.delete(key);
+    return existed;
+  }
+
+  async pExpire(key, milliseconds) {
+    if (!(await this.exists(key))) {
+      return 0;
+    }
+    this.expiries.set(key, Date.now() + milliseconds);
+    return 1;
+  }
+
+  // Runs the JavaScript version of a known script. It doesn't await, so
+  // nothing else runs in between, as with Redis
+  async eval(script, { keys = [], arguments: args = [] } = {}) {
+    const run = LOCAL_SCRIPTS.get(script);
+    if (!run) {
+      throw new Error("Unknown script");
+    }
+    return run(this, keys, args);
+  }
+}
+
+// JavaScript versions of the scripts above, for LocalRedisClient
+const LOCAL_SCRIPTS = new Map([
+  [
+    ADD_DEVICE_SCRIPT,
+    (
+      client,
+      [devices, nodeSockets, users],
+      [socketId, device, userId, entry]
+    ) => {
+      client.hash(devices).set(socketId, device);
+      client.hash(nodeSockets).set(socketId, userId);
+      const onlineUsers = client.hash(users);
+      const added = onlineUsers.has(userId) ? 0 : 1;
+      onlineUsers.set(userId, entry);
+      return [client.hash(devices).size, added];
+    },
+  ],
+  [
+    REMOVE_DEVICE_SCRIPT,
+    (client, [devices, nodeSockets, users], [socketId, userId]) => {
+      client.deleteField(devices, socketId);
+      client.deleteField(nodeSockets, socketId);
+      client.purge(devices);
+      const count = client.hashes.get(devices)?.size || 0;
+      const removed = count === 0 ? client.deleteField(users, userId) : 0;
+      return [count, removed];
+    },
+  ],
+]);
+
+// Use the shared Redis store when a client is given, memory otherwise
+const createPresenceStore = (redisClient = null) =>
+  redisClient ? new RedisPresenceStore(redisClient) : new MemoryPresenceStore();
+
+module.exports = {
+  MemoryPresenceStore,
+  RedisPresenceStore,
+  LocalRedisClient,
+  createPresenceStore,
+  TYPING_TTL_MS,
+};
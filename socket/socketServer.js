@@ -5,13 +5,1274 @@ const ChatRoom = require("../models/ChatRoom");
 const Group = require("../models/Group");
 const Story = require("../models/Story");
 const Call = require("../models/Call");
+const Session = require("../models/Session");
+const ConversationPreference = require("../models/ConversationPreference");
 const notificationService = require("../services/notificationService");
 const fcmService = require("../services/fcmService");
+const eventLogService = require("../services/eventLogService");
+const linkPreviewService = require("../services/linkPreviewService");
 
-// Store active users
-const activeUsers = new Map();
+const { createPresenceStore, TYPING_TTL_MS } = require("./presenceStore");
+
+// Connected devices, viewed chats and ongoing calls. In-memory by default,
+// replaced by a shared store when running several servers (see adapter.js)
+let presenceStore = createPresenceStore();
+
+// Target for call signalling: the device taking part in the call, or every
+// device of the user while the call is still ringing
+const callTarget = async (io, callId, role, userId) => {
+  const call = await presenceStore.getCall(callId);
+  const socketId = call && call[`${role}SocketId`];
+  return io.to(socketId || userId.toString());
+};
+
+// Record an event in each user's sync log and send it to their personal room.
+// The change is already saved, so it's sent even if logging fails; a null
+// seq tells clients to resync.
+const deliverEvent = async (io, userIds, event, payload, logEntry = {}) => {
+  let seqs = {};
+  try {
+    seqs = await eventLogService.append(userIds, event, logEntry);
+  } catch (error) {
+    console.error(`❌ Failed to log ${event} event:`, error);
+  }
+
+  [...new Set(userIds.map((id) => id.toString()))].forEach((userId) => {
+    io.to(userId).emit(event, { ...payload, seq: seqs[userId] ?? null });
+  });
+};
+
+// Users who should hear about changes to a message: both sides of a private
+// chat, or every member of its group
+const getMessageAudience = async (message) => {
+  const senderId = (message.sender._id || message.sender).toString();
+
+  if (message.group) {
+    const groupId = message.group._id || message.group;
+    const group = await Group.findById(groupId).select("members");
+    return {
+      userIds: group ? group.members.map((id) => id.toString()) : [senderId],
+      extra: { groupId },
+    };
+  }
+
+  const receiverId = (message.receiver._id || message.receiver).toString();
+  return { userIds: [senderId, receiverId], extra: {} };
+};
+
+// Tell all of the reader's devices what they have read, so unread badges
+// stay in sync between phone and web
+const syncReadState = (io, userId, readState) =>
+  deliverEvent(io, [userId], "read-state-updated", readState, {
+    data: readState,
+  });
+
+// Send aggregated receipt updates to the senders of the given messages
+const emitReceiptUpdates = async (io, summaries) => {
+  const bySender = new Map();
+  summaries.forEach((summary) => {
+    const senderId = summary.senderId.toString();
+    if (!bySender.has(senderId)) {
+      bySender.set(senderId, []);
+    }
+    bySender.get(senderId).push(summary);
+  });
+
+  for (const [senderId, receipts] of bySender) {
+    await deliverEvent(
+      io,
+      [senderId],
+      "message-receipts-updated",
+      { receipts },
+      { data: { receipts } }
+    );
+  }
+};
+
+// Send a user's online or offline status to their friends. Friends who may
+// not see the online status (see User#canShowPresence) are always told the
+// user is offline, and the last seen time is only sent to those allowed.
+const broadcastPresence = async (io, userId, isOnline) => {
+  const user = await User.findById(userId).select(User.PRESENCE_FIELDS);
+  if (!user) {
+    return;
+  }
+
+  const profile = user.toPresenceProfile();
+  for (const friendId of user.friends || []) {
+    if (isOnline && user.canShowPresence(friendId, "onlineStatus")) {
+      io.to(friendId.toString()).emit("user-online", {
+        userId: user._id,
+        user: profile,
+      });
+    } else {
+      io.to(friendId.toString()).emit("user-offline", {
+        userId: user._id,
+        user: profile,
+        lastSeen: user.canShowPresence(friendId, "lastSeen")
+          ? user.lastSeen
+          : null,
+      });
+    }
+  }
+};
+
+// Record last seen and tell friends once a user's last device is gone
+const markOffline = async (io, userId) => {
+  try {
+    await User.updateOne({ _id: userId }, { lastSeen: new Date() });
+    await broadcastPresence(io, userId, false);
+  } catch (error) {
+    console.error("Last seen update error:", error);
+  }
+};
+
+// Online friends of a user who allow the user to see their online status
+const getVisibleOnlineFriends = async (userId) => {
+  const user = await User.findById(userId).select("friends");
+  const onlineIds = await presenceStore.filterOnline(user?.friends || []);
+  if (onlineIds.length === 0) {
+    return [];
+  }
+
+  const friends = await User.find({ _id: { $in: onlineIds } }).select(
+    User.PRESENCE_FIELDS
+  );
+  return friends
+    .filter((friend) => friend.canShowPresence(userId, "onlineStatus"))
+    .map((friend) => ({
+      userId: friend._id.toString(),
+      user: friend.toPresenceProfile(),
+    }));
+};
+
+// `${conversationKey}|${userId}` -> expiry timer
+const typingTimers = new Map();
+
+// Room joined by the devices that have a group open
+const groupViewersRoom = (groupId) => `group-viewers:${groupId}`;
+
+// Send the users typing in a group to the members who have it open
+const emitGroupTyping = async (io, groupId) => {
+  const userIds = await presenceStore.getTyping(`group:${groupId}`);
+  const typingUsers =
+    userIds.length > 0
+      ? await User.find({ _id: { $in: userIds } }).select("name avatar")
+      : [];
+
+  io.to(groupViewersRoom(groupId)).emit("group-typing", {
+    groupId,
+    typingUsers,
+    count: typingUsers.length,
+  });
+};
+
+// Send the members who have a group open to everyone viewing it
+const emitGroupViewers = async (io, groupId) => {
+  const sockets = await io.in(groupViewersRoom(groupId)).fetchSockets();
+  const viewerIds = [
+    ...new Set(sockets.map((viewer) => viewer.data.userId).filter(Boolean)),
+  ];
+
+  io.to(groupViewersRoom(groupId)).emit("group-viewers", {
+    groupId,
+    viewerIds,
+    count: viewerIds.length,
+  });
+};
+
+// Start or stop user's typing indicator in a private chat ({ receiverId })
+// or group ({ groupId }). The indicator ends TYPING_TTL_MS after the last
+// typing-start unless typing-stop arrives first; repeated typing-start events
+// only refresh the expiry. Updates are sent when the set of typing users
+// changes.
+const setTyping = async (io, user, { receiverId, groupId }, isTyping) => {
+  const userId = user._id.toString();
+  const key = groupId ? `group:${groupId}` : `chat:${receiverId}`;
+  const timerKey = `${key}|${userId}`;
+
+  clearTimeout(typingTimers.get(timerKey));
+  typingTimers.delete(timerKey);
+
+  const wasTyping = (await presenceStore.getTyping(key)).includes(userId);
+  await presenceStore.setTyping(key, userId, isTyping);
+
+  if (isTyping) {
+    typingTimers.set(
+      timerKey,
+      setTimeout(() => {
+        typingTimers.delete(timerKey);
+        setTyping(io, user, { receiverId, groupId }, false).catch((error) =>
+          console.error("Typing expiry error:", error)
+        );
+      }, TYPING_TTL_MS)
+    );
+  }
+
+  if (wasTyping === isTyping) {
+    return;
+  }
+
+  if (groupId) {
+    await emitGroupTyping(io, groupId);
+  } else {
+    io.to(receiverId.toString()).emit("user-typing", {
+      senderId: userId,
+      sender: user.toPresenceProfile(),
+      isTyping,
+    });
+  }
+};
+
+// Send a saved group message to the members, with push notifications for
+// offline members
+// Returns { message, groupId }
+const deliverGroupMessage = async (io, sender, message, group) => {
+  const senderId = sender._id.toString();
+
+  // Sending a message ends the sender's typing indicator
+  await setTyping(io, sender, { groupId: group._id }, false);
+
+  // Update group's last message and activity
+  group.lastMessage = message._id;
+  group.lastActivity = new Date();
+  await group.save();
+
+  // Emit new-message to all group members
+  console.log("📤 Emitting new-message to all group members");
+  await deliverEvent(
+    io,
+    group.members,
+    "new-message",
+    {
+      message: message,
+      groupId: group._id,
+      sender: sender,
+    },
+    { messageId: message._id, data: { groupId: group._id } }
+  );
+
+  // Track offline members (excluding sender)
+  const onlineMembers = await presenceStore.filterOnline(group.members);
+  const offlineMembers = group.members
+    .map((memberId) => memberId.toString())
+    .filter(
+      (memberId) => memberId !== senderId && !onlineMembers.includes(memberId)
+    );
+
+  // Mentioned members get their own higher-priority notification
+  const mentionedIds = new Set(
+    message.mentionsAll
+      ? offlineMembers
+      : message.mentions.map((userId) => userId.toString())
+  );
+  const offlineMentioned = offlineMembers.filter((memberId) =>
+    mentionedIds.has(memberId)
+  );
+  // Members who muted the group only hear about mentions
+  const preferences = await ConversationPreference.getForRecipients(
+    { group: group._id },
+    offlineMembers
+  );
+  const offlineOthers = offlineMembers.filter(
+    (memberId) =>
+      !mentionedIds.has(memberId) && !preferences.get(memberId)?.isMuted()
+  );
+  const preview = Message.stripMentionMarkup(message.content) || "New message";
+
+  // Send push notifications to offline group members
+  if (offlineOthers.length > 0) {
+    console.log(
+      `📱 Sending push notifications to ${offlineOthers.length} offline group members`
+    );
+    try {
+      const groupNotificationPayload = {
+        title: `${group.name}`,
+        body: `${sender.name}: ${preview}`,
+        icon: "/vite.svg",
+        tag: `group-${group._id}`,
+        data: {
+          type: "message",
+          chatId: group._id.toString(),
+          groupId: group._id.toString(),
+          senderName: sender.name,
+          groupName: group.name,
+          timestamp: Date.now(),
+        },
+      };
+
+      for (const memberId of offlineOthers) {
+        const sound = preferences.get(memberId)?.notificationSound || "default";
+
+        // Send web push notification
+        await notificationService.sendNotificationToUser(memberId, {
+          ...groupNotificationPayload,
+          data: { ...groupNotificationPayload.data, sound },
+        });
+
+        // Send FCM notification for Android app
+        await fcmService.sendMessageNotification(
+          memberId,
+          `${group.name}: ${sender.name}`,
+          preview,
+          group._id.toString(),
+          sound
+        );
+      }
+      console.log(`📱 Push notifications sent to offline group members`);
+    } catch (error) {
+      console.error("📱 Failed to send group push notifications:", error);
+    }
+  }
+
+  // Mentions are always pushed, even to members who muted the group
+  if (offlineMentioned.length > 0) {
+    console.log(
+      `📱 Sending mention notifications to ${offlineMentioned.length} offline group members`
+    );
+    try {
+      for (const memberId of offlineMentioned) {
+        await notificationService.sendMentionNotification(
+          memberId,
+          sender.name,
+          group.name,
+          preview,
+          group._id.toString()
+        );
+        await fcmService.sendMentionNotification(
+          memberId,
+          sender.name,
+          group.name,
+          preview,
+          group._id.toString()
+        );
+      }
+    } catch (error) {
+      console.error("📱 Failed to send mention notifications:", error);
+    }
+  }
+
+  console.log(`Group message sent from ${sender.name} to group ${group.name}`);
+
+  attachLinkPreview(io, message);
+
+  return { message, groupId: group._id };
+};
+
+// Send a saved private message to both sides, creating or restoring their
+// chat room, with a push notification if the receiver is offline
+// Returns { message, chatRoomId }
+const deliverPrivateMessage = async (
+  io,
+  sender,
+  message,
+  receiver,
+  chatRoom
+) => {
+  const senderId = sender._id.toString();
+  const receiverId = receiver._id.toString();
+
+  // Sending a message ends the sender's typing indicator
+  await setTyping(io, sender, { receiverId }, false);
+
+  // Check if receiver is currently viewing this chat on any device
+  const receiverOnline = await presenceStore.isOnline(receiverId);
+  const receiverViewingThisChat = await presenceStore.isViewingChat(
+    receiverId,
+    senderId
+  );
+
+  // Mark message as read only if receiver is viewing this specific chat
+  if (receiverViewingThisChat && !message.isRead) {
+    console.log(
+      `📖 Receiver ${receiver.name} is viewing this chat - marking as read`
+    );
+    message.isRead = true;
+    message.deliveredTo.push({ user: receiverId });
+    message.readBy.push({ user: receiverId });
+    await message.save();
+  } else if (!message.isRead) {
+    console.log(
+      `📭 Receiver ${receiver.name} is not viewing this chat - keeping as unread`
+    );
+    message.isRead = false;
+    await message.save();
+  }
+
+  // Create the chat room if this is the first message
+  if (!chatRoom) {
+    chatRoom = new ChatRoom({
+      participants: [senderId, receiverId],
+      lastMessage: message._id,
+      lastActivity: new Date(),
+      deletedFor: [], // Initialize empty deletedFor array
+    });
+    await chatRoom.save();
+  } else {
+    // If chat was deleted by either user, restore it for them when new message is sent
+    if (chatRoom.deletedFor && chatRoom.deletedFor.length > 0) {
+      chatRoom.deletedFor = chatRoom.deletedFor.filter(
+        (userId) =>
+          userId.toString() !== senderId && userId.toString() !== receiverId
+      );
+    }
+
+    chatRoom.lastMessage = message._id;
+    chatRoom.lastActivity = new Date();
+    await chatRoom.save();
+  }
+
+  // Emit new-message to BOTH sender and receiver to update chat lists
+  // (logged for the receiver even when offline so it can resync)
+  console.log("📤 Emitting new-message to sender and receiver");
+  await deliverEvent(
+    io,
+    [senderId, receiverId],
+    "new-message",
+    {
+      message: message,
+      chatRoomId: chatRoom._id,
+      sender: sender,
+    },
+    { messageId: message._id, data: { chatRoomId: chatRoom._id } }
+  );
+
+  // Receivers who muted this chat get no push notifications
+  const receiverPreference = await ConversationPreference.findOne({
+    user: receiverId,
+    chatRoom: chatRoom._id,
+  });
+
+  if (receiverPreference?.isMuted()) {
+    console.log("🔕 Receiver muted this chat - skipping push notification");
+  } else if (!receiverOnline) {
+    console.log(
+      "📭 Receiver not online - sending push notification:",
+      receiverId
+    );
+
+    const sound = receiverPreference?.notificationSound || "default";
+
+    // Send push notification to offline user
+    try {
+      // Try web push first
+      await notificationService.sendMessageNotification(
+        receiverId,
+        sender.name,
+        message.content || "New message",
+        chatRoom._id.toString(),
+        sound
+      );
+
+      // Also try FCM for Android app
+      await fcmService.sendMessageNotification(
+        receiverId,
+        sender.name,
+        message.content || "New message",
+        chatRoom._id.toString(),
+        sound
+      );
+
+      console.log(`📱 Push notifications sent to ${receiver.name}`);
+    } catch (error) {
+      console.error("📱 Failed to send push notification:", error);
+    }
+  }
+
+  console.log(`Message sent from ${sender.name} to ${receiver.name}`);
+
+  attachLinkPreview(io, message);
+
+  return { message, chatRoomId: chatRoom._id };
+};
+
+// Deliver a message saved by an earlier send attempt that failed before it
+// was delivered, without creating it again
+// Returns { message, chatRoomId | groupId }, or { error }
+const redeliverChatMessage = async (io, sender, message) => {
+  await message.populate("sender", "name email avatar");
+  await message.populate("reactions.user", "name avatar");
+
+  if (message.group) {
+    const group = await Group.findById(message.group);
+    if (!group) {
+      return { error: "Group not found" };
+    }
+    return deliverGroupMessage(io, sender, message, group);
+  }
+
+  const receiver = await User.findById(message.receiver);
+  if (!receiver) {
+    return { error: "Receiver not found" };
+  }
+  const chatRoom = await ChatRoom.findOne({
+    participants: { $all: [sender._id, message.receiver] },
+    roomType: "private",
+  });
+  return deliverPrivateMessage(io, sender, message, receiver, chatRoom);
+};
+
+// Create a message on behalf of sender and deliver it to the receiver or
+// group, with push notifications for offline recipients. Shared by the
+// send-message handler, forwarding and the scheduled message dispatcher.
+// `forward` holds the fields from Message#buildForwardFields for forwarded
+// copies (never taken from client data). `messageId` fixes the new message's
+// id, so a retried send can't create it twice.
+// Returns { message, chatRoomId | groupId }, or { error } if it can't be sent
+const sendChatMessage = async (
+  io,
+  sender,
+  data,
+  { forward, messageId } = {}
+) => {
+  const senderId = sender._id.toString();
+  const {
+    receiverId,
+    content,
+    messageType = "text",
+    attachment,
+    isGroupChat = false,
+    replyTo,
+  } = data;
+
+  // Polls carry their question as the message content
+  let poll = null;
+  if (messageType === "poll") {
+    if (!isGroupChat) {
+      return { error: "Polls can only be sent in groups" };
+    }
+    const built = Message.buildPoll(data.poll);
+    if (built.error) {
+      return { error: built.error };
+    }
+    poll = built.poll;
+  }
+
+  // Locations keep their label as the message content
+  let location = null;
+  if (messageType === "location") {
+    const built = Message.buildLocation(data.location);
+    if (built.error) {
+      return { error: built.error };
+    }
+    location = built.location;
+  }
+
+  // Contact cards carry the contact's name as the message content
+  let contact = null;
+  if (messageType === "contact") {
+    const built = await Message.buildContactCard(senderId, data.contactId);
+    if (built.error) {
+      return { error: built.error };
+    }
+    contact = built.contact;
+  }
+
+  if (
+    !receiverId ||
+    (!content && !attachment && !poll && !location && !contact)
+  ) {
+    console.log("❌ Missing receiverId or content/attachment");
+    return { error: "Receiver ID and content or attachment are required" };
+  }
+
+  // Voice notes keep their duration and waveform in the attachment
+  if (messageType === "voice") {
+    if (!attachment?.url) {
+      return { error: "Voice notes need an uploaded recording" };
+    }
+    const voice = Message.buildVoiceMetadata(
+      attachment.duration,
+      attachment.waveform
+    );
+    if (voice.error) {
+      return { error: voice.error };
+    }
+    Object.assign(attachment, voice);
+  }
+
+  // Check blocking status before sending message (only for private messages)
+  if (!isGroupChat) {
+    const senderRecord = await User.findById(senderId);
+    const receiver = await User.findById(receiverId);
+
+    if (!receiver) {
+      return { error: "Receiver not found" };
+    }
+
+    // Check if sender has blocked receiver OR receiver has blocked sender (mutual blocking)
+    const senderBlockedReceiver =
+      senderRecord.blockedUsers &&
+      senderRecord.blockedUsers.includes(receiverId);
+    const receiverBlockedSender =
+      receiver.blockedUsers && receiver.blockedUsers.includes(senderId);
+
+    if (senderBlockedReceiver || receiverBlockedSender) {
+      console.log("🚫 Message blocked - users have blocked each other");
+      return { error: "Cannot send message. User is blocked." };
+    }
+  }
+
+  if (isGroupChat) {
+    // Handle group message
+    const group = await Group.findOne({
+      _id: receiverId,
+      members: senderId,
+      isActive: true,
+    });
+
+    if (!group) {
+      return { error: "Group not found or you are not a member" };
+    }
+
+    const sendError = group.getSendError(senderId, {
+      hasMedia: !!attachment,
+    });
+    if (sendError) {
+      return { error: sendError, status: 403 };
+    }
+
+    // Create group message in database
+    const messageData = {
+      sender: senderId,
+      group: receiverId,
+      content: poll
+        ? poll.question
+        : location
+        ? location.label
+        : contact
+        ? contact.name
+        : content
+        ? content.trim()
+        : "",
+      messageType,
+      poll,
+      location,
+      contact,
+      recipientCount: group.members.length - 1,
+      expiresAt: Message.getExpiryFor(group.settings?.disappearingTimer),
+      // Mentioned members; @all only counts when an admin sends it
+      ...Message.parseMentions(content, {
+        memberIds: group.members,
+        senderId,
+        canMentionAll: group.isAdmin(senderId),
+      }),
+    };
+
+    // Add attachment if provided
+    if (attachment) {
+      messageData.attachment = attachment;
+    }
+
+    if (forward) {
+      Object.assign(messageData, forward);
+    }
+
+    if (messageId) {
+      messageData._id = messageId;
+    }
+
+    // Add reply reference if replying to a message in this group
+    if (replyTo) {
+      const replyFields = await Message.buildReplyFields(replyTo, {
+        senderId: senderId,
+        groupId: receiverId,
+      });
+      if (!replyFields) {
+        return { error: "Replied message not found in this conversation" };
+      }
+      Object.assign(messageData, replyFields);
+    }
+
+    const message = new Message(messageData);
+
+    await message.save();
+
+    // Populate sender info and reactions
+    await message.populate("sender", "name email avatar");
+    await message.populate("reactions.user", "name avatar");
+
+    return deliverGroupMessage(io, sender, message, group);
+  } else {
+    // Handle private message (existing logic)
+    const receiver = await User.findById(receiverId);
+    if (!receiver) {
+      return { error: "Receiver not found" };
+    }
+
+    // Check if users are friends before allowing message
+    const senderRecord = await User.findById(senderId);
+    const areFriends =
+      senderRecord.friends && senderRecord.friends.includes(receiverId);
+
+    if (!areFriends) {
+      return {
+        error:
+          "You can only send messages to friends. Send a friend request first.",
+      };
+    }
+
+    // Find the chat room first, its disappearing timer applies to the message
+    let chatRoom = await ChatRoom.findOne({
+      participants: { $all: [senderId, receiverId] },
+      roomType: "private",
+    });
+
+    // Create message in database
+    const messageData = {
+      sender: senderId,
+      receiver: receiverId,
+      content: location
+        ? location.label
+        : contact
+        ? contact.name
+        : content
+        ? content.trim()
+        : "",
+      messageType,
+      location,
+      contact,
+      expiresAt: Message.getExpiryFor(chatRoom?.disappearingTimer),
+    };
+
+    // Add attachment if provided
+    if (attachment) {
+      messageData.attachment = attachment;
+    }
+
+    if (forward) {
+      Object.assign(messageData, forward);
+    }
+
+    if (messageId) {
+      messageData._id = messageId;
+    }
+
+    // Add reply reference if replying to a message in this chat
+    if (replyTo) {
+      const replyFields = await Message.buildReplyFields(replyTo, {
+        senderId: senderId,
+        receiverId,
+      });
+      if (!replyFields) {
+        return { error: "Replied message not found in this conversation" };
+      }
+      Object.assign(messageData, replyFields);
+    }
+
+    const message = new Message(messageData);
+
+    await message.save();
+
+    // Populate sender info and reactions
+    await message.populate("sender", "name email avatar");
+    await message.populate("reactions.user", "name avatar");
+
+    return deliverPrivateMessage(io, sender, message, receiver, chatRoom);
+  }
+};
+
+// Send a user's current preferences for a conversation ({ chatRoom } or
+// { group }) to all of their devices
+const emitPreferencesUpdate = async (io, userId, conversation) => {
+  const preference = await ConversationPreference.findOne({
+    user: userId,
+    ...conversation,
+  });
+  const payload = {
+    chatRoomId: conversation.chatRoom,
+    groupId: conversation.group,
+    preferences: ConversationPreference.toSettings(preference),
+  };
+  await deliverEvent(
+    io,
+    [userId],
+    "conversation-preferences-updated",
+    payload,
+    { data: payload }
+  );
+};
+
+// Clear the "marked unread" flag of a chat (with chatUserId) or group once
+// the user opens it
+const clearMarkedUnread = async (io, userId, { chatUserId, groupId }) => {
+  let conversation = groupId ? { group: groupId } : null;
+  if (!conversation) {
+    const chatRoom = await ChatRoom.findOne({
+      participants: { $all: [userId, chatUserId] },
+      roomType: "private",
+    }).select("_id");
+    if (!chatRoom) {
+      return;
+    }
+    conversation = { chatRoom: chatRoom._id };
+  }
+
+  const result = await ConversationPreference.clearMarkedUnread(
+    userId,
+    conversation
+  );
+  if (result.modifiedCount > 0 && io) {
+    await emitPreferencesUpdate(io, userId, conversation);
+  }
+};
+
+// Unfurl the first link of a text message in the background and send the
+// preview to the conversation once it is ready
+const attachLinkPreview = async (io, message) => {
+  const url =
+    message.messageType === "text" &&
+    linkPreviewService.extractUrl(message.content);
+  if (!url) {
+    return;
+  }
+
+  try {
+    const linkPreview = await linkPreviewService.unfurl(url);
+    if (!linkPreview) {
+      return;
+    }
+
+    // Skip messages deleted or edited to another link in the meantime
+    const updated = await Message.findOneAndUpdate(
+      { _id: message._id, content: message.content, isDeleted: false },
+      { linkPreview },
+      { new: true }
+    );
+    if (!updated || !io) {
+      return;
+    }
+
+    const { userIds, extra } = await getMessageAudience(updated);
+    const payload = {
+      messageId: updated._id,
+      linkPreview: updated.linkPreview,
+      ...extra,
+    };
+    await deliverEvent(io, userIds, "link-preview-ready", payload, {
+      messageId: updated._id,
+      data: payload,
+    });
+  } catch (error) {
+    console.error("Link preview error:", error);
+  }
+};
+
+// Record that a recipient played a voice note and tell the sender, the same
+// way message-read works. Shared by the mark-voice-played handler and REST.
+// Returns { message } or { error, status }
+const markVoicePlayed = async (io, userId, messageId) => {
+  const message = await Message.findOne({
+    _id: messageId,
+    messageType: "voice",
+    isDeleted: false,
+  });
+  if (!message || message.sender.toString() === userId.toString()) {
+    return { error: "Voice note not found", status: 404 };
+  }
+
+  // Only recipients of the voice note may mark it as played
+  if (message.group) {
+    const isMember = await Group.exists({
+      _id: message.group,
+      members: userId,
+    });
+    if (!isMember) {
+      return { error: "Voice note not found", status: 404 };
+    }
+  } else {
+    if (message.receiver?.toString() !== userId.toString()) {
+      return { error: "Voice note not found", status: 404 };
+    }
+    message.isRead = true;
+    await message.save();
+  }
+
+  const receipts = await Message.recordReceipts(
+    { _id: message._id },
+    userId,
+    "played"
+  );
+  if (receipts.length === 0) {
+    return { message }; // Already played
+  }
+
+  // Notify sender that the voice note was played
+  const playedData = {
+    playedBy: userId,
+    playedAt: new Date(),
+    groupId: message.group || undefined,
+  };
+  await deliverEvent(
+    io,
+    [message.sender],
+    "message-played",
+    { messageId: message._id, ...playedData },
+    { messageId: message._id, data: playedData }
+  );
+  await emitReceiptUpdates(io, receipts);
+  await syncReadState(io, userId, {
+    messageIds: [message._id],
+    chatUserId: message.group ? undefined : message.sender.toString(),
+    groupId: message.group || undefined,
+    readAt: playedData.playedAt,
+    playedAt: playedData.playedAt,
+  });
+
+  return { message };
+};
+
+// Send the current state of a poll to every member of its group
+const emitPollUpdate = async (io, message) => {
+  const { userIds, extra } = await getMessageAudience(message);
+  await deliverEvent(
+    io,
+    userIds,
+    "poll-updated",
+    { messageId: message._id, poll: message.poll, ...extra },
+    { messageId: message._id, data: extra }
+  );
+};
+
+// Find a poll in one of the user's groups, or in groupId when given.
+// Resolves to { message, group } or { error, status }.
+const findMemberPoll = async (userId, messageId, groupId) => {
+  const message = await Message.findOne({
+    _id: messageId,
+    messageType: "poll",
+    isDeleted: false,
+    ...(groupId && { group: groupId }),
+  });
+  const group =
+    message &&
+    (await Group.findOne({
+      _id: message.group,
+      members: userId,
+      isActive: true,
+    }));
+  if (!group) {
+    return { error: "Poll not found", status: 404 };
+  }
+  return { message, group };
+};
+
+// Cast (or with no options, retract) a vote and update every member's tally.
+// Shared by the vote-poll handler and the REST route, which passes the
+// group the poll must belong to.
+// Returns { message } or { error, status }
+const votePoll = async (io, userId, messageId, optionIds, { groupId } = {}) => {
+  const found = await findMemberPoll(userId, messageId, groupId);
+  if (found.error) {
+    return found;
+  }
+
+  const result = await Message.castPollVote(messageId, userId, optionIds);
+  if (result.error) {
+    return { error: result.error, status: 400 };
+  }
+
+  await emitPollUpdate(io, result.message);
+  return result;
+};
+
+// Close a poll; only its creator or a group admin may do so
+// Returns { message } or { error, status }
+const closePoll = async (io, userId, messageId, { groupId } = {}) => {
+  const found = await findMemberPoll(userId, messageId, groupId);
+  if (found.error) {
+    return found;
+  }
+
+  const { message, group } = found;
+  if (
+    message.sender.toString() !== userId.toString() &&
+    !group.isAdmin(userId)
+  ) {
+    return {
+      error: "Only the poll creator or a group admin can close this poll",
+      status: 403,
+    };
+  }
+  if (message.poll.closedAt) {
+    return { error: "This poll is already closed", status: 400 };
+  }
+
+  message.poll.closedAt = new Date();
+  message.poll.closedBy = userId;
+  await message.save();
+
+  await emitPollUpdate(io, message);
+  return { message };
+};
+
+// Delete a message for everyone. Senders can delete their own messages;
+// in groups, members allowed to delete others' messages can also remove
+// those of members who don't outrank them. Shared by the delete-message
+// handler and the REST route.
+// Returns { message } or { error, status }
+const deleteMessage = async (io, userId, messageId) => {
+  const message = await Message.findOne({ _id: messageId, isDeleted: false });
+  if (!message) {
+    return { error: "Message not found or unauthorized", status: 404 };
+  }
+
+  if (message.sender.toString() !== userId.toString()) {
+    const group =
+      message.group &&
+      (await Group.findOne({
+        _id: message.group,
+        members: userId,
+        isActive: true,
+      }));
+    if (!group) {
+      return { error: "Message not found or unauthorized", status: 404 };
+    }
+    if (
+      !group.can(userId, "deleteOthersMessages") ||
+      group.outranks(message.sender, userId)
+    ) {
+      return {
+        error: "You don't have permission to delete this message",
+        status: 403,
+      };
+    }
+  }
+
+  // Mark message as deleted (soft delete)
+  message.isDeleted = true;
+  message.deletedAt = new Date();
+  message.deletedBy = userId;
+  message.content = "This message was deleted";
+  message.messageType = "deleted";
+  message.pinnedAt = null; // Deleted messages don't stay pinned
+  message.pinnedBy = null;
+  // Earlier versions go with the message
+  message.editHistory = [];
+  message.isEdited = false;
+  message.editedAt = null;
+  await message.save();
+
+  // Populate message info
+  await message.populate("sender", "name email avatar");
+  await message.populate("reactions.user", "name avatar");
+  await message.populate("deletedBy", "name avatar");
+  if (message.receiver) {
+    await message.populate("receiver", "name email avatar");
+  }
+  if (message.group) {
+    await message.populate("group", "name");
+  }
+
+  // Emit deletion to sender and the other participants
+  const { userIds, extra } = await getMessageAudience(message);
+  await deliverEvent(
+    io,
+    userIds,
+    "message-deleted",
+    { messageId: message._id, deletedMessage: message, ...extra },
+    { messageId: message._id, data: extra }
+  );
+
+  return { message };
+};
+
+// Live location updates are sent to recipients at most this often
+const LIVE_LOCATION_THROTTLE_MS = 5000;
+// messageId -> { lastSentAt, pending, timer } of each live location
+const liveLocationThrottles = new Map();
+
+// Store the latest position of a live location and send it to everyone in
+// the conversation. Not logged: each update supersedes the previous one.
+const publishLiveLocation = async (io, messageId, coordinates) => {
+  const message = await Message.findOneAndUpdate(
+    { _id: messageId, "location.endedAt": null },
+    {
+      $set: {
+        "location.latitude": coordinates.latitude,
+        "location.longitude": coordinates.longitude,
+        "location.accuracy": coordinates.accuracy,
+        "location.updatedAt": new Date(),
+      },
+    },
+    { new: true }
+  );
+  if (!message) {
+    return;
+  }
+
+  const { userIds, extra } = await getMessageAudience(message);
+  io.to(userIds.map((userId) => userId.toString())).emit(
+    "live-location-updated",
+    { messageId: message._id, location: message.location, ...extra }
+  );
+};
+
+// Send any update still held back by the throttle and forget the session
+const flushLiveLocation = async (io, messageId) => {
+  const throttle = liveLocationThrottles.get(messageId.toString());
+  if (!throttle) {
+    return;
+  }
+
+  clearTimeout(throttle.timer);
+  liveLocationThrottles.delete(messageId.toString());
+  if (throttle.pending) {
+    await publishLiveLocation(io, messageId, throttle.pending);
+  }
+};
+
+// Take a position update from the sender of a live location. Recipients get
+// at most one update per LIVE_LOCATION_THROTTLE_MS, always ending with the
+// latest position. Returns {} or { error, status }
+const updateLiveLocation = async (io, userId, messageId, position) => {
+  const message = await Message.findOne({
+    _id: messageId,
+    sender: userId,
+    messageType: "location",
+    isDeleted: false,
+  });
+  if (!message || !message.location?.isLive) {
+    return { error: "Live location not found", status: 404 };
+  }
+  if (!message.isLiveLocationActive()) {
+    return { error: "Live location sharing has ended", status: 400 };
+  }
+
+  const coordinates = Message.parseCoordinates(position);
+  if (coordinates.error) {
+    return { error: coordinates.error, status: 400 };
+  }
+
+  const key = message._id.toString();
+  const throttle = liveLocationThrottles.get(key) || { lastSentAt: 0 };
+  liveLocationThrottles.set(key, throttle);
+
+  const wait = throttle.lastSentAt + LIVE_LOCATION_THROTTLE_MS - Date.now();
+  if (wait <= 0) {
+    throttle.lastSentAt = Date.now();
+    throttle.pending = null;
+    await publishLiveLocation(io, message._id, coordinates);
+    return {};
+  }
+
+  // Hold the latest position until the throttle window is over
+  throttle.pending = coordinates;
+  if (!throttle.timer) {
+    throttle.timer = setTimeout(async () => {
+      throttle.timer = null;
+      throttle.lastSentAt = Date.now();
+      const pending = throttle.pending;
+      throttle.pending = null;
+      try {
+        await publishLiveLocation(io, message._id, pending);
+      } catch (error) {
+        console.error("Live location update error:", error);
+      }
+    }, wait);
+  }
+  return {};
+};
+
+// End a live location, keeping its last position in the message.
+// Used when the sender stops sharing and when the session runs out.
+const endLiveLocation = async (io, message) => {
+  await flushLiveLocation(io, message._id);
+
+  const endedAt = new Date(
+    Math.min(Date.now(), new Date(message.location.liveUntil).getTime())
+  );
+  const ended = await Message.findOneAndUpdate(
+    { _id: message._id, "location.endedAt": null },
+    { $set: { "location.endedAt": endedAt } },
+    { new: true }
+  );
+  if (!ended) {
+    return null; // Already ended
+  }
+
+  const { userIds, extra } = await getMessageAudience(ended);
+  const payload = {
+    messageId: ended._id,
+    location: ended.location,
+    ...extra,
+  };
+  await deliverEvent(io, userIds, "live-location-ended", payload, {
+    messageId: ended._id,
+    data: payload,
+  });
+  return ended;
+};
+
+// Stop sharing a live location; only its sender may do so
+// Returns { message } or { error, status }
+const stopLiveLocation = async (io, userId, messageId) => {
+  const message = await Message.findOne({
+    _id: messageId,
+    sender: userId,
+    messageType: "location",
+  });
+  if (!message || !message.location?.isLive) {
+    return { error: "Live location not found", status: 404 };
+  }
+  if (message.location.endedAt) {
+    return { error: "Live location sharing has already ended", status: 400 };
+  }
+
+  const ended = await endLiveLocation(io, message);
+  return { message: ended || message };
+};
+
+// Post a system message (e.g. a settings change by actor) to a private
+// chat room or a group and deliver it like any other new message
+const sendSystemMessage = async (io, actor, { chatRoom, group }, content) => {
+  const actorId = actor._id.toString();
+  const conversation = group
+    ? { groupId: group._id }
+    : { chatRoomId: chatRoom._id };
+
+  const message = new Message({
+    sender: actorId,
+    content,
+    messageType: "system",
+    ...(group
+      ? { group: group._id, recipientCount: group.members.length - 1 }
+      : {
+          receiver: chatRoom.participants.find(
+            (participant) => participant.toString() !== actorId
+          ),
+        }),
+  });
+  await message.save();
+  await message.populate("sender", "name email avatar");
+
+  const target = group || chatRoom;
+  target.lastMessage = message._id;
+  target.lastActivity = new Date();
+  await target.save();
+
+  await deliverEvent(
+    io,
+    group ? group.members : chatRoom.participants,
+    "new-message",
+    { message, ...conversation, sender: actor },
+    { messageId: message._id, data: conversation }
+  );
+
+  return message;
+};
+
+const initializeSocket = (io, { presenceStore: store } = {}) => {
+  if (store) {
+    presenceStore = store;
+  }
+
+  // Users whose devices were on a server that stopped go offline too
+  presenceStore
+    .startHeartbeat((userIds) =>
+      Promise.all(userIds.map((userId) => markOffline(io, userId)))
+    )
+    .catch((error) => console.error("Presence heartbeat error:", error));
 
-const initializeSocket = (io) => {
   // Authentication middleware for socket connections
   io.use(async (socket, next) => {
     try {
@@ -27,8 +1288,21 @@ const initializeSocket = (io) => {
         return next(new Error("Authentication error: User not found"));
       }
 
+      // Tokens bound to a device session must not be signed out
+      if (decoded.sessionId) {
+        const session = await Session.findOneAndUpdate(
+          { _id: decoded.sessionId, revokedAt: null },
+          { lastActiveAt: new Date() }
+        );
+        if (!session) {
+          return next(new Error("Authentication error: Session signed out"));
+        }
+      }
+
       socket.userId = user._id.toString();
       socket.user = user;
+      socket.data.sessionId = decoded.sessionId || null;
+      socket.data.userId = socket.userId;
       next();
     } catch (error) {
       next(new Error("Authentication error: Invalid token"));
@@ -39,440 +1313,348 @@ const initializeSocket = (io) => {
     console.log(
       `✅ User connected: ${socket.user.name} (${socket.userId}) - Socket ID: ${socket.id}`
     );
-    console.log(`📊 Total active users before: ${activeUsers.size}`);
 
-    // Check if user already has an active connection
-    const existingConnection = activeUsers.get(socket.userId);
-    if (existingConnection) {
-      console.log(
-        `⚠️ User ${socket.user.name} already has active connection with Socket ID: ${existingConnection.socketId}`
-      );
-      console.log(`🔄 Replacing old connection with new one`);
+    // Join user to their personal room (shared by all of their devices)
+    socket.join(socket.userId);
 
-      // Disconnect the old socket if it's still connected
-      const oldSocket = io.sockets.sockets.get(existingConnection.socketId);
-      if (oldSocket) {
+    // Register this device in the presence store shared by all servers
+    const announcePresence = async () => {
+      try {
+        const { deviceCount, cameOnline } = await presenceStore.addDevice(
+          socket.userId,
+          socket.user.toPresenceProfile(),
+          {
+            socketId: socket.id,
+            sessionId: socket.data.sessionId,
+            connectedAt: new Date(),
+          }
+        );
         console.log(
-          `🔌 Disconnecting old socket: ${existingConnection.socketId}`
+          `📱 ${socket.user.name} has ${deviceCount} connected device(s)`
         );
-        oldSocket.disconnect(true);
-      }
-    }
 
-    // Add user to active users
-    activeUsers.set(socket.userId, {
-      socketId: socket.id,
-      user: socket.user,
-      lastSeen: new Date(),
-    });
-
-    console.log(`📊 Total active users after: ${activeUsers.size}`);
-    console.log(
-      `👥 Active users: ${Array.from(activeUsers.keys()).join(", ")}`
-    );
-
-    // Join user to their personal room
-    socket.join(socket.userId);
+        // Emit online status to friends when the first device connects
+        if (cameOnline) {
+          await broadcastPresence(io, socket.userId, true);
+        }
 
-    // Emit online status to all contacts
-    socket.broadcast.emit("user-online", {
-      userId: socket.userId,
-      user: socket.user,
-      socketId: socket.id,
+        // Send the friends this user may see online to the new device
+        const onlineFriends = await getVisibleOnlineFriends(socket.userId);
+        console.log(
+          `📊 ${onlineFriends.length} visible online friend(s) for ${socket.user.name}`
+        );
+        socket.emit("online-users", onlineFriends);
+      } catch (error) {
+        console.error("Presence registration error:", error);
+      }
+    };
+    // Hold incoming events until the device is registered, so handlers
+    // never run against presence that doesn't include it yet
+    const presenceReady = announcePresence();
+    socket.use((packet, next) => {
+      presenceReady.then(() => next());
     });
 
-    // Send current online users to the newly connected user
-    const onlineUsersList = Array.from(activeUsers.values()).map(
-      (userData) => ({
-        userId: userData.user._id,
-        user: userData.user,
-        socketId: userData.socketId,
-      })
-    );
-    socket.emit("online-users", onlineUsersList);
-
     // Handle sending messages
     socket.on("send-message", async (data) => {
       try {
         console.log("📨 Received send-message event:", data);
-        const {
-          receiverId,
-          content,
-          messageType = "text",
-          attachment,
-          isGroupChat = false,
-        } = data;
-
-        if (!receiverId || (!content && !attachment)) {
-          console.log("❌ Missing receiverId or content/attachment");
-          socket.emit("message-error", {
-            error: "Receiver ID and content or attachment are required",
-          });
+        const result = await sendChatMessage(io, socket.user, data);
+
+        if (result.error) {
+          console.log("❌ Message not sent:", result.error);
+          socket.emit("message-error", { error: result.error });
           return;
         }
 
-        // Check blocking status before sending message (only for private messages)
-        if (!isGroupChat) {
-          const sender = await User.findById(socket.userId);
-          const receiver = await User.findById(receiverId);
+        // Emit message to sender (confirmation)
+        console.log("📤 Emitting message-sent to sender:", socket.userId);
+        socket.emit("message-sent", {
+          message: result.message,
+          ...(result.groupId
+            ? { groupId: result.groupId }
+            : { chatRoomId: result.chatRoomId }),
+        });
+      } catch (error) {
+        console.error("❌ Send message error:", error);
+        console.error("❌ Error details:", {
+          message: error.message,
+          stack: error.stack,
+          name: error.name,
+          userId: socket.userId,
+          userName: socket.user?.name,
+          data: data,
+        });
+        socket.emit("message-error", {
+          error: "Failed to send message",
+          details: error.message,
+          timestamp: new Date().toISOString(),
+        });
+      }
+    });
 
-          if (!receiver) {
-            socket.emit("message-error", {
-              error: "Receiver not found",
-            });
-            return;
-          }
+    // Handle message read status
+    socket.on("mark-message-read", async (data) => {
+      try {
+        const { messageId } = data;
 
-          // Check if sender has blocked receiver OR receiver has blocked sender (mutual blocking)
-          const senderBlockedReceiver =
-            sender.blockedUsers && sender.blockedUsers.includes(receiverId);
-          const receiverBlockedSender =
-            receiver.blockedUsers &&
-            receiver.blockedUsers.includes(socket.userId);
-
-          if (senderBlockedReceiver || receiverBlockedSender) {
-            console.log("🚫 Message blocked - users have blocked each other");
-            socket.emit("message-error", {
-              error: "Cannot send message. User is blocked.",
-            });
-            return;
-          }
+        if (!messageId) {
+          return;
         }
 
-        if (isGroupChat) {
-          // Handle group message
-          const group = await Group.findOne({
-            _id: receiverId,
+        const message = await Message.findById(messageId);
+        if (!message || message.sender.toString() === socket.userId) {
+          return;
+        }
+
+        // Only recipients of the message may mark it as read
+        if (message.group) {
+          const isMember = await Group.exists({
+            _id: message.group,
             members: socket.userId,
-            isActive: true,
           });
-
-          if (!group) {
-            socket.emit("message-error", {
-              error: "Group not found or you are not a member",
-            });
+          if (!isMember) {
             return;
           }
-
-          // Create group message in database
-          const messageData = {
-            sender: socket.userId,
-            group: receiverId,
-            content: content ? content.trim() : "",
-            messageType,
-          };
-
-          // Add attachment if provided
-          if (attachment) {
-            messageData.attachment = attachment;
+        } else {
+          if (message.receiver?.toString() !== socket.userId) {
+            return;
           }
 
-          const message = new Message(messageData);
-
+          // Update message as read
+          message.isRead = true;
           await message.save();
+        }
 
-          // Populate sender info and reactions
-          await message.populate("sender", "name email avatar");
-          await message.populate("reactions.user", "name avatar");
-
-          // Update group's last message and activity
-          group.lastMessage = message._id;
-          group.lastActivity = new Date();
-          await group.save();
+        const receipts = await Message.recordReceipts(
+          { _id: message._id },
+          socket.userId,
+          "read"
+        );
 
-          // Emit message to sender (confirmation)
-          console.log("📤 Emitting message-sent to sender:", socket.userId);
-          socket.emit("message-sent", {
-            message: message,
-            groupId: group._id,
-          });
+        // Notify sender that message was read
+        const readData = {
+          readBy: socket.userId,
+          readAt: new Date(),
+          groupId: message.group || undefined,
+        };
+        await deliverEvent(
+          io,
+          [message.sender],
+          "message-read",
+          { messageId, ...readData },
+          { messageId: message._id, data: readData }
+        );
+        await emitReceiptUpdates(io, receipts);
+        await syncReadState(io, socket.userId, {
+          messageIds: [message._id],
+          chatUserId: message.group ? undefined : message.sender.toString(),
+          groupId: message.group || undefined,
+          readAt: readData.readAt,
+        });
+      } catch (error) {
+        console.error("Mark message read error:", error);
+      }
+    });
 
-          // Emit new-message to all group members
-          console.log("📤 Emitting new-message to all group members");
-          const offlineMembers = [];
-
-          group.members.forEach((memberId) => {
-            const memberSocket = activeUsers.get(memberId.toString());
-            if (memberSocket) {
-              io.to(memberSocket.socketId).emit("new-message", {
-                message: message,
-                groupId: group._id,
-                sender: socket.user,
-              });
-            } else if (memberId.toString() !== socket.userId) {
-              // Track offline members (excluding sender)
-              offlineMembers.push(memberId.toString());
-            }
-          });
+    // Handle voice notes played by a recipient
+    socket.on("mark-voice-played", async (data) => {
+      try {
+        const { messageId } = data;
 
-          // Send push notifications to offline group members
-          if (offlineMembers.length > 0) {
-            console.log(
-              `📱 Sending push notifications to ${offlineMembers.length} offline group members`
-            );
-            try {
-              const groupNotificationPayload = {
-                title: `${group.name}`,
-                body: `${socket.user.name}: ${
-                  message.content || "New message"
-                }`,
-                icon: "/vite.svg",
-                tag: `group-${group._id}`,
-                data: {
-                  type: "message",
-                  chatId: group._id.toString(),
-                  groupId: group._id.toString(),
-                  senderName: socket.user.name,
-                  groupName: group.name,
-                  timestamp: Date.now(),
-                },
-              };
-
-              for (const memberId of offlineMembers) {
-                // Send web push notification
-                await notificationService.sendNotificationToUser(
-                  memberId,
-                  groupNotificationPayload
-                );
-
-                // Send FCM notification for Android app
-                await fcmService.sendMessageNotification(
-                  memberId,
-                  `${group.name}: ${socket.user.name}`,
-                  message.content || "New message",
-                  group._id.toString()
-                );
-              }
-              console.log(
-                `📱 Push notifications sent to offline group members`
-              );
-            } catch (error) {
-              console.error(
-                "📱 Failed to send group push notifications:",
-                error
-              );
-            }
-          }
+        if (!messageId) {
+          return;
+        }
 
-          console.log(
-            `Group message sent from ${socket.user.name} to group ${group.name}`
-          );
-        } else {
-          // Handle private message (existing logic)
-          const receiver = await User.findById(receiverId);
-          if (!receiver) {
-            socket.emit("message-error", { error: "Receiver not found" });
-            return;
-          }
+        await markVoicePlayed(io, socket.userId, messageId);
+      } catch (error) {
+        console.error("Mark voice played error:", error);
+      }
+    });
 
-          // Check if users are friends before allowing message
-          const sender = await User.findById(socket.userId);
-          const areFriends =
-            sender.friends && sender.friends.includes(receiverId);
+    // Handle delivery acknowledgements from the client device
+    socket.on("mark-messages-delivered", async (data) => {
+      try {
+        const { messageIds } = data;
 
-          if (!areFriends) {
-            socket.emit("message-error", {
-              error:
-                "You can only send messages to friends. Send a friend request first.",
-            });
-            return;
-          }
+        if (!Array.isArray(messageIds) || messageIds.length === 0) {
+          return;
+        }
 
-          // Create message in database
-          const messageData = {
-            sender: socket.userId,
-            receiver: receiverId,
-            content: content ? content.trim() : "",
-            messageType,
-          };
-
-          // Add attachment if provided
-          if (attachment) {
-            messageData.attachment = attachment;
-          }
+        // Only acknowledge messages addressed to this user
+        const groupIds = await Group.find({ members: socket.userId }).distinct(
+          "_id"
+        );
+        const receipts = await Message.recordReceipts(
+          {
+            _id: { $in: messageIds },
+            $or: [{ receiver: socket.userId }, { group: { $in: groupIds } }],
+          },
+          socket.userId,
+          "delivered"
+        );
 
-          const message = new Message(messageData);
+        await emitReceiptUpdates(io, receipts);
+      } catch (error) {
+        console.error("Mark messages delivered error:", error);
+      }
+    });
 
-          await message.save();
+    // Handle resync after reconnecting: replay every event the client missed
+    socket.on("sync", async (data) => {
+      try {
+        const lastSeq = parseInt(data?.lastSeq) || 0;
+        const result = await eventLogService.getEventsSince(
+          socket.userId,
+          lastSeq
+        );
 
-          // Populate sender info and reactions
-          await message.populate("sender", "name email avatar");
-          await message.populate("reactions.user", "name avatar");
+        socket.emit("sync-result", result);
 
-          // Check if receiver is currently viewing this chat
-          const receiverSocket = activeUsers.get(receiverId);
-          const receiverViewingThisChat =
-            receiverSocket && receiverSocket.viewingChat === socket.userId;
+        console.log(
+          `🔄 Sync for ${socket.user.name} from seq ${lastSeq}: ${result.events.length} events`
+        );
+      } catch (error) {
+        console.error("Sync error:", error);
+        socket.emit("sync-error", { error: "Failed to sync events" });
+      }
+    });
 
-          // Mark message as read only if receiver is viewing this specific chat
-          if (receiverViewingThisChat) {
-            console.log(
-              `📖 Receiver ${receiver.name} is viewing this chat - marking as read`
-            );
-            message.isRead = true;
-            await message.save();
-          } else {
-            console.log(
-              `📭 Receiver ${receiver.name} is not viewing this chat - keeping as unread`
-            );
-            message.isRead = false;
-            await message.save();
-          }
+    // Handle poll votes
+    socket.on("vote-poll", async (data) => {
+      try {
+        const { messageId, optionIds } = data;
 
-          // Find or create chat room
-          let chatRoom = await ChatRoom.findOne({
-            participants: { $all: [socket.userId, receiverId] },
-            roomType: "private",
+        if (!messageId || !Array.isArray(optionIds)) {
+          socket.emit("poll-error", {
+            error: "Message ID and option IDs are required",
           });
+          return;
+        }
 
-          if (!chatRoom) {
-            chatRoom = new ChatRoom({
-              participants: [socket.userId, receiverId],
-              lastMessage: message._id,
-              lastActivity: new Date(),
-              deletedFor: [], // Initialize empty deletedFor array
-            });
-            await chatRoom.save();
-          } else {
-            // If chat was deleted by either user, restore it for them when new message is sent
-            if (chatRoom.deletedFor && chatRoom.deletedFor.length > 0) {
-              chatRoom.deletedFor = chatRoom.deletedFor.filter(
-                (userId) =>
-                  userId.toString() !== socket.userId &&
-                  userId.toString() !== receiverId
-              );
-            }
+        const result = await votePoll(io, socket.userId, messageId, optionIds);
+        if (result.error) {
+          socket.emit("poll-error", { messageId, error: result.error });
+          return;
+        }
 
-            chatRoom.lastMessage = message._id;
-            chatRoom.lastActivity = new Date();
-            await chatRoom.save();
-          }
+        console.log(`🗳️ ${socket.user.name} voted on poll ${messageId}`);
+      } catch (error) {
+        console.error("Vote poll error:", error);
+        socket.emit("poll-error", { error: "Failed to vote" });
+      }
+    });
+
+    // Handle position updates of a live location
+    socket.on("update-live-location", async (data) => {
+      try {
+        const { messageId, latitude, longitude, accuracy } = data;
 
-          // Emit message to sender (confirmation)
-          console.log("📤 Emitting message-sent to sender:", socket.userId);
-          socket.emit("message-sent", {
-            message: message,
-            chatRoomId: chatRoom._id,
-          });
+        if (!messageId) {
+          socket.emit("location-error", { error: "Message ID is required" });
+          return;
+        }
 
-          // Emit new-message to BOTH sender and receiver to update chat lists
-          console.log("📤 Emitting new-message to sender:", socket.userId);
-          socket.emit("new-message", {
-            message: message,
-            chatRoomId: chatRoom._id,
-            sender: socket.user,
-          });
+        const result = await updateLiveLocation(io, socket.userId, messageId, {
+          latitude,
+          longitude,
+          accuracy,
+        });
+        if (result.error) {
+          socket.emit("location-error", { messageId, error: result.error });
+        }
+      } catch (error) {
+        console.error("Update live location error:", error);
+        socket.emit("location-error", {
+          error: "Failed to update live location",
+        });
+      }
+    });
 
-          // Emit message to receiver if online
-          if (receiverSocket) {
-            console.log("📤 Emitting new-message to receiver:", receiverId);
-            io.to(receiverSocket.socketId).emit("new-message", {
-              message: message,
-              chatRoomId: chatRoom._id,
-              sender: socket.user,
-            });
-          } else {
-            console.log(
-              "📭 Receiver not online - sending push notification:",
-              receiverId
-            );
+    // Handle the sender stopping a live location
+    socket.on("stop-live-location", async (data) => {
+      try {
+        const { messageId } = data;
 
-            // Send push notification to offline user
-            try {
-              // Try web push first
-              await notificationService.sendMessageNotification(
-                receiverId,
-                socket.user.name,
-                message.content || "New message",
-                chatRoom._id.toString()
-              );
-
-              // Also try FCM for Android app
-              await fcmService.sendMessageNotification(
-                receiverId,
-                socket.user.name,
-                message.content || "New message",
-                chatRoom._id.toString()
-              );
-
-              console.log(`📱 Push notifications sent to ${receiver.name}`);
-            } catch (error) {
-              console.error("📱 Failed to send push notification:", error);
-            }
-          }
+        if (!messageId) {
+          socket.emit("location-error", { error: "Message ID is required" });
+          return;
+        }
 
-          console.log(
-            `Message sent from ${socket.user.name} to ${receiver.name}`
-          );
+        const result = await stopLiveLocation(io, socket.userId, messageId);
+        if (result.error) {
+          socket.emit("location-error", { messageId, error: result.error });
+          return;
         }
+
+        console.log(
+          `📍 ${socket.user.name} stopped live location ${messageId}`
+        );
       } catch (error) {
-        console.error("❌ Send message error:", error);
-        console.error("❌ Error details:", {
-          message: error.message,
-          stack: error.stack,
-          name: error.name,
-          userId: socket.userId,
-          userName: socket.user?.name,
-          data: data,
-        });
-        socket.emit("message-error", {
-          error: "Failed to send message",
-          details: error.message,
-          timestamp: new Date().toISOString(),
+        console.error("Stop live location error:", error);
+        socket.emit("location-error", {
+          error: "Failed to stop live location",
         });
       }
     });
 
-    // Handle message read status
-    socket.on("mark-message-read", async (data) => {
+    // Handle closing a poll
+    socket.on("close-poll", async (data) => {
       try {
-        const { messageId, senderId } = data;
+        const { messageId } = data;
 
-        if (!messageId || !senderId) {
+        if (!messageId) {
+          socket.emit("poll-error", { error: "Message ID is required" });
           return;
         }
 
-        // Update message as read
-        await Message.findByIdAndUpdate(messageId, { isRead: true });
-
-        // Notify sender that message was read
-        const senderSocket = activeUsers.get(senderId);
-        if (senderSocket) {
-          io.to(senderSocket.socketId).emit("message-read", {
-            messageId,
-            readBy: socket.userId,
-            readAt: new Date(),
-          });
+        const result = await closePoll(io, socket.userId, messageId);
+        if (result.error) {
+          socket.emit("poll-error", { messageId, error: result.error });
+          return;
         }
+
+        console.log(`🗳️ Poll ${messageId} closed by ${socket.user.name}`);
       } catch (error) {
-        console.error("Mark message read error:", error);
+        console.error("Close poll error:", error);
+        socket.emit("poll-error", { error: "Failed to close poll" });
       }
     });
 
-    // Handle typing indicators
-    socket.on("typing-start", (data) => {
-      const { receiverId } = data;
-      const receiverSocket = activeUsers.get(receiverId);
+    // Handle typing indicators in a private chat ({ receiverId }) or a
+    // group ({ groupId })
+    socket.on("typing-start", async (data) => {
+      try {
+        const { receiverId, groupId } = data;
 
-      if (receiverSocket) {
-        io.to(receiverSocket.socketId).emit("user-typing", {
-          senderId: socket.userId,
-          sender: socket.user,
-          isTyping: true,
-        });
+        if (groupId) {
+          const isMember = await Group.exists({
+            _id: groupId,
+            members: socket.userId,
+            isActive: true,
+          });
+          if (!isMember) {
+            return;
+          }
+        } else if (!receiverId) {
+          return;
+        }
+
+        await setTyping(io, socket.user, { receiverId, groupId }, true);
+      } catch (error) {
+        console.error("Typing start error:", error);
       }
     });
 
-    socket.on("typing-stop", (data) => {
-      const { receiverId } = data;
-      const receiverSocket = activeUsers.get(receiverId);
+    socket.on("typing-stop", async (data) => {
+      try {
+        const { receiverId, groupId } = data;
 
-      if (receiverSocket) {
-        io.to(receiverSocket.socketId).emit("user-typing", {
-          senderId: socket.userId,
-          sender: socket.user,
-          isTyping: false,
-        });
+        if (groupId || receiverId) {
+          await setTyping(io, socket.user, { receiverId, groupId }, false);
+        }
+      } catch (error) {
+        console.error("Typing stop error:", error);
       }
     });
 
@@ -516,6 +1698,13 @@ const initializeSocket = (io) => {
 
         await call.save();
 
+        // Ring every device of the receiver; later signalling goes to this
+        // caller device and whichever receiver device answers
+        await presenceStore.setCall(call._id, {
+          callerSocketId: socket.id,
+          receiverSocketId: null,
+        });
+
         // Emit call initiation to caller (confirmation)
         socket.emit("call-initiated", {
           callId: call._id,
@@ -525,10 +1714,9 @@ const initializeSocket = (io) => {
           roomName: roomName,
         });
 
-        // Emit incoming call to receiver if online
-        const receiverSocket = activeUsers.get(receiverId);
-        if (receiverSocket) {
-          io.to(receiverSocket.socketId).emit("incoming-call", {
+        // Emit incoming call to all of the receiver's devices if online
+        if (await presenceStore.isOnline(receiverId)) {
+          io.to(receiverId).emit("incoming-call", {
             callId: call._id,
             caller: socket.user,
             callType: call.callType,
@@ -537,6 +1725,7 @@ const initializeSocket = (io) => {
         } else {
           // Receiver is offline, mark call as missed
           await call.markAsMissed();
+          await presenceStore.deleteCall(call._id);
           socket.emit("call-missed", {
             callId: call._id,
             reason: "Receiver is offline",
@@ -578,18 +1767,34 @@ const initializeSocket = (io) => {
         }
         await call.save();
 
+        // Pin the call to the device that answered it
+        const activeCall = await presenceStore.getCall(call._id);
+        if (activeCall) {
+          await presenceStore.setCall(call._id, {
+            ...activeCall,
+            receiverSocketId: socket.id,
+          });
+        }
+
+        // Stop ringing on the receiver's other devices
+        socket.to(socket.userId).emit("call-answered-elsewhere", {
+          callId: call._id,
+        });
+
         // Emit call answered to caller
-        const callerSocket = activeUsers.get(call.caller.toString());
-        if (callerSocket) {
+        if (await presenceStore.isOnline(call.caller)) {
           console.log(
-            `📞 Sending call-answered to caller: ${callerSocket.user.name} for call: ${call._id}`
+            `📞 Sending call-answered to caller: ${call.caller} for call: ${call._id}`
+          );
+          (await callTarget(io, call._id, "caller", call.caller)).emit(
+            "call-answered",
+            {
+              callId: call._id,
+              status: call.status,
+              answer: answer, // Send the original answer object, not the stringified version
+              receiver: socket.user,
+            }
           );
-          io.to(callerSocket.socketId).emit("call-answered", {
-            callId: call._id,
-            status: call.status,
-            answer: answer, // Send the original answer object, not the stringified version
-            receiver: socket.user,
-          });
         } else {
           console.log(`📞 Caller socket not found for call: ${call._id}`);
         }
@@ -623,21 +1828,23 @@ const initializeSocket = (io) => {
         // Mark call as declined
         await call.markAsDeclined();
 
-        // Emit call declined to receiver (confirmation)
-        socket.emit("call-declined", {
+        // Emit call declined to the receiver's devices (confirmation, and
+        // stops ringing on the others)
+        io.to(socket.userId).emit("call-declined", {
           callId: call._id,
           status: call.status,
         });
 
         // Emit call declined to caller
-        const callerSocket = activeUsers.get(call.caller.toString());
-        if (callerSocket) {
-          io.to(callerSocket.socketId).emit("call-declined", {
+        (await callTarget(io, call._id, "caller", call.caller)).emit(
+          "call-declined",
+          {
             callId: call._id,
             status: call.status,
             receiver: socket.user,
-          });
-        }
+          }
+        );
+        await presenceStore.deleteCall(call._id);
 
         console.log(`📞 Call declined by ${socket.user.name}`);
       } catch (error) {
@@ -671,27 +1878,25 @@ const initializeSocket = (io) => {
         // End the call
         await call.endCall();
 
-        // Emit call ended to both parties
-        socket.emit("call-ended", {
+        // Emit call ended to all of this user's devices
+        io.to(socket.userId).emit("call-ended", {
           callId: call._id,
           status: call.status,
           duration: call.duration,
         });
 
-        // Emit to the other party
+        // Emit to all devices of the other party (it may still be ringing)
         const otherUserId =
           call.caller.toString() === socket.userId
             ? call.receiver.toString()
             : call.caller.toString();
-        const otherUserSocket = activeUsers.get(otherUserId);
-        if (otherUserSocket) {
-          io.to(otherUserSocket.socketId).emit("call-ended", {
-            callId: call._id,
-            status: call.status,
-            duration: call.duration,
-            endedBy: socket.user,
-          });
-        }
+        io.to(otherUserId).emit("call-ended", {
+          callId: call._id,
+          status: call.status,
+          duration: call.duration,
+          endedBy: socket.user,
+        });
+        await presenceStore.deleteCall(call._id);
 
         console.log(
           `📞 Call ended by ${socket.user.name}, duration: ${call.duration}s`
@@ -740,13 +1945,15 @@ const initializeSocket = (io) => {
         console.log(`✅ Call offer saved to database for call ${callId}`);
 
         // Forward offer to receiver
-        const receiverSocket = activeUsers.get(call.receiver.toString());
-        if (receiverSocket) {
-          io.to(receiverSocket.socketId).emit("call-offer", {
-            callId: call._id,
-            offer: offer,
-            from: socket.user,
-          });
+        if (await presenceStore.isOnline(call.receiver)) {
+          (await callTarget(io, call._id, "receiver", call.receiver)).emit(
+            "call-offer",
+            {
+              callId: call._id,
+              offer: offer,
+              from: socket.user,
+            }
+          );
           console.log(`📞 Call offer forwarded to receiver ${call.receiver}`);
         } else {
           console.log(`⚠️ Receiver ${call.receiver} is not online`);
@@ -790,14 +1997,25 @@ const initializeSocket = (io) => {
         call.answer = JSON.stringify(answer);
         await call.save();
 
-        // Forward answer to caller
-        const callerSocket = activeUsers.get(call.caller.toString());
-        if (callerSocket) {
-          io.to(callerSocket.socketId).emit("call-answer-webrtc", {
-            callId: call._id,
-            answer: answer,
-            from: socket.user,
+        // The device sending the WebRTC answer is the one in the call
+        const activeCall = await presenceStore.getCall(call._id);
+        if (activeCall && !activeCall.receiverSocketId) {
+          await presenceStore.setCall(call._id, {
+            ...activeCall,
+            receiverSocketId: socket.id,
           });
+        }
+
+        // Forward answer to caller
+        if (await presenceStore.isOnline(call.caller)) {
+          (await callTarget(io, call._id, "caller", call.caller)).emit(
+            "call-answer-webrtc",
+            {
+              callId: call._id,
+              answer: answer,
+              from: socket.user,
+            }
+          );
           console.log(`📞 WebRTC answer forwarded to caller ${call.caller}`);
         }
 
@@ -869,14 +2087,20 @@ const initializeSocket = (io) => {
         }
 
         // Forward ICE candidate to the other party (this is the important part)
-        const otherUserId =
-          call.caller.toString() === socket.userId
-            ? call.receiver.toString()
-            : call.caller.toString();
-        const otherUserSocket = activeUsers.get(otherUserId);
-
-        if (otherUserSocket) {
-          io.to(otherUserSocket.socketId).emit("ice-candidate", {
+        const isCaller = call.caller.toString() === socket.userId;
+        const otherUserId = isCaller
+          ? call.receiver.toString()
+          : call.caller.toString();
+
+        if (await presenceStore.isOnline(otherUserId)) {
+          (
+            await callTarget(
+              io,
+              call._id,
+              isCaller ? "receiver" : "caller",
+              otherUserId
+            )
+          ).emit("ice-candidate", {
             callId: call._id,
             candidate,
             sdpMLineIndex,
@@ -903,32 +2127,41 @@ const initializeSocket = (io) => {
     });
 
     // Handle disconnection
-    socket.on("disconnect", (reason) => {
+    socket.on("disconnect", async (reason) => {
       console.log(
         `❌ User disconnected: ${socket.user.name} (${socket.userId}) - Socket ID: ${socket.id} - Reason: ${reason}`
       );
-      console.log(
-        `📊 Total active users before disconnect: ${activeUsers.size}`
-      );
 
-      // Remove from active users
-      activeUsers.delete(socket.userId);
+      let remainingDevices = 0;
+      let wasLastDevice = false;
+      try {
+        // Remove this device and forget calls pinned to it
+        const removed = await presenceStore.removeDevice(
+          socket.userId,
+          socket.id
+        );
+        remainingDevices = removed.deviceCount;
+        wasLastDevice = removed.wentOffline;
+        await presenceStore.removeCallsForSocket(socket.id);
+      } catch (error) {
+        console.error("Presence cleanup error:", error);
+      }
 
       console.log(
-        `📊 Total active users after disconnect: ${activeUsers.size}`
-      );
-      console.log(
-        `👥 Remaining active users: ${Array.from(activeUsers.keys()).join(
-          ", "
-        )}`
+        `📱 ${socket.user.name} has ${remainingDevices} connected device(s) left`
       );
 
-      // Emit offline status to all contacts
-      socket.broadcast.emit("user-offline", {
-        userId: socket.userId,
-        user: socket.user,
-        reason: reason,
-      });
+      // The device no longer has its group open
+      if (socket.data.viewingGroupId) {
+        await emitGroupViewers(io, socket.data.viewingGroupId).catch((error) =>
+          console.error("Group viewers error:", error)
+        );
+      }
+
+      // Record last seen and tell friends once no device is left
+      if (wasLastDevice) {
+        await markOffline(io, socket.userId);
+      }
     });
 
     // Handle message deletion
@@ -956,96 +2189,75 @@ const initializeSocket = (io) => {
           return;
         }
 
-        // First, let's try to find the message without any restrictions to debug
-        let messageExists;
-        try {
-          messageExists = await Message.findById(messageId);
-          console.log(`🔍 Message exists check:`, {
-            messageId,
-            exists: !!messageExists,
-            sender: messageExists?.sender?.toString(),
-            currentUser: socket.userId,
-            isDeleted: messageExists?.isDeleted,
-          });
-        } catch (findError) {
-          console.log("❌ Error finding message by ID:", findError);
+        const result = await deleteMessage(io, socket.userId, messageId);
+        if (result.error) {
+          console.log(`❌ Delete message failed: ${result.error}`);
+          socket.emit("message-error", { error: result.error });
+          return;
+        }
+
+        console.log(
+          `🗑️ Message deleted successfully by ${socket.user.name}: ${messageId}`
+        );
+      } catch (error) {
+        console.error("Delete message error:", error);
+        socket.emit("message-error", {
+          error: "Failed to delete message",
+          details: error.message,
+        });
+      }
+    });
+
+    // Handle message editing
+    socket.on("edit-message", async (data) => {
+      try {
+        const { messageId, content } = data;
+
+        if (!messageId || !content || !content.trim()) {
           socket.emit("message-error", {
-            error: "Invalid message ID",
+            error: "Message ID and content are required",
           });
           return;
         }
 
-        // Try to find message with proper ObjectId handling
-        let message;
-        try {
-          message = await Message.findOne({
-            _id: messageId,
-            sender: socket.userId,
-            isDeleted: false,
-          });
-        } catch (dbError) {
-          console.log("❌ Database query error:", dbError);
+        const message = await Message.findOne({
+          _id: messageId,
+          sender: socket.userId,
+          isDeleted: false,
+        });
+
+        if (!message) {
           socket.emit("message-error", {
-            error: "Invalid message ID format",
+            error: "Message not found or unauthorized",
           });
           return;
         }
 
-        if (!message) {
-          // More detailed debugging for authorization issues
-          if (messageExists) {
-            const messageSenderStr = messageExists.sender?.toString();
-            const currentUserStr = socket.userId?.toString();
-            console.log(`❌ Authorization failed - detailed comparison:`, {
-              messageId,
-              messageExists: true,
-              messageSender: messageSenderStr,
-              currentUser: currentUserStr,
-              sendersMatch: messageSenderStr === currentUserStr,
-              messageDeleted: messageExists.isDeleted,
-              messageContent: messageExists.content?.substring(0, 50),
-              messageType: messageExists.messageType,
-            });
+        if (!message.isEditableType()) {
+          socket.emit("message-error", {
+            error: "This type of message cannot be edited",
+          });
+          return;
+        }
 
-            // Try alternative approach - manual authorization check
-            if (
-              messageSenderStr === currentUserStr &&
-              !messageExists.isDeleted
-            ) {
-              console.log(
-                "🔄 Manual authorization passed, using messageExists as message"
-              );
-              message = messageExists;
-            }
-          }
+        if (!message.isWithinEditWindow()) {
+          socket.emit("message-error", {
+            error: "Edit time limit has passed for this message",
+          });
+          return;
+        }
 
-          if (!message) {
-            console.log(`❌ Final check - Message not found or unauthorized:`, {
-              messageId,
-              requestedBy: socket.userId,
-              messageExists: !!messageExists,
-              messageSender: messageExists?.sender?.toString(),
-              messageDeleted: messageExists?.isDeleted,
-            });
-            socket.emit("message-error", {
-              error: "Message not found or unauthorized",
-            });
-            return;
-          }
+        if (message.content === content.trim()) {
+          socket.emit("message-error", { error: "No changes to save" });
+          return;
         }
 
-        // Mark message as deleted
-        message.isDeleted = true;
-        message.deletedAt = new Date();
-        message.deletedBy = socket.userId;
-        message.content = "This message was deleted";
-        message.messageType = "deleted";
+        message.applyEdit(content.trim());
         await message.save();
 
         // Populate message info
         await message.populate("sender", "name email avatar");
         await message.populate("reactions.user", "name avatar");
-        await message.populate("deletedBy", "name avatar");
         if (message.receiver) {
           await message.populate("receiver", "name email avatar");
         }
@@ -1053,48 +2265,26 @@ const initializeSocket = (io) => {
           await message.populate("group", "name");
         }
 
-        // Emit deletion confirmation to sender
-        socket.emit("message-deleted", {
-          messageId: message._id,
-          deletedMessage: message,
-        });
-
-        // Handle group message deletion
-        if (message.group) {
-          const group = await Group.findById(message.group._id);
-          if (group) {
-            // Emit to all group members
-            group.members.forEach((memberId) => {
-              const memberSocket = activeUsers.get(memberId.toString());
-              if (memberSocket && memberId.toString() !== socket.userId) {
-                io.to(memberSocket.socketId).emit("message-deleted", {
-                  messageId: message._id,
-                  deletedMessage: message,
-                  groupId: group._id,
-                });
-              }
-            });
-          }
-        } else if (message.receiver) {
-          // Emit to receiver for private message
-          const receiverSocket = activeUsers.get(
-            message.receiver._id.toString()
-          );
-          if (receiverSocket) {
-            io.to(receiverSocket.socketId).emit("message-deleted", {
-              messageId: message._id,
-              deletedMessage: message,
-            });
-          }
-        }
+        // Emit edit to sender and the other participants
+        const { userIds, extra } = await getMessageAudience(message);
+        await deliverEvent(
+          io,
+          userIds,
+          "message-edited",
+          { messageId: message._id, editedMessage: message, ...extra },
+          { messageId: message._id, data: extra }
+        );
+        attachLinkPreview(io, message);
 
         console.log(
-          `🗑️ Message deleted successfully by ${socket.user.name}: ${messageId}`
+          `✏️ Message edited by ${socket.user.name}: ${messageId} (version ${
+            message.editHistory.length + 1
+          })`
         );
       } catch (error) {
-        console.error("Delete message error:", error);
+        console.error("Edit message error:", error);
         socket.emit("message-error", {
-          error: "Failed to delete message",
+          error: "Failed to edit message",
           details: error.message,
         });
       }
@@ -1157,43 +2347,20 @@ const initializeSocket = (io) => {
           await message.populate("group", "name");
         }
 
-        // Emit reaction to sender (confirmation)
-        socket.emit("reaction-added", {
-          messageId: message._id,
-          reactions: message.reactions,
-          updatedMessage: message,
-        });
-
-        // Handle group message reactions
-        if (message.group) {
-          const group = await Group.findById(message.group._id);
-          if (group) {
-            // Emit to all group members except sender
-            group.members.forEach((memberId) => {
-              const memberSocket = activeUsers.get(memberId.toString());
-              if (memberSocket && memberId.toString() !== socket.userId) {
-                io.to(memberSocket.socketId).emit("reaction-added", {
-                  messageId: message._id,
-                  reactions: message.reactions,
-                  updatedMessage: message,
-                  groupId: group._id,
-                });
-              }
-            });
-          }
-        } else if (message.receiver) {
-          // Emit to receiver for private message
-          const receiverSocket = activeUsers.get(
-            message.receiver._id.toString()
-          );
-          if (receiverSocket) {
-            io.to(receiverSocket.socketId).emit("reaction-added", {
-              messageId: message._id,
-              reactions: message.reactions,
-              updatedMessage: message,
-            });
-          }
-        }
+        // Emit reaction to sender and the other participants
+        const { userIds, extra } = await getMessageAudience(message);
+        await deliverEvent(
+          io,
+          userIds,
+          "reaction-added",
+          {
+            messageId: message._id,
+            reactions: message.reactions,
+            updatedMessage: message,
+            ...extra,
+          },
+          { messageId: message._id, data: extra }
+        );
 
         console.log(
           `👍 Reaction ${reaction} added by ${socket.user.name} to message ${messageId}`
@@ -1244,43 +2411,20 @@ const initializeSocket = (io) => {
           await message.populate("group", "name");
         }
 
-        // Emit reaction removal to sender (confirmation)
-        socket.emit("reaction-removed", {
-          messageId: message._id,
-          reactions: message.reactions,
-          updatedMessage: message,
-        });
-
-        // Handle group message reaction removal
-        if (message.group) {
-          const group = await Group.findById(message.group._id);
-          if (group) {
-            // Emit to all group members except sender
-            group.members.forEach((memberId) => {
-              const memberSocket = activeUsers.get(memberId.toString());
-              if (memberSocket && memberId.toString() !== socket.userId) {
-                io.to(memberSocket.socketId).emit("reaction-removed", {
-                  messageId: message._id,
-                  reactions: message.reactions,
-                  updatedMessage: message,
-                  groupId: group._id,
-                });
-              }
-            });
-          }
-        } else if (message.receiver) {
-          // Emit to receiver for private message
-          const receiverSocket = activeUsers.get(
-            message.receiver._id.toString()
-          );
-          if (receiverSocket) {
-            io.to(receiverSocket.socketId).emit("reaction-removed", {
-              messageId: message._id,
-              reactions: message.reactions,
-              updatedMessage: message,
-            });
-          }
-        }
+        // Emit reaction removal to sender and the other participants
+        const { userIds, extra } = await getMessageAudience(message);
+        await deliverEvent(
+          io,
+          userIds,
+          "reaction-removed",
+          {
+            messageId: message._id,
+            reactions: message.reactions,
+            updatedMessage: message,
+            ...extra,
+          },
+          { messageId: message._id, data: extra }
+        );
 
         console.log(
           `👍 Reaction removed by ${socket.user.name} from message ${messageId}`
@@ -1296,35 +2440,104 @@ const initializeSocket = (io) => {
 
     // Handle user viewing chat status
     socket.on("user-viewing-chat", async (data) => {
-      const { chatUserId, isViewing } = data;
+      const { chatUserId, groupId, isViewing } = data;
+
+      // Leave the group this device had open, if any
+      const previousGroupId = socket.data.viewingGroupId;
+      if (previousGroupId && (!isViewing || previousGroupId !== groupId)) {
+        socket.data.viewingGroupId = null;
+        socket.leave(groupViewersRoom(previousGroupId));
+        await emitGroupViewers(io, previousGroupId).catch((error) =>
+          console.error("Group viewers error:", error)
+        );
+      }
+
+      // Tell the user whose chat this device had open that it was closed
+      const previousChatUserId = socket.data.viewingChatUserId;
+      if (
+        previousChatUserId &&
+        (!isViewing || previousChatUserId !== chatUserId)
+      ) {
+        socket.data.viewingChatUserId = null;
+        io.to(previousChatUserId).emit("user-viewing-status", {
+          viewerId: socket.userId,
+          viewer: socket.user.toPresenceProfile(),
+          isViewing: false,
+          chatUserId: null,
+        });
+      }
+
+      if (isViewing && groupId) {
+        try {
+          const isMember = await Group.exists({
+            _id: groupId,
+            members: socket.userId,
+            isActive: true,
+          });
+          if (!isMember) {
+            return;
+          }
+
+          console.log(
+            `👁️ User ${socket.user.name} is viewing group: ${groupId}`
+          );
+
+          await presenceStore.setViewingChat(
+            socket.userId,
+            socket.id,
+            `group:${groupId}`
+          );
+          await clearMarkedUnread(io, socket.userId, { groupId });
+
+          if (previousGroupId !== groupId) {
+            socket.data.viewingGroupId = groupId;
+            socket.join(groupViewersRoom(groupId));
+            await emitGroupViewers(io, groupId);
+          }
 
-      if (isViewing && chatUserId) {
+          // Show who is already typing
+          const typingIds = await presenceStore.getTyping(`group:${groupId}`);
+          socket.emit("group-typing", {
+            groupId,
+            typingUsers: await User.find({ _id: { $in: typingIds } }).select(
+              "name avatar"
+            ),
+            count: typingIds.length,
+          });
+        } catch (error) {
+          console.error("Error viewing group:", error);
+        }
+      } else if (isViewing && chatUserId) {
         // User is viewing a specific chat
         console.log(
           `👁️ User ${socket.user.name} is viewing chat with user: ${chatUserId}`
         );
 
-        // Update the activeUsers map to track which chat this user is viewing
-        const userData = activeUsers.get(socket.userId);
-        if (userData) {
-          userData.viewingChat = chatUserId;
-          activeUsers.set(socket.userId, userData);
-        }
+        // Track which chat this device is viewing
+        await presenceStore.setViewingChat(
+          socket.userId,
+          socket.id,
+          chatUserId
+        );
 
         // Notify the other user that this user is viewing their chat
-        const otherUserSocket = activeUsers.get(chatUserId);
-        if (otherUserSocket) {
-          io.to(otherUserSocket.socketId).emit("user-viewing-status", {
-            viewerId: socket.userId,
-            viewer: socket.user,
-            isViewing: true,
-            chatUserId: chatUserId,
-          });
-        }
+        socket.data.viewingChatUserId = chatUserId;
+        io.to(chatUserId).emit("user-viewing-status", {
+          viewerId: socket.userId,
+          viewer: socket.user.toPresenceProfile(),
+          isViewing: true,
+          chatUserId: chatUserId,
+        });
 
         // Mark all unread messages from this sender as read when they start viewing
         try {
+          await clearMarkedUnread(io, socket.userId, { chatUserId });
           const Message = require("../models/Message");
+          const receipts = await Message.recordReceipts(
+            { sender: chatUserId, receiver: socket.userId, isRead: false },
+            socket.userId,
+            "read"
+          );
           const result = await Message.updateMany(
             {
               sender: chatUserId,
@@ -1340,15 +2553,26 @@ const initializeSocket = (io) => {
             );
 
             // Notify the sender (chatUserId) that their messages were marked as read
-            // Find the sender's socket and notify them
-            const senderSocket = activeUsers.get(chatUserId);
-            if (senderSocket) {
-              io.to(senderSocket.socketId).emit("messages-marked-read", {
-                senderId: chatUserId,
-                receiverId: socket.userId,
-                count: result.modifiedCount,
-              });
-            }
+            const readData = {
+              senderId: chatUserId,
+              receiverId: socket.userId,
+              count: result.modifiedCount,
+            };
+            await deliverEvent(
+              io,
+              [chatUserId],
+              "messages-marked-read",
+              readData,
+              { data: readData }
+            );
+          }
+
+          await emitReceiptUpdates(io, receipts);
+          if (receipts.length > 0 || result.modifiedCount > 0) {
+            await syncReadState(io, socket.userId, {
+              chatUserId,
+              readAt: new Date(),
+            });
           }
         } catch (error) {
           console.error("Error marking messages as read:", error);
@@ -1357,20 +2581,8 @@ const initializeSocket = (io) => {
         // User stopped viewing the chat
         console.log(`👁️ User ${socket.user.name} stopped viewing chat`);
 
-        // Update the activeUsers map to remove viewing chat
-        const userData = activeUsers.get(socket.userId);
-        if (userData) {
-          userData.viewingChat = null;
-          activeUsers.set(socket.userId, userData);
-        }
-
-        // Notify all users that this user is no longer viewing their chat
-        socket.broadcast.emit("user-viewing-status", {
-          viewerId: socket.userId,
-          viewer: socket.user,
-          isViewing: false,
-          chatUserId: null,
-        });
+        // Clear the chat this device was viewing
+        await presenceStore.setViewingChat(socket.userId, socket.id, null);
       }
     });
 
@@ -1403,14 +2615,11 @@ const initializeSocket = (io) => {
         }
 
         // Notify the story author that their story was viewed
-        const authorSocket = activeUsers.get(authorId);
-        if (authorSocket) {
-          io.to(authorSocket.socketId).emit("story-viewed-notification", {
-            storyId,
-            viewer: socket.user,
-            viewedAt: new Date(),
-          });
-        }
+        io.to(authorId).emit("story-viewed-notification", {
+          storyId,
+          viewer: socket.user,
+          viewedAt: new Date(),
+        });
 
         console.log(
           `👁️ Story ${storyId} viewed by ${socket.user.name}, notified author`
@@ -1447,22 +2656,69 @@ const initializeSocket = (io) => {
 };
 
 // Get active users
-const getActiveUsers = () => {
-  return Array.from(activeUsers.values()).map((user) => ({
-    userId: user.user._id,
-    user: user.user,
-    lastSeen: user.lastSeen,
+const getActiveUsers = async () => {
+  const onlineUsers = await presenceStore.getOnlineUsers();
+  return onlineUsers.map((user) => ({
+    ...user,
     isOnline: true,
   }));
 };
 
 // Check if user is online
 const isUserOnline = (userId) => {
-  return activeUsers.has(userId);
+  return presenceStore.isOnline(userId);
+};
+
+// Ids of the users currently typing in a conversation
+// ("chat:<receiverId>" or "group:<groupId>")
+const getTypingUsers = (key) => presenceStore.getTyping(key);
+
+// Session ids of the user's connected devices
+const getOnlineSessionIds = async (io, userId) => {
+  const sockets = await io.in(userId.toString()).fetchSockets();
+  return sockets
+    .map((connected) => connected.data.sessionId)
+    .filter(Boolean)
+    .map((sessionId) => sessionId.toString());
+};
+
+// Disconnect every socket opened with a signed-out device session
+const disconnectSession = async (io, userId, sessionId) => {
+  const sockets = await io.in(userId.toString()).fetchSockets();
+  sockets
+    .filter(
+      (connected) =>
+        connected.data.sessionId &&
+        connected.data.sessionId.toString() === sessionId.toString()
+    )
+    .forEach((connected) => {
+      connected.emit("session-revoked", { sessionId });
+      connected.disconnect(true);
+    });
 };
 
 module.exports = {
   initializeSocket,
   getActiveUsers,
   isUserOnline,
+  broadcastPresence,
+  getTypingUsers,
+  deliverEvent,
+  getMessageAudience,
+  emitReceiptUpdates,
+  syncReadState,
+  sendChatMessage,
+  redeliverChatMessage,
+  sendSystemMessage,
+  votePoll,
+  closePoll,
+  deleteMessage,
+  markVoicePlayed,
+  attachLinkPreview,
+  emitPreferencesUpdate,
+  clearMarkedUnread,
+  endLiveLocation,
+  stopLiveLocation,
+  disconnectSession,
+  getOnlineSessionIds,
 };